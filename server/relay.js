@@ -0,0 +1,183 @@
+// FlowProp director relay.
+// A tiny WebSocket relay for closed-set LANs: every client joins a room (the pairing
+// code shown on the prop phone) and each text frame is forwarded to the other clients
+// in that room. If the app has been built, `dist/` is served too, so the director can
+// open the console straight from this machine without internet access.
+//
+// Usage: node server/relay.js [--port 8787]
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist');
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.json': 'application/json',
+};
+
+// Director messages are small JSON cues; anything bigger is a misbehaving client.
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+const portArgIndex = process.argv.indexOf('--port');
+const PORT = Number(portArgIndex > -1 ? process.argv[portArgIndex + 1] : process.env.PORT) || 8787;
+
+const rooms = new Map(); // room code -> Set of sockets
+
+const encodeFrame = (opcode, payload) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+// Parses as many complete frames as the buffer holds. Returns the frames and the unread remainder.
+const decodeFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const isMasked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        const maskLength = isMasked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+        const mask = isMasked ? buffer.subarray(cursor, cursor + 4) : null;
+        cursor += maskLength;
+        const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ opcode, payload });
+        offset = cursor + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+};
+
+const leaveRoom = (socket) => {
+    const peers = rooms.get(socket.room);
+    if (!peers) return;
+    peers.delete(socket);
+    if (peers.size === 0) rooms.delete(socket.room);
+};
+
+const broadcast = (socket, payload) => {
+    const frame = encodeFrame(0x1, payload);
+    for (const peer of rooms.get(socket.room) || []) {
+        if (peer !== socket && !peer.destroyed) peer.write(frame);
+    }
+};
+
+const serveStatic = (req, res) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+        res.writeHead(400).end();
+        return;
+    }
+    let filePath = path.join(DIST_DIR, urlPath);
+    const relativePath = path.relative(DIST_DIR, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        res.writeHead(403).end();
+        return;
+    }
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) filePath = path.join(DIST_DIR, 'index.html');
+    if (!fs.existsSync(filePath)) {
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end('FlowProp relay is running. Run `npm run build` to also serve the app from here.');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+};
+
+const server = http.createServer(serveStatic);
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    let room;
+    try {
+        room = new URL(req.url, 'http://localhost').searchParams.get('room');
+    } catch {
+        room = null;
+    }
+    if (!key || !room) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+
+    socket.room = room;
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(socket);
+    console.log(`[relay] client joined room ${room} (${rooms.get(room).size} connected)`);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        if (pending.length > MAX_PENDING_BYTES) {
+            const status = Buffer.alloc(2);
+            status.writeUInt16BE(1009); // message too big
+            pending = Buffer.alloc(0);
+            socket.pause();
+            socket.end(encodeFrame(0x8, status));
+            return;
+        }
+        for (const { opcode, payload } of frames) {
+            if (opcode === 0x1) broadcast(socket, payload);
+            else if (opcode === 0x9) socket.write(encodeFrame(0xa, payload));
+            else if (opcode === 0x8) socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        }
+    });
+    socket.on('close', () => {
+        leaveRoom(socket);
+        console.log(`[relay] client left room ${room}`);
+    });
+    socket.on('error', () => leaveRoom(socket));
+});
+
+server.listen(PORT, () => {
+    const addresses = Object.values(os.networkInterfaces())
+        .flat()
+        .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+        .map(iface => iface.address);
+    console.log(`[relay] FlowProp director relay listening on port ${PORT}`);
+    for (const address of addresses) console.log(`[relay]   ws://${address}:${PORT}`);
+});
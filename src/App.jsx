@@ -1,16 +1,21 @@
 import React, { useState, useEffect, useContext, createContext, useCallback, useMemo, useRef } from 'react';
-import { MessageSquare, Plus, Settings, Play, Edit3, Trash2, Clock, Users, Search, Edit, ChevronUp, ChevronDown, Camera, Upload, ArrowLeft, X, Check, MoreVertical, ArrowUp, Film, Phone, Video } from 'lucide-react';
+import { MessageSquare, Plus, Settings, Play, Edit3, Trash2, Clock, Users, Search, Edit, ChevronUp, ChevronDown, Camera, Upload, ArrowLeft, X, Check, MoreVertical, ArrowUp, Film, Phone, Video, Radio, Pause, SkipForward, RotateCcw, RefreshCw, Download, AlertTriangle, FileText, Palette, Send, Mic, Timer, Images, Bell, Lock, Signal, Wifi, Zap, User, ZoomIn, Undo2, Redo2, History, ArrowDown, Copy, GripVertical, Clapperboard, ListChecks, Replace } from 'lucide-react';
 
 // --- CONTEXT & PROVIDER ---
 // Manages all application state, including projects, scenes, and live mode simulation.
 const AppContext = createContext();
 
 const AppProvider = ({ children }) => {
-    const [projects, setProjects] = useLocalStorage('flowprop_projects_v3', []);
+    const { projects: storedProjects, setProjects, isLoaded: isStorageLoaded, error: storageError, retry: retryStorage } = useProjectStore();
+    const { record: recordHistory, undo, redo, canUndo, canRedo, restoreCount } = useProjectHistory(storedProjects, setProjects);
     const [currentProjectId, setCurrentProjectId] = useLocalStorage('flowprop_currentProjectId_v3', null);
     const [currentSceneId, setCurrentSceneId] = useState(null);
-    const [appState, setAppState] = useState('welcome'); // welcome, project_overview, scene_editor, live
+    const [appState, setAppState] = useState('welcome'); // welcome, project_overview, scene_editor, live, director
+    const [isSequenceLive, setIsSequenceLive] = useState(false);
 
+    // Deleted projects stay stored with `deletedAt` until they are emptied from the trash.
+    const projects = useMemo(() => storedProjects.filter(p => !p.deletedAt), [storedProjects]);
+    const trashedProjects = useMemo(() => storedProjects.filter(p => p.deletedAt), [storedProjects]);
     const currentProject = useMemo(() => projects.find(p => p.id === currentProjectId), [projects, currentProjectId]);
     const currentScene = useMemo(() => currentProject?.scenes?.find(s => s.id === currentSceneId), [currentProject, currentSceneId]);
 
@@ -19,6 +24,7 @@ const AppProvider = ({ children }) => {
             id: Date.now().toString(),
             name: projectName,
             scenes: [],
+            sequence: [],
             createdAt: new Date().toISOString(),
             lastModified: new Date().toISOString(),
         };
@@ -27,11 +33,14 @@ const AppProvider = ({ children }) => {
         setAppState('project_overview');
     };
 
-    const updateProject = useCallback((projectId, updates) => {
+    // `historyKey` names the edit, so repeated edits of the same thing merge into one undo step.
+    const updateProject = useCallback((projectId, updates, historyKey = Object.keys(updates).join()) => {
+        const project = projects.find(p => p.id === projectId);
+        if (project && HISTORY_KEYS.some(key => key in updates)) recordHistory(project, historyKey);
         setProjects(prev => prev.map(p =>
             p.id === projectId ? { ...p, ...updates, lastModified: new Date().toISOString() } : p
         ));
-    }, [setProjects]);
+    }, [projects, setProjects, recordHistory]);
     
     const addSceneToProject = useCallback((projectId, sceneData) => {
         const newScene = {
@@ -46,6 +55,14 @@ const AppProvider = ({ children }) => {
                 messages: [],
                 messageHistory: {},
                 lockScreen: { background: null },
+                keyboard: { mode: 'onscreen', layout: 'qwerty' },
+                skin: { id: 'imessage' },
+                timing: { ...DEFAULT_TIMING, seed: createTimingSeed() },
+                clock: DEFAULT_CLOCK,
+                notifications: [],
+                groups: [],
+                statusBar: DEFAULT_STATUS_BAR,
+                ...(sceneData.type === 'call' || sceneData.type === 'video' ? { call: createDefaultCallConfig() } : {}),
             }
         };
         updateProject(projectId, { scenes: [...(currentProject?.scenes || []), newScene] });
@@ -54,27 +71,151 @@ const AppProvider = ({ children }) => {
 
     const updateScene = useCallback((sceneId, updates) => {
         if (!currentProject || !currentProject.scenes) return;
+        // Editors write their state back when they mount; unchanged writes are neither saved nor undoable.
+        const scene = currentProject.scenes.find(s => s.id === sceneId);
+        if (!scene || Object.entries(updates).every(([key, value]) => isSameValue(scene.config[key], value))) return;
         const updatedScenes = currentProject.scenes.map(s => 
             s.id === sceneId ? { ...s, config: { ...s.config, ...updates } } : s
         );
-        updateProject(currentProject.id, { scenes: updatedScenes });
+        updateProject(currentProject.id, { scenes: updatedScenes }, `${sceneId}:${Object.keys(updates).join()}`);
     }, [currentProject, updateProject]);
 
     const deleteProject = useCallback((projectId) => {
-        setProjects(prev => prev.filter(p => p.id !== projectId));
+        setProjects(prev => prev.map(p => p.id === projectId ? { ...p, deletedAt: new Date().toISOString() } : p));
         if (currentProjectId === projectId) {
             setCurrentProjectId(null);
             setAppState('welcome');
         }
     }, [projects, currentProjectId, setProjects, setCurrentProjectId]);
 
+    const restoreProject = useCallback((projectId) => {
+        setProjects(prev => prev.map(p => p.id === projectId ? { ...p, deletedAt: null } : p));
+    }, [setProjects]);
+
+    const purgeProjects = useCallback((projectIds) => {
+        setProjects(prev => prev.filter(p => !projectIds.includes(p.id)));
+    }, [setProjects]);
+
+    // Deleted scenes move to the project's `deletedScenes`; sequence steps that use them are kept
+    // and simply skipped until the scene is restored.
+    const deleteScene = useCallback((sceneId) => {
+        const scene = currentProject?.scenes.find(s => s.id === sceneId);
+        if (!scene) return;
+        updateProject(currentProject.id, {
+            scenes: currentProject.scenes.filter(s => s.id !== sceneId),
+            deletedScenes: [...(currentProject.deletedScenes || []), { ...scene, deletedAt: new Date().toISOString() }],
+        });
+    }, [currentProject, updateProject]);
+
+    // An alternate take is the same scene with a new timing seed, grouped under the original.
+    const duplicateScene = useCallback((sceneId, asAlternate = false) => {
+        const scene = currentProject?.scenes.find(s => s.id === sceneId);
+        if (!scene) return;
+        const original = currentProject.scenes.find(s => s.id === scene.alternateOf) || scene;
+        const takes = currentProject.scenes.filter(s => s.id === original.id || s.alternateOf === original.id);
+        const copy = {
+            ...scene,
+            id: Date.now().toString(),
+            name: asAlternate ? `${original.name} (Take ${takes.length + 1})` : `${scene.name} (Copy)`,
+            alternateOf: asAlternate ? original.id : null,
+            config: asAlternate ? { ...scene.config, timing: { ...DEFAULT_TIMING, ...scene.config.timing, seed: createTimingSeed() } } : scene.config,
+        };
+        const index = currentProject.scenes.indexOf(asAlternate ? takes[takes.length - 1] : scene) + 1;
+        updateProject(currentProject.id, { scenes: [...currentProject.scenes.slice(0, index), copy, ...currentProject.scenes.slice(index)] });
+    }, [currentProject, updateProject]);
+
+    const restoreScene = useCallback((sceneId) => {
+        const scene = currentProject?.deletedScenes?.find(s => s.id === sceneId);
+        if (!scene) return;
+        updateProject(currentProject.id, {
+            scenes: [...currentProject.scenes, { ...scene, deletedAt: null }],
+            deletedScenes: currentProject.deletedScenes.filter(s => s.id !== sceneId),
+        });
+    }, [currentProject, updateProject]);
+
+    const purgeScenes = useCallback((sceneIds) => {
+        if (!currentProject) return;
+        updateProject(currentProject.id, { deletedScenes: (currentProject.deletedScenes || []).filter(s => !sceneIds.includes(s.id)) });
+    }, [currentProject, updateProject]);
+
+    const saveRevision = useCallback((name) => {
+        if (!currentProject) return;
+        updateProject(currentProject.id, { revisions: [...(currentProject.revisions || []), createRevision(currentProject, name)] });
+    }, [currentProject, updateProject]);
+
+    // Restoring is an ordinary edit, so it can be undone. Scenes the revision does not have go to the trash.
+    const restoreRevision = useCallback((revision) => {
+        if (!currentProject) return;
+        const isInRevision = (scene) => revision.scenes.some(s => s.id === scene.id);
+        const deletedAt = new Date().toISOString();
+        updateProject(currentProject.id, {
+            scenes: revision.scenes,
+            sequence: revision.sequence,
+            deletedScenes: [
+                ...(currentProject.deletedScenes || []).filter(scene => !isInRevision(scene)),
+                ...currentProject.scenes.filter(scene => !isInRevision(scene)).map(scene => ({ ...scene, deletedAt })),
+            ],
+        });
+    }, [currentProject, updateProject]);
+
+    const deleteRevision = useCallback((revisionId) => {
+        if (!currentProject) return;
+        updateProject(currentProject.id, { revisions: (currentProject.revisions || []).filter(r => r.id !== revisionId) });
+    }, [currentProject, updateProject]);
+
+    // Imported items always get fresh ids so they never overwrite what is already on this device.
+    const importProjects = useCallback((importedProjects) => {
+        const stamp = Date.now();
+        const now = new Date().toISOString();
+        const fresh = importedProjects.map((p, i) => {
+            const revisions = p.revisions || [];
+            const allScenes = [...p.scenes, ...revisions.flatMap(r => r.scenes)];
+            const sceneIds = new Map([...new Set(allScenes.map(scene => scene.id))].map((id, j) => [id, `${stamp}${i}${j}`]));
+            const remapScenes = (scenes) => scenes.map(scene => ({ ...scene, id: sceneIds.get(scene.id), alternateOf: sceneIds.get(scene.alternateOf) || null }));
+            const remapSequence = (sequence = []) => sequence.map(step => ({ ...step, sceneId: sceneIds.get(step.sceneId) }));
+            return {
+                ...p,
+                id: `${stamp}${i}`,
+                scenes: remapScenes(p.scenes),
+                sequence: remapSequence(p.sequence),
+                revisions: revisions.map(r => ({ ...r, scenes: remapScenes(r.scenes), sequence: remapSequence(r.sequence) })),
+                deletedScenes: [],
+                deletedAt: null,
+                lastModified: now,
+            };
+        });
+        setProjects(prev => [...prev, ...fresh]);
+        return fresh;
+    }, [setProjects]);
+
+    const importScenes = useCallback((projectId, scenes) => {
+        const stamp = Date.now();
+        const fresh = scenes.map((scene, i) => ({ ...scene, id: `${stamp}${i}` }));
+        const project = projects.find(p => p.id === projectId);
+        if (project) recordHistory(project, null);
+        setProjects(prev => prev.map(p =>
+            p.id === projectId ? { ...p, scenes: [...(p.scenes || []), ...fresh], lastModified: new Date().toISOString() } : p
+        ));
+        return fresh;
+    }, [projects, setProjects, recordHistory]);
+
     const startLiveMode = () => {
         if (!currentScene) return;
+        setIsSequenceLive(false);
         setAppState('live');
     };
 
+    // Live mode starts on the first scene of the sequence and moves through the rest itself.
+    const startSequence = useCallback(() => {
+        const [firstStep] = getSequenceSteps(currentProject);
+        if (!firstStep) return;
+        setCurrentSceneId(firstStep.sceneId);
+        setIsSequenceLive(true);
+        setAppState('live');
+    }, [currentProject]);
+
     const exitLiveMode = () => {
-        setAppState('scene_editor');
+        setAppState(isSequenceLive ? 'project_overview' : 'scene_editor');
     };
 
     const value = useMemo(() => ({
@@ -83,11 +224,19 @@ const AppProvider = ({ children }) => {
         currentScene, currentSceneId, setCurrentSceneId,
         createProject, updateProject, deleteProject,
         addSceneToProject, updateScene,
-        startLiveMode, exitLiveMode,
+        importProjects, importScenes,
+        trashedProjects, restoreProject, purgeProjects, deleteScene, duplicateScene, restoreScene, purgeScenes,
+        undo, redo, canUndo, canRedo, restoreCount,
+        saveRevision, restoreRevision, deleteRevision,
+        startLiveMode, startSequence, exitLiveMode, isSequenceLive,
+        isStorageLoaded, storageError, retryStorage,
     }), [
-        projects, currentProject, appState, currentScene, currentSceneId,
+        projects, currentProject, appState, currentScene, currentSceneId, isStorageLoaded, storageError, retryStorage,
         setCurrentProjectId, setAppState, setCurrentSceneId,
-        createProject, updateProject, deleteProject, addSceneToProject, updateScene, startLiveMode, exitLiveMode
+        createProject, updateProject, deleteProject, addSceneToProject, updateScene, importProjects, importScenes,
+        trashedProjects, restoreProject, purgeProjects, deleteScene, duplicateScene, restoreScene, purgeScenes,
+        undo, redo, canUndo, canRedo, restoreCount, saveRevision, restoreRevision, deleteRevision,
+        startLiveMode, startSequence, exitLiveMode, isSequenceLive
     ]);
 
     return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
@@ -100,8 +249,9 @@ function useLocalStorage(key, initialValue) {
     const [storedValue, setStoredValue] = useState(() => {
         try {
             const item = window.localStorage.getItem(key);
-            return item ? JSON.parse(item) : initialValue;
-        } catch (error) { console.error(error); return initialValue; }
+            if (item) return JSON.parse(item);
+        } catch (error) { console.error(error); }
+        return initialValue instanceof Function ? initialValue() : initialValue;
     });
     const setValue = useCallback((value) => {
         try {
@@ -113,480 +263,5994 @@ function useLocalStorage(key, initialValue) {
     return [storedValue, setValue];
 }
 
-const useForcedTyping = (scriptText, onComplete) => {
-    const [displayText, setDisplayText] = useState('');
-    const [scriptIndex, setScriptIndex] = useState(0);
+// Walks the typing plan for `message` (or plain `scriptText`) one step per key. Backspace steps
+// back, unless the next step is a scripted backspace, which it then plays. `onCharacter` takes
+// over every typed key (the key is passed on) instead of typing the script, and `initialLength`
+// starts with that many steps already typed.
+const useForcedTyping = (scriptText, onComplete, { initialLength = 0, onCharacter, message } = {}) => {
+    const steps = useMemo(() => buildTypingPlan(message || { text: scriptText }), [message, scriptText]);
+    const [stepIndex, setStepIndex] = useState(() => Math.min(initialLength, steps.length));
+    const displayText = steps[stepIndex - 1]?.text ?? '';
+    const nextStep = steps[stepIndex];
+    const isComplete = !onCharacter && (!nextStep || (nextStep.onSend && stepIndex === steps.length - 1));
+    const mode = message ? getTypingMode(message) : 'exact';
+
+    const typeNext = useCallback((key) => {
+        if (onCharacter) {
+            onCharacter(key);
+            return;
+        }
+        if (stepIndex < steps.length) setStepIndex(stepIndex + 1);
+    }, [steps, stepIndex, onCharacter]);
+
+    const deleteBackward = useCallback(() => {
+        if (nextStep?.isBackspace) setStepIndex(stepIndex + 1);
+        else if (stepIndex > 0) setStepIndex(stepIndex - 1);
+    }, [nextStep, stepIndex]);
+
+    const submit = useCallback(() => {
+        if (isComplete) {
+            onComplete(steps.length ? steps[steps.length - 1].text : displayText);
+        }
+    }, [isComplete, steps, displayText, onComplete]);
 
     const handleKeyDown = useCallback((e) => {
         e.preventDefault();
         
-        if (e.key === 'Backspace') {
-            if (scriptIndex > 0) {
-                setDisplayText(prev => prev.slice(0, -1));
-                setScriptIndex(prev => prev - 1);
-            }
-        } else if (e.key === 'Enter') {
-            if (scriptIndex >= scriptText.length) {
-                onComplete(displayText);
-            }
-        } else if (e.key.length === 1) { // Any standard character
-            if (scriptIndex < scriptText.length) {
-                const nextChar = scriptText[scriptIndex];
-                setDisplayText(prev => prev + nextChar);
-                setScriptIndex(prev => prev + 1);
-            }
-        }
-    }, [scriptText, scriptIndex, displayText, onComplete]);
-
-    const isComplete = scriptIndex >= scriptText.length;
+        if (e.key === 'Backspace') deleteBackward();
+        else if (e.key === 'Enter') submit();
+        else if (e.key.length === 1) typeNext(e.key); // Any standard character
+    }, [deleteBackward, submit, typeNext]);
 
-    return { displayText, handleKeyDown, isComplete };
-};
+    const nextChar = nextStep?.key ?? null;
 
+    // The suggestion bar offers the correction autocorrect is about to make, or in suggestion
+    // mode the rest of the current word, which a tap types along with the space after it.
+    let suggestion = null;
+    if (!onCharacter && nextStep?.corrected) {
+        const { start, end } = nextStep.corrected;
+        suggestion = { typed: displayText.slice(start), word: nextStep.text.slice(start, end), isCorrection: true, onAccept: () => setStepIndex(stepIndex + 1) };
+    } else if (!onCharacter && nextStep && mode === 'suggestions') {
+        const wordStart = displayText.search(/\S*$/);
+        const chunk = scriptText.slice(wordStart).match(/^\S*\s*/)[0];
+        const target = steps.findIndex(step => step.text.length >= wordStart + chunk.length) + 1;
+        if (chunk.trim()) suggestion = { typed: displayText.slice(wordStart), word: chunk.trim(), onAccept: () => setStepIndex(target) };
+    }
 
-// --- UI COMPONENTS ---
-const Button = ({ children, onClick, variant = 'primary', className = '', icon: Icon, ...props }) => {
-    const baseStyle = 'flex items-center justify-center px-4 py-2 rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed active:scale-95';
-    const variants = {
-        primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500',
-        secondary: 'bg-gray-200 text-gray-800 hover:bg-gray-300 focus:ring-gray-400',
-        danger: 'bg-red-600 text-white hover:bg-red-700 focus:ring-red-500',
-        ghost: 'bg-transparent text-gray-700 hover:bg-gray-100'
+    return {
+        displayText, handleKeyDown, typeNext, deleteBackward, submit, isComplete, nextChar,
+        suggestion, hasSuggestionBar: mode === 'suggestions' || mode === 'autocorrect',
+        highlight: steps[stepIndex - 1]?.corrected || null,
     };
-    return <button onClick={onClick} className={`${baseStyle} ${variants[variant]} ${className}`} {...props}>{Icon && <Icon className="w-5 h-5 mr-2" />}{children}</button>;
 };
 
-const Modal = ({ children, isOpen, onClose }) => {
-    if (!isOpen) return null;
-    return (
-        <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4" onClick={onClose}>
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6" onClick={e => e.stopPropagation()}>
-                {children}
-            </div>
-        </div>
-    );
+const useCameraStream = (enabled, facingMode = 'user') => {
+    const [stream, setStream] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!enabled) return;
+        if (!navigator.mediaDevices?.getUserMedia) {
+            setError('Camera is not available on this device.');
+            return;
+        }
+        let active = true;
+        let mediaStream = null;
+        navigator.mediaDevices.getUserMedia({ video: { facingMode }, audio: false })
+            .then(s => {
+                if (!active) { s.getTracks().forEach(t => t.stop()); return; }
+                mediaStream = s;
+                setStream(s);
+            })
+            .catch(err => { if (active) setError(err.message || 'Camera permission denied.'); });
+        return () => {
+            active = false;
+            mediaStream?.getTracks().forEach(t => t.stop());
+            setStream(null);
+        };
+    }, [enabled, facingMode]);
+
+    return { stream, error };
 };
 
-const DelaySelector = ({ label, value, onChange, disabled }) => {
-    const isNatural = value === 'natural';
-    const numericValue = isNatural ? 0 : parseInt(value, 10);
+// Timeouts that pause and resume together while `isPaused` is set. Each `schedule` returns a
+// function that cancels just that timeout; `clear` cancels all of them, as does unmounting.
+const usePausableTimer = (isPaused = false) => {
+    const entriesRef = useRef(new Set()); // { id, callback, fireAt, remaining }
+    const pausedRef = useRef(isPaused);
 
-    const handleChange = (change) => {
-        if (disabled) return;
-        const newValue = Math.max(0, numericValue + change);
-        onChange(newValue);
-    };
+    const startEntry = useCallback((entry) => {
+        entry.fireAt = Date.now() + entry.remaining;
+        entry.id = setTimeout(() => {
+            entriesRef.current.delete(entry);
+            entry.callback();
+        }, entry.remaining);
+    }, []);
 
-    const toggleNatural = () => {
-        if (disabled) return;
-        onChange(isNatural ? 1 : 'natural');
-    };
+    const clear = useCallback(() => {
+        entriesRef.current.forEach(entry => clearTimeout(entry.id));
+        entriesRef.current.clear();
+    }, []);
 
-    return (
-        <div className={`flex items-center justify-between ${disabled ? 'opacity-50' : ''}`}>
-            <span className="text-sm text-gray-600">{label}</span>
-            <div className="flex items-center space-x-2">
-                <div className="flex items-center border border-gray-300 rounded-md overflow-hidden">
-                    <button onClick={() => handleChange(-1)} disabled={disabled || isNatural} className="p-1.5 hover:bg-gray-100 disabled:opacity-50"><ChevronDown size={16} /></button>
-                    <span className="px-3 text-sm font-mono">{isNatural ? 'Auto' : `${numericValue}s`}</span>
-                    <button onClick={() => handleChange(1)} disabled={disabled || isNatural} className="p-1.5 hover:bg-gray-100 disabled:opacity-50"><ChevronUp size={16} /></button>
-                </div>
-                <button
-                    onClick={toggleNatural}
-                    disabled={disabled}
-                    className={`text-xs px-2 py-1 rounded ${isNatural ? 'bg-blue-100 text-blue-700 border border-blue-300' : 'bg-gray-100 text-gray-700 border border-gray-300'}`}
-                >
-                    Natural
-                </button>
-            </div>
-        </div>
-    );
-};
+    const schedule = useCallback((callback, ms) => {
+        const entry = { id: null, callback, fireAt: null, remaining: Math.max(0, ms) };
+        entriesRef.current.add(entry);
+        if (!pausedRef.current) startEntry(entry);
+        return () => {
+            clearTimeout(entry.id);
+            entriesRef.current.delete(entry);
+        };
+    }, [startEntry]);
 
-// --- SCREEN COMPONENTS ---
+    useEffect(() => {
+        pausedRef.current = isPaused;
+        entriesRef.current.forEach(entry => {
+            if (isPaused && entry.id) {
+                clearTimeout(entry.id);
+                entry.id = null;
+                entry.remaining = Math.max(0, entry.fireAt - Date.now());
+            } else if (!isPaused && !entry.id) {
+                startEntry(entry);
+            }
+        });
+    }, [isPaused, startEntry]);
 
-const WelcomeScreen = () => {
-    const { projects, setAppState, setCurrentProjectId, createProject, deleteProject } = useApp();
-    const [isCreating, setIsCreating] = useState(false);
-    const [projectName, setProjectName] = useState('');
+    // Fires the timeout that is due soonest straight away.
+    const fireNow = useCallback(() => {
+        const [entry] = [...entriesRef.current].sort((a, b) => (a.fireAt ?? Infinity) - (b.fireAt ?? Infinity));
+        if (!entry) return false;
+        clearTimeout(entry.id);
+        entriesRef.current.delete(entry);
+        entry.callback();
+        return true;
+    }, []);
 
-    const handleCreate = () => {
-        if (!projectName.trim()) return;
-        createProject(projectName);
-        setProjectName('');
-        setIsCreating(false);
-    };
+    useEffect(() => clear, [clear]);
 
-    return (
-        <div className="min-h-screen bg-gray-50 flex flex-col items-center justify-center p-4 safe-padding">
-            <div className="text-center mb-10">
-                <MessageSquare className="w-16 h-16 text-blue-600 mx-auto mb-4" />
-                <h1 className="text-4xl font-bold text-gray-800">FlowProp</h1>
-                <p className="text-lg text-gray-500 mt-2">Professional messaging for film.</p>
-            </div>
-            <div className="w-full max-w-sm space-y-4">
-                <Button onClick={() => setIsCreating(true)} icon={Plus} className="w-full py-3 text-lg">New Project</Button>
-                {projects.length > 0 && (
-                    <div className="bg-white rounded-xl shadow-md p-4">
-                        <h3 className="font-semibold text-gray-700 mb-3 px-2">Recent Projects</h3>
-                        <div className="space-y-1 max-h-80 overflow-y-auto">
-                            {projects.sort((a,b) => new Date(b.lastModified) - new Date(a.lastModified)).map(p => (
-                                <div key={p.id} className="group flex items-center justify-between p-2 rounded-lg hover:bg-gray-100">
-                                    <button onClick={() => { setCurrentProjectId(p.id); setAppState('project_overview'); }} className="text-left flex-grow">
-                                        <div className="font-medium text-gray-800">{p.name}</div>
-                                        <div className="text-sm text-gray-500">{p.scenes?.length || 0} scene(s) &bull; {new Date(p.lastModified).toLocaleDateString()}</div>
-                                    </button>
-                                    <button onClick={() => deleteProject(p.id)} className="p-2 text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"><Trash2 size={16} /></button>
-                                </div>
-                            ))}
-                        </div>
-                    </div>
-                )}
-            </div>
-            <Modal isOpen={isCreating} onClose={() => setIsCreating(false)}>
-                <h3 className="text-xl font-bold mb-4">New Project</h3>
-                <input type="text" value={projectName} onChange={e => setProjectName(e.target.value)} placeholder="Project Name" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 mb-4" autoFocus />
-                <div className="flex justify-end space-x-2">
-                    <Button variant="secondary" onClick={() => setIsCreating(false)}>Cancel</Button>
-                    <Button onClick={handleCreate} disabled={!projectName.trim()}>Create</Button>
-                </div>
-            </Modal>
-        </div>
-    );
+    return { schedule, clear, fireNow };
 };
 
-const ProjectOverviewScreen = () => {
-    const { currentProject, setAppState, setCurrentSceneId, addSceneToProject } = useApp();
-    const [isAddingScene, setIsAddingScene] = useState(false);
-    const [sceneName, setSceneName] = useState('');
-    const [sceneType, setSceneType] = useState('message');
+// --- DIRECTOR REMOTE ---
+// The prop phone and the director console exchange JSON messages over a BroadcastChannel
+// (two tabs on one device) or through the LAN relay in server/relay.js, joined by room code.
+const DIRECTOR_SETTINGS_KEY = 'flowprop_director_v3';
 
-    if (!currentProject) {
-        return <div className="p-4">Loading project...</div>;
-    }
+// Script lines as the director console lists them.
+const toDirectorScript = (messages, participants) => messages.map(m => ({
+    participant: participants.find(p => p.id === m.participantId)?.name || '?',
+    isActor: m.participantId === 'you',
+    text: describeMessage(m, participants),
+}));
 
-    const handleAddScene = () => {
-        if (!sceneName.trim()) return;
-        const newScene = addSceneToProject(currentProject.id, { name: sceneName, type: sceneType });
-        setSceneName('');
-        setSceneType('message');
-        setIsAddingScene(false);
-        setCurrentSceneId(newScene.id);
-        setAppState('scene_editor');
-    };
+const createRoomCode = () => String(Math.floor(1000 + Math.random() * 9000));
 
-    const sceneIcons = { message: MessageSquare, call: Phone, video: Video };
+const DEFAULT_DIRECTOR_SETTINGS = {
+    enabled: false,
+    transport: 'broadcast', // broadcast, websocket
+    relayUrl: `ws://${window.location.hostname || 'localhost'}:8787`,
+};
 
-    return (
-        <div className="min-h-screen bg-gray-50 p-4 safe-padding">
-            <header className="flex items-center justify-between mb-8">
-                <button onClick={() => setAppState('welcome')} className="p-2 rounded-full hover:bg-gray-200"><ArrowLeft size={20} /></button>
-                <h1 className="text-2xl font-bold text-gray-800">{currentProject.name}</h1>
-                <div className="w-8"></div>
-            </header>
-            <div className="space-y-3">
-                {currentProject.scenes && currentProject.scenes.map(scene => {
-                    const Icon = sceneIcons[scene.type] || Film;
-                    return (
-                        <button key={scene.id} onClick={() => { setCurrentSceneId(scene.id); setAppState('scene_editor'); }} className="w-full bg-white p-4 rounded-lg shadow-sm border flex items-center space-x-4 text-left hover:border-blue-500 transition-colors">
-                            <Icon className="w-6 h-6 text-gray-500" />
-                            <div>
-                                <p className="font-semibold text-gray-800">{scene.name}</p>
-                                <p className="text-sm text-gray-500 capitalize">{scene.type}</p>
-                            </div>
-                        </button>
-                    );
-                })}
-                <Button onClick={() => setIsAddingScene(true)} variant="secondary" icon={Plus} className="w-full">Add Scene</Button>
-            </div>
-            <Modal isOpen={isAddingScene} onClose={() => setIsAddingScene(false)}>
-                <h3 className="text-xl font-bold mb-4">Add New Scene</h3>
-                <input type="text" value={sceneName} onChange={e => setSceneName(e.target.value)} placeholder="Scene Name (e.g., 'Opening')" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 mb-4" autoFocus />
-                <div className="grid grid-cols-3 gap-2 mb-6">
-                    {[{id: 'message', name: 'Message', icon: MessageSquare}, {id: 'call', name: 'Call', icon: Phone}, {id: 'video', name: 'Video Call', icon: Video}].map(item => (
-                        <button key={item.id} onClick={() => setSceneType(item.id)} className={`p-3 border rounded-lg flex flex-col items-center justify-center space-y-2 transition-all ${sceneType === item.id ? 'border-blue-500 bg-blue-50 ring-2 ring-blue-200' : 'border-gray-300 bg-white hover:border-gray-400'}`}>
-                            <item.icon className="w-6 h-6" />
-                            <span className="text-sm font-medium">{item.name}</span>
-                        </button>
-                    ))}
-                </div>
-                <div className="flex justify-end space-x-2">
-                    <Button variant="secondary" onClick={() => setIsAddingScene(false)}>Cancel</Button>
-                    <Button onClick={handleAddScene} disabled={!sceneName.trim()}>Add Scene</Button>
-                </div>
-            </Modal>
-        </div>
-    );
+// The pairing code is rolled once and stored straight away, so the prop and the console keep
+// matching across reloads.
+const createDirectorSettings = () => {
+    const settings = { ...DEFAULT_DIRECTOR_SETTINGS, room: createRoomCode() };
+    try {
+        window.localStorage.setItem(DIRECTOR_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) { console.error(error); }
+    return settings;
 };
 
-const SceneEditorScreen = () => {
-    const { currentProject, currentScene, setAppState, startLiveMode, updateScene } = useApp();
-    const [activeTab, setActiveTab] = useState('script');
+const useDirectorChannel = (config, onMessage) => {
+    const [connected, setConnected] = useState(false);
+    const [error, setError] = useState(null);
+    const channelRef = useRef(null);
+    const onMessageRef = useRef(onMessage);
+    const { transport, relayUrl, room, role } = config || {};
 
-    if (!currentScene) return <div className="p-4">Loading scene...</div>;
+    useEffect(() => { onMessageRef.current = onMessage; }, [onMessage]);
 
-    const tabs = [
-        { id: 'script', label: 'Script', icon: Edit3 },
-        { id: 'participants', label: 'Participants', icon: Users },
-    ];
-    if (currentScene.config.scenarioType === 'contacts') tabs.push({ id: 'history', label: 'History', icon: Clock });
-    if (currentScene.config.scenarioType === 'lockscreen') tabs.push({ id: 'lockscreen', label: 'Lock Screen', icon: Camera });
+    useEffect(() => {
+        if (!transport || !room) return;
+        let closed = false;
+        const handleIncoming = (data) => {
+            try {
+                const message = typeof data === 'string' ? JSON.parse(data) : data;
+                if (message?.from !== role) onMessageRef.current?.(message);
+            } catch (err) { console.error(err); }
+        };
 
-    return (
-        <div className="flex flex-col h-screen bg-gray-100 safe-padding">
-            <header className="bg-white border-b border-gray-200 p-4 flex items-center justify-between">
-                <div className="flex items-center min-w-0">
-                    <button onClick={() => setAppState('project_overview')} className="p-2 rounded-full hover:bg-gray-100 mr-2 flex-shrink-0"><ArrowLeft size={20} /></button>
-                    <div className="min-w-0">
-                        <h1 className="text-lg font-bold text-gray-800 truncate">{currentScene.name}</h1>
-                        <p className="text-xs text-gray-500">{currentProject.name}</p>
-                    </div>
-                </div>
-                <Button onClick={startLiveMode} icon={Play}>Go Live</Button>
-            </header>
-            
-            <div className="p-4 bg-white border-b">
-                <select value={currentScene.config.scenarioType} onChange={e => updateScene(currentScene.id, { scenarioType: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md text-sm">
-                    <option value="direct">Direct Chat Start</option>
-                    <option value="contacts">Messages List Start</option>
-                    <option value="lockscreen">Lock Screen Start</option>
-                </select>
-            </div>
+        if (transport === 'broadcast') {
+            if (typeof BroadcastChannel === 'undefined') {
+                setError('BroadcastChannel is not supported in this browser.');
+                return;
+            }
+            const channel = new BroadcastChannel(`flowprop-director-${room}`);
+            channel.onmessage = (e) => handleIncoming(e.data);
+            channelRef.current = { send: (message) => channel.postMessage(message) };
+            channel.postMessage({ from: role, type: 'hello' });
+            setConnected(true);
+            setError(null);
+            return () => { closed = true; channel.close(); channelRef.current = null; setConnected(false); };
+        }
 
-            <nav className="bg-white border-b border-gray-200"><div className="flex space-x-1 px-2">
-                {tabs.map(tab => (
-                    <button key={tab.id} onClick={() => setActiveTab(tab.id)} className={`flex-1 flex items-center justify-center space-x-2 px-3 py-3 text-sm font-medium transition-colors ${activeTab === tab.id ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500 hover:text-gray-700'}`}>
-                        <tab.icon size={16} /><span>{tab.label}</span>
-                    </button>
-                ))}
-            </div></nav>
+        let socket = null;
+        let retryTimer = null;
+        let attempt = 0;
+        const open = () => {
+            try {
+                socket = new WebSocket(`${relayUrl.replace(/\/$/, '')}/?room=${encodeURIComponent(room)}`);
+            } catch (err) {
+                setError(`Invalid relay address: ${err.message}`);
+                return;
+            }
+            socket.onopen = () => {
+                attempt = 0;
+                channelRef.current = { send: (message) => socket.readyState === WebSocket.OPEN && socket.send(JSON.stringify(message)) };
+                socket.send(JSON.stringify({ from: role, type: 'hello' }));
+                setConnected(true);
+                setError(null);
+            };
+            socket.onmessage = (e) => handleIncoming(e.data);
+            socket.onclose = () => {
+                channelRef.current = null;
+                setConnected(false);
+                if (closed) return;
+                setError(`Relay unreachable at ${relayUrl}, retrying…`);
+                retryTimer = setTimeout(open, Math.min(1000 * 2 ** attempt++, 10000));
+            };
+        };
+        open();
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            socket?.close();
+            channelRef.current = null;
+            setConnected(false);
+        };
+    }, [transport, relayUrl, room, role]);
 
-            <main className="flex-1 overflow-y-auto">
-                {activeTab === 'script' && <ScriptEditor key={currentScene.id} />}
-                {activeTab === 'participants' && <ParticipantsEditor key={currentScene.id} />}
-                {activeTab === 'history' && <MessageHistoryEditor key={currentScene.id} />}
-                {activeTab === 'lockscreen' && <LockScreenEditor key={currentScene.id} />}
-            </main>
-        </div>
-    );
+    const send = useCallback((message) => { channelRef.current?.send({ ...message, from: role }); }, [role]);
+
+    return { connected, error, send };
 };
 
-const ScriptEditor = () => {
-    const { currentScene, updateScene } = useApp();
-    const [messages, setMessages] = useState(currentScene.config.messages || []);
+// --- KIOSK ---
+// A locked-down live mode for takes: no visible exit, the screen stays awake and fullscreen, and
+// the browser ignores navigation, pull to refresh, pinch zoom and long-press menus.
+const KIOSK_SETTINGS_KEY = 'flowprop_kiosk_v3';
 
-    const updateLocalMessage = (index, updates) => {
-        const newMessages = [...messages];
-        newMessages[index] = { ...newMessages[index], ...updates };
-        setMessages(newMessages);
-    };
-    const addMessage = () => setMessages([...messages, { 
-        id: Date.now().toString(), 
-        participantId: 'you', 
-        text: '',
-        startDelay: 1,
-        typingDelay: 'natural'
-    }]);
-    const removeMessage = (index) => setMessages(messages.filter((_, i) => i !== index));
-    
-    useEffect(() => { updateScene(currentScene.id, { messages }); }, [messages, currentScene.id, updateScene]);
+const DEFAULT_KIOSK_SETTINGS = {
+    enabled: false,
+    exitGesture: 'corners', // corners, taps, panel
+    pin: '',
+};
+
+const KIOSK_EXIT_GESTURES = [
+    { id: 'corners', label: 'Tap the four corners', hint: 'Tap top left, top right, bottom right, then bottom left within four seconds.' },
+    { id: 'taps', label: 'Tap the top edge five times', hint: 'Five quick taps along the very top of the screen.' },
+    { id: 'panel', label: 'Exit in the take panel', hint: 'Long-press the top-right corner to open the take panel, which then shows an Exit button.' },
+];
+
+const KIOSK_CORNER_SEQUENCE = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+const KIOSK_CORNERS_WINDOW_MS = 4000;
+const KIOSK_TAP_INTERVAL_MS = 600;
+const KIOSK_TAP_COUNT = 5;
+const KIOSK_EDGE_PX = 40;
+
+// Whether the latest presses ({ corner, top, at }, oldest first) complete the exit gesture.
+const matchesExitGesture = (gesture, history) => {
+    if (gesture === 'corners') {
+        const recent = history.slice(-KIOSK_CORNER_SEQUENCE.length);
+        return recent.length === KIOSK_CORNER_SEQUENCE.length
+            && recent.every((press, i) => press.corner === KIOSK_CORNER_SEQUENCE[i])
+            && recent[recent.length - 1].at - recent[0].at <= KIOSK_CORNERS_WINDOW_MS;
+    }
+    if (gesture === 'taps') {
+        const recent = history.slice(-KIOSK_TAP_COUNT);
+        return recent.length === KIOSK_TAP_COUNT
+            && recent.every((press, i) => press.top && (i === 0 || press.at - recent[i - 1].at <= KIOSK_TAP_INTERVAL_MS));
+    }
+    return false;
+};
+
+// Whether the latest press continues an exit gesture already under way, in which case it is kept
+// from the prop underneath. The opening press goes through, so the chat's back button in the top
+// left corner keeps working.
+const continuesExitGesture = (gesture, history) => {
+    const [previous, press] = history.slice(-2);
+    if (gesture === 'taps') return !!(previous?.top && press?.top && press.at - previous.at <= KIOSK_TAP_INTERVAL_MS);
+    if (gesture === 'corners') {
+        return KIOSK_CORNER_SEQUENCE.slice(1).some((_, index) => {
+            const recent = history.slice(-(index + 2));
+            return recent.length === index + 2
+                && recent.every((step, i) => step.corner === KIOSK_CORNER_SEQUENCE[i])
+                && recent[recent.length - 1].at - recent[0].at <= KIOSK_CORNERS_WINDOW_MS;
+        });
+    }
+    return false;
+};
+
+const useKioskMode = (enabled) => {
+    useEffect(() => {
+        if (!enabled) return;
+        const root = document.documentElement;
+        const previousStyles = { overscrollBehavior: root.style.overscrollBehavior, webkitTouchCallout: root.style.webkitTouchCallout, bodyOverscroll: document.body.style.overscrollBehavior };
+        root.style.overscrollBehavior = 'none';
+        root.style.webkitTouchCallout = 'none';
+        document.body.style.overscrollBehavior = 'none';
+
+        let wakeLock = null;
+        let isReleased = false;
+        const requestWakeLock = () => {
+            if (!navigator.wakeLock || document.visibilityState !== 'visible') return;
+            navigator.wakeLock.request('screen')
+                .then(lock => { if (isReleased) lock.release(); else wakeLock = lock; })
+                .catch(() => {});
+        };
+        requestWakeLock();
+        root.requestFullscreen?.({ navigationUI: 'hide' }).catch(() => {});
+
+        const preventDefault = (e) => e.preventDefault();
+        const blockUnload = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        // Back lands on a history entry of our own, which is pushed again; leaving kiosk pops it.
+        const blockBack = () => window.history.pushState({ flowpropKiosk: true }, '', window.location.href);
+        blockBack();
+        window.addEventListener('popstate', blockBack);
+        window.addEventListener('beforeunload', blockUnload);
+        document.addEventListener('contextmenu', preventDefault);
+        document.addEventListener('gesturestart', preventDefault);
+        document.addEventListener('visibilitychange', requestWakeLock);
+
+        return () => {
+            isReleased = true;
+            wakeLock?.release().catch(() => {});
+            window.removeEventListener('popstate', blockBack);
+            if (window.history.state?.flowpropKiosk) window.history.back();
+            window.removeEventListener('beforeunload', blockUnload);
+            document.removeEventListener('contextmenu', preventDefault);
+            document.removeEventListener('gesturestart', preventDefault);
+            document.removeEventListener('visibilitychange', requestWakeLock);
+            if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+            root.style.overscrollBehavior = previousStyles.overscrollBehavior;
+            root.style.webkitTouchCallout = previousStyles.webkitTouchCallout;
+            document.body.style.overscrollBehavior = previousStyles.bodyOverscroll;
+        };
+    }, [enabled]);
+};
+
+// --- CALL HELPERS ---
+const CALL_EVENT_TYPES = [
+    { id: 'connect', label: 'Connect' },
+    { id: 'hold', label: 'Hold' },
+    { id: 'resume', label: 'Resume' },
+    { id: 'hangup', label: 'Hang Up' },
+    { id: 'failed', label: 'Call Failed' },
+];
+
+const createDefaultCallConfig = () => ({
+    direction: 'incoming', // incoming, outgoing
+    callerName: 'Contact 1',
+    callerLabel: 'mobile',
+    callerPhoto: null,
+    callerAvatar: 'gray',
+    ringDuration: 30,
+    events: [],
+    video: { remoteSource: 'image', remoteImage: null, pipSource: 'camera', pipImage: null },
+});
+
+const formatCallDuration = (seconds) => {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+// --- KEYBOARD LAYOUTS ---
+// Letter rows per language, plus the shared number and symbol pages of the iOS keyboard.
+const KEYBOARD_LAYOUTS = {
+    qwerty: {
+        label: 'English (QWERTY)',
+        letters: [
+            ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
+            ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l'],
+            ['z', 'x', 'c', 'v', 'b', 'n', 'm'],
+        ],
+        currency: '$',
+        space: 'space',
+        return: 'return',
+    },
+    swedish: {
+        label: 'Svenska',
+        letters: [
+            ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', 'å'],
+            ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'ö', 'ä'],
+            ['z', 'x', 'c', 'v', 'b', 'n', 'm'],
+        ],
+        currency: 'kr',
+        space: 'blanksteg',
+        return: 'retur',
+    },
+    german: {
+        label: 'Deutsch',
+        letters: [
+            ['q', 'w', 'e', 'r', 't', 'z', 'u', 'i', 'o', 'p', 'ü'],
+            ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'ö', 'ä'],
+            ['y', 'x', 'c', 'v', 'b', 'n', 'm'],
+        ],
+        currency: '€',
+        space: 'Leerzeichen',
+        return: 'Return',
+    },
+};
+
+const getKeyboardPage = (layout, page) => {
+    if (page === 'numbers') return [
+        ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+        ['-', '/', ':', ';', '(', ')', layout.currency, '&', '@', '"'],
+        ['.', ',', '?', '!', "'"],
+    ];
+    if (page === 'symbols') return [
+        ['[', ']', '{', '}', '#', '%', '^', '*', '+', '='],
+        ['_', '\\', '|', '~', '<', '>', '€', '£', '¥', '•'],
+        ['.', ',', '?', '!', "'"],
+    ];
+    return layout.letters;
+};
+
+
+// --- MESSAGE EVENTS ---
+// Script entries are events. Bubble kinds add a bubble to the thread; the others change
+// earlier bubbles (reaction, unsend) or the receipt line under the actor's last bubble.
+const MESSAGE_KINDS = [
+    { id: 'text', label: 'Text' },
+    { id: 'photo', label: 'Photo' },
+    { id: 'voice', label: 'Voice Note' },
+    { id: 'link', label: 'Link' },
+    { id: 'reaction', label: 'Reaction' },
+    { id: 'unsend', label: 'Unsend' },
+    { id: 'receipt', label: 'Receipt' },
+    { id: 'system', label: 'Group Event' },
+    { id: 'branch', label: 'Actor Choice' },
+];
+
+const SYSTEM_ACTIONS = [
+    { id: 'added', label: 'Added someone', needsTarget: true },
+    { id: 'removed', label: 'Removed someone', needsTarget: true },
+    { id: 'left', label: 'Left the group' },
+    { id: 'joined', label: 'Joined the group' },
+    { id: 'renamed', label: 'Renamed the group', needsText: true },
+    { id: 'custom', label: 'Custom text', needsText: true },
+];
+
+const TAPBACKS = [
+    { id: 'heart', emoji: '❤️' },
+    { id: 'thumbsup', emoji: '👍' },
+    { id: 'thumbsdown', emoji: '👎' },
+    { id: 'haha', emoji: '😂' },
+    { id: 'emphasis', emoji: '‼️' },
+    { id: 'question', emoji: '❓' },
+];
+
+const EMPTY_CHAT = { bubbles: [], receipt: null };
+
+const getMessageKind = (message) => message.kind || 'text';
+const isBubbleKind = (kind) => kind === 'text' || kind === 'photo' || kind === 'voice' || kind === 'link';
+const hasTypingIndicator = (message) => getMessageKind(message) === 'text' || getMessageKind(message) === 'link';
+// Actor bubbles wait for the actor (forced typing, or tapping send on a staged attachment), and so do branch points.
+const isActorInputEvent = (message) => !!message && (getMessageKind(message) === 'branch' || (message.participantId === 'you' && isBubbleKind(getMessageKind(message))));
+
+const formatSystemEvent = (message, participants = []) => {
+    const nameOf = (id) => getContactName(participants.find(p => p.id === id)) || 'Someone';
+    const actor = nameOf(message.participantId);
+    switch (message.systemAction || 'added') {
+        case 'added': return `${actor} added ${nameOf(message.targetId)}`;
+        case 'removed': return `${actor} removed ${nameOf(message.targetId)}`;
+        case 'left': return `${actor} left the group`;
+        case 'joined': return `${actor} joined the group`;
+        case 'renamed': return `${actor} named the group “${message.text || ''}”`;
+        default: return message.text || '';
+    }
+};
+
+const describeMessage = (message, participants) => {
+    switch (getMessageKind(message)) {
+        case 'photo': return `[Photo]${message.text ? ` ${message.text}` : ''}`;
+        case 'voice': return `[Voice note ${formatCallDuration(message.duration ?? 8)}]`;
+        case 'link': return `[Link] ${message.url || ''}`;
+        case 'reaction': return `[Reaction ${TAPBACKS.find(t => t.id === (message.reaction || 'heart'))?.emoji || ''}]`;
+        case 'unsend': return '[Unsend]';
+        case 'receipt': return `[${message.receipt === 'read' ? 'Read' : 'Delivered'}]`;
+        case 'system': return `[${formatSystemEvent(message, participants)}]`;
+        case 'branch': return `[Choice: ${(message.options || []).map(getOptionLabel).join(' / ')}]`;
+        default: return message.text;
+    }
+};
+
+// Copies a script line with fresh ids, including an actor choice's options and their lines.
+const copyMessage = (message, suffix = 0) => {
+    const id = `${Date.now()}-${suffix}`;
+    return {
+        ...message,
+        id,
+        ...(message.options && { options: message.options.map((option, i) => ({
+            ...option,
+            id: `${id}-${i}`,
+            messages: (option.messages || []).map((line, j) => ({ ...line, id: `${id}-${i}-${j}` })),
+        })) }),
+    };
+};
+
+// Moves the item with `id` next to the one with `targetId`, before or after it.
+const moveById = (items, id, targetId, after) => {
+    const rest = items.filter(item => item.id !== id);
+    const index = rest.findIndex(item => item.id === targetId) + (after ? 1 : 0);
+    return [...rest.slice(0, index), items.find(item => item.id === id), ...rest.slice(index)];
+};
+
+const applyScriptEvent = (chat, message, timestamp = new Date()) => {
+    switch (getMessageKind(message)) {
+        case 'reaction':
+            return {
+                ...chat,
+                bubbles: chat.bubbles.map(b => b.id !== message.targetId ? b : {
+                    ...b,
+                    reactions: [...(b.reactions || []).filter(r => r.participantId !== message.participantId), { participantId: message.participantId, reaction: message.reaction || 'heart' }],
+                }),
+            };
+        case 'unsend':
+            return { ...chat, bubbles: chat.bubbles.map(b => b.id === message.targetId ? { ...b, unsent: true } : b) };
+        case 'receipt':
+            return { ...chat, receipt: { status: message.receipt || 'delivered', time: message.readTime || '', at: timestamp } };
+        default:
+            return { bubbles: [...chat.bubbles, { ...message, timestamp }], receipt: null };
+    }
+};
+
+// Scenes hold one scripted thread per contact and per group. Each message carries the `threadId`
+// of the conversation it belongs to; messages without one belong to the primary thread, which is
+// the first group if there is one and otherwise the first contact.
+const getThreads = (config) => [
+    ...(config.groups || []).map(group => ({ ...group, isGroup: true })),
+    ...config.participants.filter(p => !p.isFixed).map(p => ({ ...p, isGroup: false, memberIds: [p.id] })),
+];
+const getPrimaryThreadId = (config) => getThreads(config)[0]?.id;
+const getThreadId = (message, primaryThreadId) => message.threadId || primaryThreadId;
+const getThreadMessages = (config, threadId) => {
+    const primaryThreadId = getPrimaryThreadId(config);
+    return (config.messages || []).filter(m => getThreadId(m, primaryThreadId) === threadId);
+};
+
+// Members at the start of the take change with the added, removed, left and joined events that
+// have played, and the group name follows the latest rename.
+const getThreadMembers = (thread, chat) => chat.bubbles.filter(b => getMessageKind(b) === 'system').reduce((members, event) => {
+    const action = event.systemAction || 'added';
+    if (action === 'added') return [...members.filter(id => id !== event.targetId), event.targetId];
+    if (action === 'removed') return members.filter(id => id !== event.targetId);
+    if (action === 'joined') return [...members.filter(id => id !== event.participantId), event.participantId];
+    if (action === 'left') return members.filter(id => id !== event.participantId);
+    return members;
+}, thread?.memberIds || []);
+const getThreadName = (thread, chat) => {
+    if (!thread?.isGroup) return getContactName(thread);
+    return chat?.bubbles.findLast(b => getMessageKind(b) === 'system' && b.systemAction === 'renamed' && b.text)?.text || thread.name;
+};
+
+const getChatSubtitle = (thread, chat, participants, typingId, skin) => {
+    if (!thread?.isGroup) return skin.typingStyle === 'header' && typingId ? 'typing…' : getContactLabel(thread) || 'online';
+    const typingName = getContactName(participants.find(p => p.id === typingId));
+    if (skin.typingStyle === 'header' && typingName) return `${typingName} is typing…`;
+    const members = getThreadMembers(thread, chat);
+    return participants.filter(p => members.includes(p.id)).map(getContactName).join(', ');
+};
+
+const MEMBER_COLORS = ['#e5484d', '#30a46c', '#0090ff', '#f76b15', '#8e4ec6', '#12a594', '#d6409f', '#ad7f58'];
+const getParticipantColor = (participants, id) => {
+    const participant = participants.find(p => p.id === id);
+    if (participant?.color) return participant.color;
+    const index = participants.filter(p => !p.isFixed).findIndex(p => p.id === id);
+    return MEMBER_COLORS[Math.max(0, index) % MEMBER_COLORS.length];
+};
+// Initials come from words that start with a letter, so a bare phone number gets none.
+const getInitials = (name = '') => name.split(/\s+/).filter(word => /^\p{L}/u.test(word)).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+
+// The backgrounds iOS draws behind initials when a contact has no photo. `avatar` on a participant
+// holds one of these ids.
+const AVATAR_GRADIENTS = [
+    { id: 'gray', from: '#a5abb9', to: '#858994' },
+    { id: 'blue', from: '#6cb2fa', to: '#2f7cf6' },
+    { id: 'green', from: '#7ed987', to: '#34b04a' },
+    { id: 'orange', from: '#fdb869', to: '#f3872a' },
+    { id: 'red', from: '#fc8c84', to: '#e9473f' },
+    { id: 'pink', from: '#f89cc3', to: '#e1578f' },
+    { id: 'purple', from: '#c39bf0', to: '#8e52d6' },
+    { id: 'teal', from: '#74d6d6', to: '#2aa5b0' },
+];
+const getAvatarBackground = (avatar) => {
+    const gradient = AVATAR_GRADIENTS.find(g => g.id === avatar) || AVATAR_GRADIENTS[0];
+    return `linear-gradient(to bottom, ${gradient.from}, ${gradient.to})`;
+};
+
+// A contact that isn't saved on the prop phone shows up as its number, optionally with the
+// name iOS guesses for it ("Maybe: Jonas"). The editor keeps using `name` either way.
+const getContactName = (contact) => contact?.isUnknown ? contact.phone || 'Unknown' : contact?.name;
+const getContactLabel = (contact) => contact?.isUnknown && contact.maybe ? `Maybe: ${contact.maybe}` : null;
+
+// What a thread looks like when the take starts: older history bubbles, unread count and list time.
+const createThreadStart = (history = {}, now) => {
+    const minutesBefore = (minutes) => new Date(now.getTime() - (minutes || 0) * 60000);
+    const bubbles = (history.bubbles || []).map(bubble => ({ ...bubble, timestamp: minutesBefore(bubble.minutesAgo) }));
+    const updatedAt = bubbles.length ? bubbles[bubbles.length - 1].timestamp : Number.isFinite(history.minutesAgo) ? minutesBefore(history.minutesAgo) : null;
+    return { chat: { bubbles, receipt: null }, scriptIndex: 0, choices: {}, unread: history.unread || 0, updatedAt };
+};
+
+// Deterministic bar heights (0..1) for a voice note, so the same note looks the same every take.
+const createWaveform = (seedText, count = 28) => {
+    let seed = 0;
+    for (let i = 0; i < seedText.length; i++) seed = (seed * 31 + seedText.charCodeAt(i)) >>> 0;
+    return Array.from({ length: count }, () => {
+        seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+        return 0.2 + (seed / 0xffffffff) * 0.8;
+    });
+};
+
+// --- BRANCHES ---
+// A branch point offers the actor several replies. Each option is the actor's reply followed by
+// its own sub-sequence; once that has played the thread carries on after the branch point.
+const BRANCH_SELECTORS = [
+    { id: 'key', label: 'First typed key' },
+    { id: 'zone', label: 'Hidden hot zone' },
+    { id: 'director', label: 'Director only' },
+];
+
+const HOT_ZONES = [
+    { id: 'top-left', label: 'Top left', className: 'top-0 left-0' },
+    { id: 'top-right', label: 'Top right', className: 'top-0 right-0' },
+    { id: 'bottom-left', label: 'Bottom left', className: 'bottom-0 left-0' },
+    { id: 'bottom-right', label: 'Bottom right', className: 'bottom-0 right-0' },
+];
+
+const createBranchOption = (index) => ({
+    id: `${Date.now()}-${index}`,
+    label: '',
+    text: '',
+    key: '',
+    zone: HOT_ZONES[index % HOT_ZONES.length].id,
+    messages: [],
+});
+
+const getOptionLabel = (option) => option.label || option.text || 'Untitled option';
+const getOptionKey = (option) => (option.key || option.text?.[0] || '').toLowerCase();
+const getOptionZone = (branch, option) => option.zone || HOT_ZONES[branch.options.indexOf(option) % HOT_ZONES.length].id;
+
+const getBranchReply = (branch, option) => ({
+    id: `${branch.id}:${option.id}`,
+    threadId: branch.threadId,
+    participantId: 'you',
+    kind: 'text',
+    text: option.text,
+    branchId: branch.id,
+});
+
+// The script as it plays: every chosen option is spliced in where its branch point was, and the
+// script ends at the first branch point `choose` has no option for (choose(branch) -> option id).
+const resolveScript = (messages, choose) => {
+    const resolved = [];
+    const walk = (list) => list.every(message => {
+        if (getMessageKind(message) !== 'branch') {
+            resolved.push(message);
+            return true;
+        }
+        const option = message.options?.find(o => o.id === choose(message));
+        if (!option) {
+            resolved.push(message);
+            return false;
+        }
+        resolved.push(getBranchReply(message, option));
+        return walk(option.messages || []);
+    });
+    walk(messages);
+    return resolved;
+};
+const chooseFirstOption = (branch) => branch.options?.[0]?.id;
+
+// --- TIMING ---
+// 'Natural' delays are drawn from a generator seeded per scene and per message, so every
+// take of a scene plays back with exactly the same rhythm until the seed is changed.
+const DEFAULT_TIMING = { seed: 1, pace: 1, actorCps: 4 };
+const ACTOR_SEND_TIME = 600;
+const PACE_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const PUNCTUATION_PAUSES = { '.': 280, '!': 280, '?': 320, ',': 150, ';': 180, ':': 180, '\n': 420 };
+
+const createTimingSeed = () => Math.floor(Math.random() * 100000);
+
+// mulberry32, seeded from a string
+const createSeededRandom = (seedText) => {
+    let state = 0x811c9dc5;
+    for (let i = 0; i < seedText.length; i++) state = Math.imul(state ^ seedText.charCodeAt(i), 0x01000193);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const getTypedText = (message) => getMessageKind(message) === 'link' ? message.url || '' : message.text || '';
+
+// Plans one script event in milliseconds: the pause before anything happens, then the
+// typing indicator phases (`typing: false` is a hesitation where the indicator disappears).
+const computeMessageTiming = (message, timing = DEFAULT_TIMING) => {
+    const random = createSeededRandom(`${timing.seed}:${message.id}`);
+    const pace = timing.pace || 1;
+    const text = getTypedText(message);
+
+    const startDelay = message.startDelay === 'natural'
+        ? (500 + Math.min(text.length, 120) * 35) * (0.75 + random() * 0.5)
+        : (message.startDelay * 1000) || 1000;
+
+    const phases = [];
+    if (hasTypingIndicator(message)) {
+        if (message.typingDelay === 'natural') {
+            const charTimes = [...text].map(char => 70 * (0.6 + random() * 0.8) + (PUNCTUATION_PAUSES[char] || 0));
+            const typingTime = Math.max(charTimes.reduce((sum, ms) => sum + ms, 0), 900);
+            if (text.length > 15 && random() < 0.35) {
+                const split = 0.3 + random() * 0.4;
+                phases.push(
+                    { typing: true, duration: typingTime * split },
+                    { typing: false, duration: 900 + random() * 1600 },
+                    { typing: true, duration: typingTime * (1 - split) + 400 },
+                );
+            } else {
+                phases.push({ typing: true, duration: typingTime });
+            }
+        } else {
+            phases.push({ typing: true, duration: text.length * (message.typingDelay * 50 || 50) });
+        }
+    }
+
+    const scaled = (ms) => Math.round(ms / pace);
+    return {
+        startDelay: scaled(startDelay),
+        phases: phases.map(phase => ({ ...phase, duration: scaled(phase.duration) })),
+    };
+};
+
+const formatTimingSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Lays the whole script out on one time axis (ms). Actor input has no scripted delay, so it
+// is estimated from the actor's typing speed instead.
+const buildSceneTimeline = (messages, timing = DEFAULT_TIMING) => {
+    let cursor = 0;
+    const entries = messages.map((message, index) => {
+        const start = cursor;
+        const spans = [];
+        if (isActorInputEvent(message)) {
+            const kind = getMessageKind(message);
+            // Scripted typos add keystrokes; whole-word taps still take as long as the letters would.
+            const typingTime = kind === 'text' || kind === 'link' ? Math.max(buildTypingPlan(message).length, getTypedText(message).length) / (timing.actorCps || DEFAULT_TIMING.actorCps) * 1000 : 0;
+            spans.push({ type: 'actor', start, end: start + typingTime + ACTOR_SEND_TIME });
+        } else {
+            const { startDelay, phases } = computeMessageTiming(message, timing);
+            spans.push({ type: 'wait', start, end: start + startDelay });
+            for (const phase of phases) {
+                const phaseStart = spans[spans.length - 1].end;
+                spans.push({ type: phase.typing ? 'typing' : 'hesitation', start: phaseStart, end: phaseStart + phase.duration });
+            }
+        }
+        cursor = spans[spans.length - 1].end;
+        return { index, message, start, deliverAt: cursor, spans };
+    });
+    return { entries, total: cursor };
+};
+
+// --- TYPING MODES ---
+// Actor text is typed as a plan of steps, one per keystroke, so typos, autocorrect and
+// whole-word taps play out the same way at every rehearsal.
+const TYPING_MODES = [
+    { id: 'exact', label: 'Letter by letter', hint: 'Each key types the next letter of the line.' },
+    { id: 'typos', label: 'Typos, fixed with backspace', hint: 'Misspelled words are typed as written here, then backspaced and retyped.' },
+    { id: 'autocorrect', label: 'Autocorrect', hint: 'Misspelled words are typed as written here and autocorrected when the actor hits space.' },
+    { id: 'suggestions', label: 'Suggestion bar', hint: 'The bar above the keyboard offers the rest of each word; tapping it types the word.' },
+    { id: 'words', label: 'Tap to type words', hint: 'Each key types the next whole word.' },
+];
+
+const getTypingMode = (message) => (getMessageKind(message) === 'text' && message.typingMode) || 'exact';
+const usesTypedAs = (mode) => mode === 'typos' || mode === 'autocorrect';
+
+// Words land on even indexes and the whitespace between them on odd ones.
+const splitWords = (text) => text.split(/(\s+)/);
+
+// Swaps two neighbouring letters in about one word in four, seeded so a line always gets the same typos.
+const createTypos = (text, seedText) => {
+    const random = createSeededRandom(seedText);
+    return splitWords(text).map((word, index) => {
+        const chars = Array.from(word); // code points, so emoji are never split in half
+        if (index % 2 || chars.length < 4 || random() > 0.25) return word;
+        const at = 1 + Math.floor(random() * (chars.length - 2));
+        [chars[at], chars[at + 1]] = [chars[at + 1], chars[at]];
+        return chars.join('');
+    }).join('');
+};
+
+const getTypedAs = (message) => message.typedAs || createTypos(message.text || '', String(message.id));
+const hasTypedAsMismatch = (message) => usesTypedAs(getTypingMode(message)) && splitWords(getTypedAs(message)).length !== splitWords(message.text || '').length;
+
+// Each step is the input text after one keystroke plus `key`, the character the keyboard shows
+// for it. Scripted backspaces are `isBackspace`; `corrected` is the range autocorrect just
+// replaced, and an `onSend` correction is applied by the send button instead of a key.
+const buildTypingPlan = (message) => {
+    const text = getTypedText(message);
+    const mode = getTypingMode(message);
+    const steps = [];
+    let typed = '';
+    const type = (chars) => { for (const key of chars) steps.push({ text: typed += key, key }); };
+
+    if (mode === 'words') {
+        for (const chunk of text.match(/\s*\S+\s*/g) || (text ? [text] : [])) steps.push({ text: typed += chunk, key: chunk.trim()[0] || ' ' });
+        return steps;
+    }
+
+    const words = splitWords(text);
+    const typedWords = usesTypedAs(mode) ? splitWords(getTypedAs(message)) : words;
+    if (typedWords.length !== words.length) {
+        type(text);
+        return steps;
+    }
+    let pending = null;
+    const correct = (extra) => {
+        typed = typed.slice(0, pending.start) + pending.word;
+        return { corrected: { start: pending.start, end: typed.length }, ...extra };
+    };
+    words.forEach((word, index) => {
+        if (pending) {
+            const [space, ...rest] = word;
+            const correction = correct();
+            steps.push({ text: typed += space, key: space, ...correction });
+            pending = null;
+            type(rest);
+            return;
+        }
+        const wrong = typedWords[index];
+        if (wrong === word) {
+            type(word);
+            return;
+        }
+        const start = typed.length;
+        type(wrong);
+        if (mode === 'autocorrect') {
+            pending = { start, word };
+            return;
+        }
+        const wrongChars = Array.from(wrong);
+        const wordChars = Array.from(word);
+        let same = 0;
+        while (same < wrongChars.length && wrongChars[same] === wordChars[same]) same++;
+        for (let i = wrongChars.length; i > same; i--) steps.push({ text: typed = typed.slice(0, -wrongChars[i - 1].length), key: null, isBackspace: true });
+        type(wordChars.slice(same));
+    });
+    if (pending) {
+        const correction = correct({ onSend: true });
+        steps.push({ text: typed, key: null, ...correction });
+    }
+    return steps;
+};
+
+// --- STORY CLOCK ---
+// The in-world time shown on the phone. 'real' follows the device; otherwise the scene's start
+// time is either frozen or runs forward from the moment the take starts.
+const CLOCK_MODES = [
+    { id: 'real', label: 'Device time' },
+    { id: 'frozen', label: 'Story time, frozen' },
+    { id: 'running', label: 'Story time, runs from Go Live' },
+];
+const CLOCK_LOCALES = [
+    { id: '', label: 'Device language' },
+    { id: 'en-US', label: 'English (US)' },
+    { id: 'en-GB', label: 'English (UK)' },
+    { id: 'sv-SE', label: 'Svenska' },
+    { id: 'de-DE', label: 'Deutsch' },
+    { id: 'fr-FR', label: 'Français' },
+    { id: 'es-ES', label: 'Español' },
+];
+const DEFAULT_CLOCK = { mode: 'real', start: '', locale: '' };
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+// Value for <input type="datetime-local">, in local time.
+const toClockInput = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}T${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+
+const parseClockStart = (start) => {
+    const date = start ? new Date(start) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const getStoryTime = (clock, takeStartedAt, now = Date.now()) => {
+    const start = clock?.mode !== 'real' && parseClockStart(clock?.start);
+    if (!start) return new Date(now);
+    return clock.mode === 'running' ? new Date(start.getTime() + now - takeStartedAt) : start;
+};
+
+// The legacy app stored free text such as '9:41' and 'Monday, January 6'.
+const clockFromLegacyLockScreen = (lockScreen) => {
+    const timeMatch = /(\d{1,2})[:.](\d{2})\s*(am|pm)?/i.exec(lockScreen?.time || '');
+    if (!timeMatch) return null;
+    let hours = Number(timeMatch[1]);
+    if (timeMatch[3]) hours = (hours % 12) + (timeMatch[3].toLowerCase() === 'pm' ? 12 : 0);
+    const date = new Date();
+    const dateMatch = /([a-z]+)\s+(\d{1,2})/i.exec(lockScreen.date || '');
+    const month = dateMatch ? MONTH_NAMES.indexOf(dateMatch[1].toLowerCase()) : -1;
+    if (month > -1) date.setMonth(month, Number(dateMatch[2]));
+    date.setHours(hours, Number(timeMatch[2]), 0, 0);
+    return { ...DEFAULT_CLOCK, mode: 'frozen', start: toClockInput(date) };
+};
+
+const formatClockTime = (date, locale) => date.toLocaleTimeString(locale || [], { hour: '2-digit', minute: '2-digit' });
+const formatClockDate = (date, locale) => date.toLocaleDateString(locale || [], { weekday: 'long', month: 'long', day: 'numeric' });
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+// 'Today' / 'Yesterday' / weekday / short date, the way message apps label older days.
+const formatRelativeDay = (date, now, locale) => {
+    const days = Math.round((startOfDay(now) - startOfDay(date)) / 86400000);
+    if (days <= 1) {
+        const label = new Intl.RelativeTimeFormat(locale || [], { numeric: 'auto' }).format(-days, 'day');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+    if (days < 7) return date.toLocaleDateString(locale || [], { weekday: 'long' });
+    return date.toLocaleDateString(locale || [], { day: 'numeric', month: 'numeric', year: '2-digit' });
+};
+
+// A conversation list shows the time for today's messages and the day for anything older.
+const formatListTimestamp = (date, now, locale) => startOfDay(date) === startOfDay(now) ? formatClockTime(date, locale) : formatRelativeDay(date, now, locale);
+
+const StoryClockContext = createContext(null);
+const DEVICE_CLOCK = { now: () => new Date(), locale: '' };
+const useStoryClock = () => useContext(StoryClockContext) || DEVICE_CLOCK;
+
+// Re-renders once a second with the current story time.
+const useStoryTime = () => {
+    const { now } = useStoryClock();
+    const [time, setTime] = useState(now);
+    useEffect(() => {
+        const clockInterval = setInterval(() => setTime(now()), 1000);
+        return () => clearInterval(clockInterval);
+    }, [now]);
+    return time;
+};
+
+// --- STATUS BAR ---
+// The status bar drawn at the top of every live screen. Its values can change mid-take through
+// timed beats (battery drain, losing signal, plugging in), counted from the start of the take.
+const DEVICES = [
+    { id: 'iphone-island', label: 'iPhone with Dynamic Island', layout: 'cutout', height: 54, cutout: { width: 124, height: 36, top: 11, radius: 18 } },
+    { id: 'iphone-notch', label: 'iPhone with notch', layout: 'cutout', height: 47, cutout: { width: 160, height: 32, top: 0, radius: 20 } },
+    { id: 'iphone-classic', label: 'iPhone with Home button', layout: 'classic', height: 20, cutout: null },
+    { id: 'android', label: 'Android (punch hole)', layout: 'android', height: 32, cutout: { width: 14, height: 14, top: 9, radius: 7 } },
+];
+
+const NETWORK_TYPES = [
+    { id: 'wifi', label: 'Wi‑Fi' },
+    { id: '5G', label: '5G' },
+    { id: 'LTE', label: 'LTE' },
+    { id: '4G', label: '4G' },
+    { id: '3G', label: '3G' },
+    { id: 'none', label: 'No data' },
+];
+
+const STATUS_BEAT_TYPES = [
+    { id: 'battery', label: 'Battery level' },
+    { id: 'charging', label: 'Charging' },
+    { id: 'signal', label: 'Signal bars' },
+    { id: 'network', label: 'Network' },
+    { id: 'carrier', label: 'Carrier name' },
+];
+
+const DEFAULT_STATUS_BAR = {
+    enabled: true,
+    device: 'iphone-island',
+    carrier: 'Carrier',
+    signal: 4,
+    network: 'wifi',
+    battery: 82,
+    charging: false,
+    beats: [], // { id, delay (s), type, value }
+};
+
+const getDevice = (id) => DEVICES.find(d => d.id === id) || DEVICES[0];
+
+// The status bar `elapsedMs` into the take, with every beat due by then applied in order.
+const getStatusAt = (statusBar = DEFAULT_STATUS_BAR, elapsedMs = 0) => [...(statusBar.beats || [])]
+    .sort((a, b) => a.delay - b.delay)
+    .filter(beat => beat.delay * 1000 <= elapsedMs)
+    .reduce((status, beat) => ({ ...status, [beat.type]: beat.value }), { ...DEFAULT_STATUS_BAR, ...statusBar });
+
+// --- SEQUENCES ---
+// A project's `sequence` plays several scenes as one live run. Each step names a scene and what
+// moves the run on to the next one; `delay` is the hold after the script ends or the timer length.
+const SEQUENCE_TRIGGERS = [
+    { id: 'end', label: 'Script or call ends' },
+    { id: 'timer', label: 'Timer' },
+    { id: 'notification', label: 'Notification tap' },
+    { id: 'cue', label: 'Director cue' },
+];
+
+const createSequenceStep = (sceneId) => ({ id: Date.now().toString(), sceneId, advance: 'end', delay: 2 });
+
+// Steps whose scene no longer exists are skipped.
+const getSequenceSteps = (project) => (project?.sequence || []).filter(step => project.scenes?.some(s => s.id === step.sceneId));
+
+// Conversations already on the phone keep their bubbles and play the new scene's script from the
+// top; threads the scene adds start from its message history.
+const carryThreads = (threads, config, storyNow) => ({
+    ...threads,
+    ...Object.fromEntries(getThreads(config).map(t => [t.id, threads[t.id]
+        ? { ...threads[t.id], scriptIndex: 0, choices: {} }
+        : createThreadStart(config.messageHistory?.[t.id], storyNow)])),
+});
+
+// A chat scene is over once every thread with a script has played it to the end.
+const isScriptFinished = (config, threads) => {
+    const scripted = getThreads(config)
+        .map(t => ({ id: t.id, length: resolveScript(getThreadMessages(config, t.id), branch => threads[t.id]?.choices?.[branch.id]).length }))
+        .filter(t => t.length > 0);
+    return scripted.length > 0 && scripted.every(t => (threads[t.id]?.scriptIndex || 0) >= t.length);
+};
+
+// --- VALIDATION ---
+// Checks a scene for things that would misbehave on camera. Errors block Go Live; warnings only
+// ask first. Each issue names the editor tab that fixes it and, for script lines, the message.
+const validateScene = (scene) => {
+    const issues = [];
+    const add = (level, text, fix = {}) => issues.push({ level, text, ...fix });
+    const config = scene.config;
+
+    if (scene.type === 'call' || scene.type === 'video') {
+        const call = { ...createDefaultCallConfig(), ...config.call };
+        if (!call.callerName?.trim()) add('warning', 'The caller has no name, so the call screen shows a blank caller.', { tab: 'call' });
+        if (scene.type === 'video' && call.video.remoteSource === 'image' && !call.video.remoteImage) add('warning', 'The remote video is set to a still image but none is chosen, so it shows black.', { tab: 'call' });
+        if (scene.type === 'video' && call.video.pipSource === 'image' && !call.video.pipImage) add('warning', 'The picture-in-picture is set to a still image but none is chosen.', { tab: 'call' });
+        return issues;
+    }
+
+    const participants = config.participants || [];
+    const messages = config.messages || [];
+    const threads = getThreads(config);
+    const primaryThreadId = getPrimaryThreadId(config);
+    const hasParticipant = (id) => participants.some(p => p.id === id);
+
+    if (!messages.length) add('warning', 'The script is empty, so nothing happens during the take.', { tab: 'script' });
+    messages.forEach((message, index) => {
+        const fix = { tab: 'script', messageId: message.id, threadId: getThreadId(message, primaryThreadId) };
+        const thread = threads.find(t => t.id === fix.threadId);
+        // Lines are numbered within their conversation, the way the script editor lists them.
+        const position = messages.slice(0, index + 1).filter(m => getThreadId(m, primaryThreadId) === fix.threadId).length;
+        const line = threads.length > 1 && thread ? `Line ${position} of ${thread.isGroup ? thread.name : getContactName(thread)}` : `Line ${position}`;
+        const kind = getMessageKind(message);
+        const isActor = message.participantId === 'you';
+        if (!thread) {
+            add('warning', `${line} belongs to a conversation that no longer exists and never plays.`, { tab: 'script' });
+            return;
+        }
+        if (kind !== 'branch' && !hasParticipant(message.participantId)) add('error', `${line} is sent by a contact that has been deleted.`, fix);
+        if ((kind === 'text' || kind === 'link') && !getTypedText(message).trim()) {
+            if (isActor) add('error', `${line} is an actor turn with nothing to type.`, fix);
+            else add('warning', `${line} is an empty bubble.`, fix);
+        }
+        if (isActor && hasTypedAsMismatch(message)) add('warning', `${line} is typed as a different number of words than it sends, so its typos are skipped.`, fix);
+        if (kind === 'photo' && !message.image) add('warning', `${line} is a photo with no image chosen.`, fix);
+        if ((kind === 'reaction' || kind === 'unsend') && !messages.slice(0, index).some(m => m.id === message.targetId)) add('warning', `${line} does not point at an earlier message, so it does nothing.`, fix);
+        if (kind === 'system') {
+            const action = SYSTEM_ACTIONS.find(a => a.id === (message.systemAction || 'added'));
+            if (action?.needsTarget && !hasParticipant(message.targetId)) add('warning', `${line} is a group event without a person, so it reads “Someone”.`, fix);
+            if (action?.needsText && !message.text?.trim()) add('warning', `${line} is a group event with no text.`, fix);
+        }
+        if (kind === 'branch') {
+            const options = message.options || [];
+            if (!options.length) add('error', `${line} is an actor choice with no options.`, fix);
+            options.forEach((option, optionIndex) => {
+                const name = `option ${String.fromCharCode(65 + optionIndex)} of ${line}`;
+                if (!option.text?.trim()) add('error', `The actor has nothing to type for ${name}.`, fix);
+                if ((option.messages || []).some(m => !hasParticipant(m.participantId))) add('error', `A reply in ${name} is sent by a contact that has been deleted.`, fix);
+                if ((option.messages || []).some(m => !m.text?.trim())) add('warning', `A reply in ${name} is an empty bubble.`, fix);
+            });
+            const selectBy = message.selectBy || 'key';
+            const picks = selectBy === 'key' ? options.map(getOptionKey).filter(Boolean) : selectBy === 'zone' ? options.map(o => getOptionZone(message, o)) : [];
+            if (new Set(picks).size < picks.length) add('warning', `Two options of ${line} share a ${selectBy === 'key' ? 'key' : 'hot zone'}, so only the first can be picked by the actor.`, fix);
+        }
+    });
+
+    if (config.scenarioType === 'contacts') {
+        const history = config.messageHistory || {};
+        const rows = threads.filter(t => history[t.id]?.lastMessage || history[t.id]?.bubbles?.length || getThreadMessages(config, t.id).length);
+        if (!rows.length) add('error', 'The messages list opens empty, so there is nothing for the actor to tap.', { tab: 'history' });
+        rows.filter(t => !history[t.id]?.lastMessage && !history[t.id]?.bubbles?.length)
+            .forEach(t => add('warning', `${t.isGroup ? t.name : getContactName(t)} has no last message, so its row in the messages list has no preview.`, { tab: 'history' }));
+    }
+    if (config.scenarioType === 'lockscreen' && !config.lockScreen?.background) add('warning', 'The lock screen has no background and falls back to a plain grey gradient.', { tab: 'lockscreen' });
+
+    (config.notifications || []).forEach((notification, index) => {
+        if (!hasParticipant(notification.participantId)) add('error', `Notification ${index + 1} comes from a contact that has been deleted.`, { tab: 'notifications' });
+        else if (!notification.text?.trim()) add('warning', `Notification ${index + 1} has no preview text.`, { tab: 'notifications' });
+    });
+
+    const clock = config.clock || DEFAULT_CLOCK;
+    if (clock.mode !== 'real' && !parseClockStart(clock.start)) add('warning', 'The story clock has no start time, so the phone shows the real time.');
+    return issues;
+};
+
+// Every scene in a sequence is checked, plus triggers that can never fire.
+const validateSequence = (project) => getSequenceSteps(project).flatMap((step, index, steps) => {
+    const scene = project.scenes.find(s => s.id === step.sceneId);
+    const issues = validateScene(scene);
+    if (index < steps.length - 1 && step.advance === 'notification' && !scene.config.notifications?.length) {
+        issues.push({ level: 'warning', text: 'Moves on with a notification tap, but the scene has no notifications.' });
+    }
+    return issues.map(issue => ({ ...issue, sceneId: scene.id, sceneName: scene.name }));
+});
+
+// --- SKINS ---
+// A skin themes the live messaging screens. Built-in skins are fixed; the custom skin is
+// edited per scene and layered over the iMessage base.
+const SYSTEM_FONT = '-apple-system, BlinkMacSystemFont, "SF Pro Text", "Helvetica Neue", sans-serif';
+
+const SKINS = {
+    imessage: {
+        label: 'iMessage',
+        appName: 'Messages',
+        fontFamily: SYSTEM_FONT,
+        bubbleRadius: 18,
+        chatBackground: '#ffffff',
+        ownBubble: '#0b84fe',
+        ownText: '#ffffff',
+        otherBubble: '#e9e9eb',
+        otherText: '#000000',
+        headerBackground: 'rgba(249, 249, 249, 0.94)',
+        headerText: '#000000',
+        headerSubtext: '#8e8e93',
+        headerAlign: 'center',
+        accent: '#0b84fe',
+        inputBackground: '#ffffff',
+        inputFieldBackground: '#ffffff',
+        inputBorder: '#d1d1d6',
+        inputPlaceholder: 'iMessage',
+        sendColor: '#0b84fe',
+        sendIcon: 'arrow',
+        typingStyle: 'bubble',
+        typingDotColor: '#8e8e93',
+        showAvatars: false,
+        timeInBubble: false,
+        timestampColor: '#8e8e93',
+        listBackground: '#ffffff',
+        listTitle: 'Messages',
+        listDivider: '#e5e5ea',
+    },
+    whatsapp: {
+        label: 'WhatsApp',
+        appName: 'WhatsApp',
+        fontFamily: SYSTEM_FONT,
+        bubbleRadius: 8,
+        chatBackground: '#efeae2',
+        ownBubble: '#d9fdd3',
+        ownText: '#111b21',
+        otherBubble: '#ffffff',
+        otherText: '#111b21',
+        headerBackground: '#008069',
+        headerText: '#ffffff',
+        headerSubtext: 'rgba(255, 255, 255, 0.8)',
+        headerAlign: 'left',
+        accent: '#00a884',
+        inputBackground: '#efeae2',
+        inputFieldBackground: '#ffffff',
+        inputBorder: 'transparent',
+        inputPlaceholder: 'Message',
+        sendColor: '#00a884',
+        sendIcon: 'plane',
+        typingStyle: 'header',
+        typingDotColor: '#667781',
+        showAvatars: false,
+        timeInBubble: true,
+        timestampColor: '#667781',
+        listBackground: '#ffffff',
+        listTitle: 'Chats',
+        listDivider: '#e9edef',
+    },
+    android: {
+        label: 'Android Messages',
+        appName: 'Messages',
+        fontFamily: 'Roboto, "Google Sans", "Segoe UI", sans-serif',
+        bubbleRadius: 20,
+        chatBackground: '#ffffff',
+        ownBubble: '#d3e3fd',
+        ownText: '#041e49',
+        otherBubble: '#f0f4f9',
+        otherText: '#1f1f1f',
+        headerBackground: '#ffffff',
+        headerText: '#1f1f1f',
+        headerSubtext: '#444746',
+        headerAlign: 'left',
+        accent: '#0b57d0',
+        inputBackground: '#ffffff',
+        inputFieldBackground: '#f0f4f9',
+        inputBorder: 'transparent',
+        inputPlaceholder: 'Text message',
+        sendColor: '#0b57d0',
+        sendIcon: 'plane',
+        typingStyle: 'bubble',
+        typingDotColor: '#444746',
+        showAvatars: true,
+        timeInBubble: false,
+        timestampColor: '#444746',
+        listBackground: '#ffffff',
+        listTitle: 'Messages',
+        listDivider: 'transparent',
+    },
+    messenger: {
+        label: 'Messenger',
+        appName: 'Messenger',
+        fontFamily: SYSTEM_FONT,
+        bubbleRadius: 18,
+        chatBackground: '#ffffff',
+        ownBubble: 'linear-gradient(180deg, #a033ff 0%, #0084ff 100%)',
+        ownText: '#ffffff',
+        otherBubble: '#f0f0f0',
+        otherText: '#050505',
+        headerBackground: '#ffffff',
+        headerText: '#050505',
+        headerSubtext: '#65676b',
+        headerAlign: 'left',
+        accent: '#0084ff',
+        inputBackground: '#ffffff',
+        inputFieldBackground: '#f0f2f5',
+        inputBorder: 'transparent',
+        inputPlaceholder: 'Aa',
+        sendColor: '#0084ff',
+        sendIcon: 'plane',
+        typingStyle: 'bubble',
+        typingDotColor: '#65676b',
+        showAvatars: true,
+        timeInBubble: false,
+        timestampColor: '#65676b',
+        listBackground: '#ffffff',
+        listTitle: 'Chats',
+        listDivider: 'transparent',
+    },
+    pulse: {
+        label: 'Pulse (fictional)',
+        appName: 'Pulse',
+        fontFamily: '"Avenir Next", "Trebuchet MS", sans-serif',
+        bubbleRadius: 14,
+        chatBackground: '#f4f1ec',
+        ownBubble: '#e4572e',
+        ownText: '#ffffff',
+        otherBubble: '#ffffff',
+        otherText: '#29292b',
+        headerBackground: '#29292b',
+        headerText: '#f4f1ec',
+        headerSubtext: '#b3b0aa',
+        headerAlign: 'left',
+        accent: '#e4572e',
+        inputBackground: '#f4f1ec',
+        inputFieldBackground: '#ffffff',
+        inputBorder: '#dcd7cf',
+        inputPlaceholder: 'Say something…',
+        sendColor: '#e4572e',
+        sendIcon: 'arrow',
+        typingStyle: 'bubble',
+        typingDotColor: '#e4572e',
+        showAvatars: true,
+        timeInBubble: true,
+        timestampColor: '#8a867f',
+        listBackground: '#f4f1ec',
+        listTitle: 'Pulse',
+        listDivider: '#dcd7cf',
+    },
+};
+
+const CUSTOM_SKIN_FIELDS = [
+    { key: 'accent', label: 'Accent' },
+    { key: 'ownBubble', label: 'Own bubble' },
+    { key: 'ownText', label: 'Own text' },
+    { key: 'otherBubble', label: 'Contact bubble' },
+    { key: 'otherText', label: 'Contact text' },
+    { key: 'chatBackground', label: 'Chat background' },
+    { key: 'headerBackground', label: 'Header' },
+    { key: 'headerText', label: 'Header text' },
+];
+
+const SKIN_FONTS = [
+    { label: 'System (San Francisco)', value: SYSTEM_FONT },
+    { label: 'Roboto', value: 'Roboto, "Segoe UI", sans-serif' },
+    { label: 'Avenir', value: '"Avenir Next", "Trebuchet MS", sans-serif' },
+    { label: 'Georgia', value: 'Georgia, serif' },
+    { label: 'Monospace', value: 'ui-monospace, Menlo, monospace' },
+];
+
+const createDefaultCustomSkin = () => ({
+    appName: 'Chatter',
+    fontFamily: SYSTEM_FONT,
+    bubbleRadius: 18,
+    accent: '#7c3aed',
+    ownBubble: '#7c3aed',
+    ownText: '#ffffff',
+    otherBubble: '#ede9fe',
+    otherText: '#1e1b4b',
+    chatBackground: '#ffffff',
+    headerBackground: '#ffffff',
+    headerText: '#1e1b4b',
+});
+
+const resolveSkin = (skinConfig) => {
+    if (skinConfig?.id !== 'custom') return SKINS[skinConfig?.id] || SKINS.imessage;
+    const custom = { ...createDefaultCustomSkin(), ...skinConfig.custom };
+    return {
+        ...SKINS.imessage,
+        ...custom,
+        label: 'Custom',
+        sendColor: custom.accent,
+        inputPlaceholder: custom.appName,
+        listTitle: custom.appName,
+        showAvatars: true,
+    };
+};
+
+// --- SCENE RENDER ---
+// Offline renders of a chat thread for screen replacement in post. Frames are painted straight onto
+// a canvas from the same timeline the Timeline tab previews, never from timers, so a render runs as
+// fast as the device can draw and every render of a scene comes out identical.
+const RENDER_RESOLUTIONS = [
+    { id: 'iphone-pro', label: 'iPhone Pro · 1179 × 2556', width: 1179, height: 2556 },
+    { id: 'iphone', label: 'iPhone · 1170 × 2532', width: 1170, height: 2532 },
+    { id: 'android', label: 'Android · 1080 × 2400', width: 1080, height: 2400 },
+    { id: 'hd', label: 'HD portrait · 1080 × 1920', width: 1080, height: 1920 },
+];
+const RENDER_FRAME_RATES = [24, 25, 30, 60];
+const RENDER_FORMATS = [
+    { id: 'png', label: 'PNG sequence' },
+    { id: 'webm', label: 'WebM video' },
+];
+const RENDER_POINTS_WIDTH = 390; // layout width in points, scaled up to the chosen resolution
+const RENDER_TAIL_MS = 1500; // hold on the final state after the last event
+const RENDER_CLOCK_START = '2026-01-06T09:41'; // story time for scenes on device time
+
+// Renders never read the device clock, so a scene on device time (or without a start time) runs
+// its clock from RENDER_CLOCK_START instead.
+const getRenderClock = (clock) => clock?.mode !== 'real' && parseClockStart(clock?.start)
+    ? clock
+    : { ...DEFAULT_CLOCK, ...clock, mode: 'running', start: RENDER_CLOCK_START };
+
+// The prop phone shows a flat key colour with tracking markers instead of the scene, so the
+// screen can be replaced with the render in post.
+const GREEN_SCREEN_SETTINGS_KEY = 'flowprop_green_screen_v3';
+const DEFAULT_GREEN_SCREEN = { enabled: false, color: '#00b140', markers: true };
+const KEY_COLORS = [
+    { id: '#00b140', label: 'Green' },
+    { id: '#0047bb', label: 'Blue' },
+];
+
+// What the chat shows `ms` into a thread's timeline: delivered bubbles, the typing indicator and
+// the actor's half-typed draft.
+const getTimelineFrame = ({ config, threadId, timeline, ms, storyTimeAt }) => {
+    const chat = timeline.entries
+        .filter(e => e.deliverAt <= ms)
+        .reduce((acc, e) => applyScriptEvent(acc, e.message, storyTimeAt(e.deliverAt)), createThreadStart(config.messageHistory?.[threadId], storyTimeAt(0)).chat);
+    const current = timeline.entries.find(e => e.deliverAt > ms);
+    const activeSpan = current?.spans.find(span => ms >= span.start && ms < span.end);
+    const showTyping = activeSpan?.type === 'typing';
+    let draft = '';
+    if (activeSpan?.type === 'actor') {
+        const kind = getMessageKind(current.message);
+        if (kind === 'text' || kind === 'link') {
+            const steps = buildTypingPlan(current.message);
+            const progress = (ms - activeSpan.start) / (activeSpan.end - activeSpan.start - ACTOR_SEND_TIME);
+            draft = steps[Math.min(Math.floor(progress * steps.length), steps.length) - 1]?.text ?? '';
+        } else {
+            draft = describeMessage(current.message, config.participants);
+        }
+    }
+    return {
+        chat,
+        showTyping,
+        typingId: showTyping ? current.message.participantId : null,
+        draft,
+        isDraftComplete: activeSpan?.type === 'actor' && draft === getTypedText(current.message),
+    };
+};
+
+const formatTimecode = (frame, fps) => {
+    const seconds = Math.floor(frame / fps);
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60, frame % fps].map(pad2).join(':');
+};
+
+// Event timecodes for the edit, written next to the frames. Frame numbers are the first frame
+// that shows the event.
+const createRenderSidecar = ({ scene, thread, timeline, frameCount, fps, resolution }) => {
+    const { participants, timing = DEFAULT_TIMING } = scene.config;
+    const at = (ms) => {
+        const frame = Math.ceil(ms / 1000 * fps);
+        return { ms: Math.round(ms), frame, timecode: formatTimecode(frame, fps) };
+    };
+    return {
+        scene: scene.name,
+        thread: thread?.name,
+        fps,
+        width: resolution.width,
+        height: resolution.height,
+        frameCount,
+        duration: formatTimecode(frameCount, fps),
+        timing: { seed: timing.seed, pace: timing.pace },
+        events: timeline.entries.map(entry => ({
+            index: entry.index + 1,
+            id: entry.message.id,
+            kind: getMessageKind(entry.message),
+            from: entry.message.participantId === 'you' ? 'You' : participants.find(p => p.id === entry.message.participantId)?.name,
+            text: describeMessage(entry.message, participants),
+            isActor: isActorInputEvent(entry.message),
+            start: at(entry.start),
+            typing: entry.spans.filter(span => span.type === 'typing').map(span => ({ start: at(span.start), end: at(span.end) })),
+            delivered: at(entry.deliverAt),
+        })),
+    };
+};
+
+const loadRenderImages = (urls) => Promise.all([...new Set(urls.filter(Boolean))].map(url => new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve([url, image]);
+    image.onerror = () => resolve([url, null]); // drawn as a placeholder
+    image.src = url;
+}))).then(entries => new Map(entries.filter(([, image]) => image)));
+
+const getRenderImageUrls = (config) => [
+    ...config.participants.map(p => p.photo),
+    ...(config.groups || []).map(g => g.photo),
+    ...(config.messages || []).flatMap(m => [m.image, m.linkImage, ...(m.options || []).flatMap(o => (o.messages || []).map(sub => sub.image))]),
+    ...Object.values(config.messageHistory || {}).flatMap(h => (h.bubbles || []).map(b => b.image)),
+];
+
+// Splits text into lines no wider than `maxWidth`, breaking inside a word only when it is too long on its own.
+const wrapCanvasText = (ctx, text, maxWidth) => String(text).split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= maxWidth) {
+            line = candidate;
+            continue;
+        }
+        if (line) lines.push(line);
+        let rest = word;
+        while (rest.length > 1 && ctx.measureText(rest).width > maxWidth) {
+            let cut = rest.length - 1;
+            while (cut > 1 && ctx.measureText(rest.slice(0, cut)).width > maxWidth) cut--;
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+        }
+        line = rest;
+    }
+    return [...lines, line];
+});
+
+const CSS_GRADIENT_DIRECTIONS = { 'to top': 0, 'to right': 90, 'to bottom': 180, 'to left': 270 };
+
+// Splits CSS arguments on commas that are not inside parentheses, e.g. within rgb().
+const splitCssArgs = (text) => {
+    const args = [''];
+    let depth = 0;
+    for (const char of text) {
+        if (char === ',' && depth === 0) args.push('');
+        else args[args.length - 1] += char;
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+    }
+    return args.map(arg => arg.trim());
+};
+
+// Skin colours are CSS values and canvas ignores a fillStyle it cannot parse, so a
+// `linear-gradient(...)` (Messenger's own bubbles) becomes a canvas gradient over the shape's bounds.
+const toCanvasFill = (ctx, css, x, y, width, height) => {
+    const match = /^linear-gradient\((.*)\)$/s.exec(String(css).trim());
+    if (!match) return css;
+    const args = splitCssArgs(match[1]);
+    const direction = /^-?[\d.]+deg$/.test(args[0]) ? parseFloat(args[0]) : CSS_GRADIENT_DIRECTIONS[args[0]];
+    const stops = direction === undefined ? args : args.slice(1);
+    const angle = (direction ?? 180) * Math.PI / 180;
+    // The CSS gradient line runs through the centre, long enough to reach the far corners.
+    const half = (Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle))) / 2;
+    const centreX = x + width / 2;
+    const centreY = y + height / 2;
+    const gradient = ctx.createLinearGradient(centreX - Math.sin(angle) * half, centreY + Math.cos(angle) * half, centreX + Math.sin(angle) * half, centreY - Math.cos(angle) * half);
+    stops.forEach((stop, i) => {
+        const [, color, percent] = /^(.*?)(?:\s+(-?[\d.]+)%)?$/s.exec(stop);
+        const offset = percent !== undefined ? Number(percent) / 100 : i / Math.max(stops.length - 1, 1);
+        gradient.addColorStop(Math.min(Math.max(offset, 0), 1), color);
+    });
+    return gradient;
+};
+
+const drawCoverImage = (ctx, image, x, y, width, height) => {
+    const scale = Math.max(width / image.width, height / image.height);
+    ctx.drawImage(image, x + (width - image.width * scale) / 2, y + (height - image.height * scale) / 2, image.width * scale, image.height * scale);
+};
+
+const drawCanvasAvatar = (ctx, contact, x, y, size, images) => {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+    ctx.clip();
+    const image = contact?.photo && images.get(contact.photo);
+    if (image) {
+        drawCoverImage(ctx, image, x, y, size, size);
+    } else {
+        const gradient = AVATAR_GRADIENTS.find(g => g.id === contact?.avatar) || AVATAR_GRADIENTS[0];
+        const fill = ctx.createLinearGradient(0, y, 0, y + size);
+        fill.addColorStop(0, gradient.from);
+        fill.addColorStop(1, gradient.to);
+        ctx.fillStyle = fill;
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = '#ffffff';
+        const initials = getInitials(getContactName(contact));
+        if (initials) {
+            ctx.font = `600 ${size * 0.4}px ${SYSTEM_FONT}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(initials, x + size / 2, y + size / 2);
+        } else {
+            ctx.beginPath();
+            ctx.arc(x + size / 2, y + size * 0.4, size * 0.18, 0, Math.PI * 2);
+            ctx.ellipse(x + size / 2, y + size * 0.98, size * 0.34, size * 0.32, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    ctx.restore();
+};
+
+const drawCanvasStatusBar = (ctx, { status, time, color, width }) => {
+    const device = getDevice(status.device);
+    const middle = device.layout === 'classic' ? 10 : device.height / 2 + (device.layout === 'android' ? 0 : 2);
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.font = `600 ${device.layout === 'classic' ? 12 : 16}px ${SYSTEM_FONT}`;
+    if (device.layout === 'classic') {
+        ctx.textAlign = 'center';
+        ctx.fillText(time, width / 2, middle);
+        ctx.textAlign = 'left';
+        ctx.font = `400 12px ${SYSTEM_FONT}`;
+        ctx.fillText(status.carrier, 32, middle);
+    } else {
+        ctx.textAlign = 'center';
+        ctx.fillText(time, device.layout === 'android' ? 36 : 64, middle);
+    }
+    // Battery, then network, then signal, right to left.
+    let right = width - (device.layout === 'classic' ? 8 : 24);
+    ctx.globalAlpha = 0.4;
+    ctx.fillRect(right - 1.5, middle - 2, 1.5, 4);
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.roundRect(right - 26.5, middle - 6, 24, 12, 3.5);
+    ctx.stroke();
+    ctx.fillStyle = status.charging ? '#34c759' : status.battery <= 20 ? '#ff3b30' : color;
+    ctx.beginPath();
+    ctx.roundRect(right - 24.5, middle - 4, 20 * Math.max(0, Math.min(100, status.battery)) / 100, 8, 2);
+    ctx.fill();
+    ctx.fillStyle = color;
+    right -= 34;
+    if (status.network === 'wifi') {
+        ctx.lineWidth = 2;
+        [3, 7, 11].forEach((radius) => {
+            ctx.beginPath();
+            ctx.arc(right - 8, middle + 5, radius, Math.PI * 1.25, Math.PI * 1.75);
+            ctx.stroke();
+        });
+        right -= 22;
+    } else if (status.network !== 'none') {
+        ctx.textAlign = 'right';
+        ctx.font = `600 13px ${SYSTEM_FONT}`;
+        ctx.fillText(status.network, right, middle);
+        right -= ctx.measureText(status.network).width + 6;
+    }
+    for (let i = 0; i < 4; i++) {
+        ctx.globalAlpha = i < status.signal ? 1 : 0.3;
+        const barHeight = 4 + i * 2.5;
+        ctx.fillRect(right - 18 + i * 4.5, middle + 5 - barHeight, 3, barHeight);
+    }
+    ctx.restore();
+};
+
+// Paints one frame of a chat screen: status bar, header, transcript scrolled to its end, input bar.
+// Sizes are in points; the context is scaled so the layout fills `width` pixels.
+const paintChatFrame = (ctx, { width, height, config, thread, frame, status, now, locale, ms, images }) => {
+    const skin = resolveSkin(config.skin);
+    const { participants } = config;
+    const scale = width / RENDER_POINTS_WIDTH;
+    const W = RENDER_POINTS_WIDTH;
+    const H = height / scale;
+    const font = (size, weight = 400) => `${weight} ${size}px ${skin.fontFamily}`;
+    const isGroup = !!thread?.isGroup;
+    const { chat } = frame;
+
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = skin.chatBackground;
+    ctx.fillRect(0, 0, W, H);
+
+    const device = getDevice(status?.device);
+    const topInset = status ? device.height : 44;
+    const headerBottom = topInset + (skin.headerAlign === 'center' ? 80 : 56);
+    const bottomInset = device.layout === 'classic' ? 0 : 34;
+    const inputTop = H - bottomInset - 52;
+
+    // Transcript items, laid out first so the column can be anchored to the input bar.
+    const senderOf = (id) => {
+        const sender = id !== 'you' && participants.find(p => p.id === id);
+        return sender ? { ...sender, name: getContactName(sender), color: getParticipantColor(participants, id) } : null;
+    };
+    const withAvatars = isGroup || skin.showAvatars;
+    const avatarColumn = withAvatars ? 36 : 0;
+    const maxBubble = (W - 32 - avatarColumn) * 0.75;
+    const items = [];
+    const centredText = (text, color, weight = 400) => ({
+        height: 16,
+        draw: (y) => {
+            ctx.font = font(12, weight);
+            ctx.fillStyle = color;
+            ctx.textAlign = 'center';
+            ctx.fillText(text, W / 2, y + 12);
+        },
+    });
+    const isSameRun = (a, b) => b && getMessageKind(b) !== 'system' && !b.unsent && a.participantId === b.participantId;
+
+    chat.bubbles.forEach((message, index) => {
+        if (index === 0 || startOfDay(message.timestamp) !== startOfDay(chat.bubbles[index - 1].timestamp)) {
+            const day = formatRelativeDay(message.timestamp, now, locale);
+            items.push(centredText(skin.timeInBubble ? day : `${day} ${formatClockTime(message.timestamp, locale)}`, skin.timestampColor, 600));
+        }
+        const kind = getMessageKind(message);
+        if (kind === 'system') {
+            items.push(centredText(formatSystemEvent(message, participants), skin.timestampColor));
+            return;
+        }
+        if (message.unsent) {
+            items.push(centredText(`${message.participantId === 'you' ? 'You' : senderOf(message.participantId)?.name || 'Someone'} unsent a message`, skin.timestampColor));
+            return;
+        }
+
+        const isOwn = message.participantId === 'you';
+        const sender = senderOf(message.participantId);
+        const showName = isGroup && !isOwn && !isSameRun(message, chat.bubbles[index - 1]);
+        const showAvatar = !isOwn && withAvatars && !isSameRun(message, chat.bubbles[index + 1]);
+        const fill = isOwn ? skin.ownBubble : skin.otherBubble;
+        const textColor = isOwn ? skin.ownText : skin.otherText;
+        const time = skin.timeInBubble && message.timestamp ? formatClockTime(message.timestamp, locale) : '';
+        ctx.font = font(11);
+        const timeWidth = time ? ctx.measureText(time).width + 8 : 0;
+
+        // Each part is { width, height, draw(x, y) } stacked inside the bubble column.
+        const textPart = (text) => {
+            ctx.font = font(16);
+            const lines = wrapCanvasText(ctx, text, maxBubble - 32);
+            const lastWidth = ctx.measureText(lines[lines.length - 1]).width;
+            const widest = Math.max(...lines.map(line => ctx.measureText(line).width));
+            const timeFits = lastWidth + timeWidth <= maxBubble - 32;
+            const bubbleWidth = Math.min(maxBubble, Math.max(widest, timeFits ? lastWidth + timeWidth : 0) + 32);
+            const bubbleHeight = lines.length * 22 + 16 + (time && !timeFits ? 14 : 0);
+            return {
+                width: bubbleWidth,
+                height: bubbleHeight,
+                draw: (x, y) => {
+                    ctx.fillStyle = toCanvasFill(ctx, fill, x, y, bubbleWidth, bubbleHeight);
+                    ctx.beginPath();
+                    ctx.roundRect(x, y, bubbleWidth, bubbleHeight, skin.bubbleRadius);
+                    ctx.fill();
+                    ctx.fillStyle = textColor;
+                    ctx.font = font(16);
+                    ctx.textAlign = 'left';
+                    lines.forEach((line, i) => ctx.fillText(line, x + 16, y + 8 + 17 + i * 22));
+                    if (time) {
+                        ctx.globalAlpha = 0.6;
+                        ctx.font = font(11);
+                        ctx.textAlign = 'right';
+                        ctx.fillText(time, x + bubbleWidth - 10, y + bubbleHeight - 7);
+                        ctx.globalAlpha = 1;
+                    }
+                },
+            };
+        };
+        const parts = [];
+        if (kind === 'photo') {
+            const image = message.image && images.get(message.image);
+            const photoWidth = Math.min(240, maxBubble);
+            const photoHeight = image ? Math.min(288, photoWidth * image.height / image.width) : 192;
+            parts.push({
+                width: photoWidth,
+                height: photoHeight,
+                draw: (x, y) => {
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.roundRect(x, y, photoWidth, photoHeight, skin.bubbleRadius);
+                    ctx.clip();
+                    ctx.fillStyle = '#d1d5db';
+                    ctx.fillRect(x, y, photoWidth, photoHeight);
+                    if (image) drawCoverImage(ctx, image, x, y, photoWidth, photoHeight);
+                    ctx.restore();
+                },
+            });
+            if (message.text) parts.push(textPart(message.text));
+        } else if (kind === 'voice') {
+            const waveform = createWaveform(String(message.id));
+            const duration = formatCallDuration(message.duration ?? 8);
+            parts.push({
+                width: 96 + waveform.length * 5,
+                height: 44,
+                draw: (x, y) => {
+                    const voiceWidth = 96 + waveform.length * 5;
+                    ctx.fillStyle = toCanvasFill(ctx, fill, x, y, voiceWidth, 44);
+                    ctx.beginPath();
+                    ctx.roundRect(x, y, voiceWidth, 44, skin.bubbleRadius);
+                    ctx.fill();
+                    ctx.fillStyle = textColor;
+                    ctx.beginPath();
+                    ctx.moveTo(x + 14, y + 14);
+                    ctx.lineTo(x + 28, y + 22);
+                    ctx.lineTo(x + 14, y + 30);
+                    ctx.fill();
+                    ctx.globalAlpha = 0.8;
+                    waveform.forEach((level, i) => {
+                        ctx.beginPath();
+                        ctx.roundRect(x + 38 + i * 5, y + 22 - level * 12, 3, level * 24, 1.5);
+                        ctx.fill();
+                    });
+                    ctx.font = font(12);
+                    ctx.textAlign = 'left';
+                    ctx.fillText(duration, x + 44 + waveform.length * 5, y + 26);
+                    ctx.globalAlpha = 1;
+                },
+            });
+        } else if (kind === 'link') {
+            let domain = message.url || '';
+            try { domain = new URL(message.url).hostname.replace(/^www\./, ''); } catch { /* keep the raw text */ }
+            const image = message.linkImage && images.get(message.linkImage);
+            const cardWidth = Math.min(240, maxBubble);
+            const imageHeight = message.linkImage ? 128 : 0;
+            ctx.font = font(14, 600);
+            const titleLines = wrapCanvasText(ctx, message.linkTitle || domain, cardWidth - 24).slice(0, 3);
+            const cardHeight = imageHeight + 16 + titleLines.length * 18 + 16;
+            parts.push({
+                width: cardWidth,
+                height: cardHeight,
+                draw: (x, y) => {
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.roundRect(x, y, cardWidth, cardHeight, skin.bubbleRadius);
+                    ctx.clip();
+                    ctx.fillStyle = toCanvasFill(ctx, fill, x, y, cardWidth, cardHeight);
+                    ctx.fillRect(x, y, cardWidth, cardHeight);
+                    if (imageHeight) {
+                        ctx.fillStyle = '#d1d5db';
+                        ctx.fillRect(x, y, cardWidth, imageHeight);
+                        if (image) drawCoverImage(ctx, image, x, y, cardWidth, imageHeight);
+                    }
+                    ctx.fillStyle = textColor;
+                    ctx.textAlign = 'left';
+                    ctx.font = font(14, 600);
+                    titleLines.forEach((line, i) => ctx.fillText(line, x + 12, y + imageHeight + 22 + i * 18));
+                    ctx.globalAlpha = 0.7;
+                    ctx.font = font(12);
+                    ctx.fillText(domain, x + 12, y + cardHeight - 10);
+                    ctx.restore();
+                },
+            });
+        } else {
+            parts.push(textPart(message.text || ''));
+        }
+
+        const reactions = message.reactions || [];
+        const nameHeight = showName && sender ? 18 : 0;
+        const reactionSpace = reactions.length ? 12 : 0;
+        const partsHeight = parts.reduce((sum, part) => sum + part.height, 0) + (parts.length - 1) * 4;
+        items.push({
+            height: nameHeight + reactionSpace + partsHeight,
+            draw: (y) => {
+                const columnLeft = 16 + avatarColumn;
+                const widest = Math.max(...parts.map(part => part.width));
+                const bubbleX = (part) => isOwn ? W - 16 - part.width : columnLeft;
+                let cursor = y + reactionSpace;
+                if (nameHeight) {
+                    ctx.font = font(12, 600);
+                    ctx.fillStyle = sender.color;
+                    ctx.textAlign = 'left';
+                    ctx.fillText(sender.name, columnLeft + 8, cursor + 12);
+                    cursor += nameHeight;
+                }
+                const firstPartTop = cursor;
+                parts.forEach((part) => {
+                    part.draw(bubbleX(part), cursor);
+                    cursor += part.height + 4;
+                });
+                if (showAvatar && sender) drawCanvasAvatar(ctx, sender, 16, cursor - 4 - 28, 28, images);
+                reactions.forEach((reaction, i) => {
+                    const centreX = isOwn ? W - 16 - widest - 2 + i * 12 : columnLeft + widest + 2 - i * 12;
+                    ctx.fillStyle = '#ffffff';
+                    ctx.beginPath();
+                    ctx.arc(centreX, firstPartTop - 2, 15, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.fillStyle = toCanvasFill(ctx, reaction.participantId === 'you' ? skin.ownBubble : skin.otherBubble, centreX - 13, firstPartTop - 15, 26, 26);
+                    ctx.beginPath();
+                    ctx.arc(centreX, firstPartTop - 2, 13, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.font = font(14);
+                    ctx.textAlign = 'center';
+                    ctx.fillText(TAPBACKS.find(t => t.id === reaction.reaction)?.emoji || '', centreX, firstPartTop + 3);
+                });
+            },
+        });
+
+        const lastOwnIndex = chat.bubbles.findLastIndex(m => m.participantId === 'you' && !m.unsent);
+        if (index === lastOwnIndex && index === chat.bubbles.length - 1 && chat.receipt) {
+            const receipt = chat.receipt.status === 'read' ? `Read ${chat.receipt.time || formatClockTime(chat.receipt.at, locale)}` : 'Delivered';
+            items.push({
+                height: 14,
+                gap: 4,
+                draw: (y) => {
+                    ctx.font = font(11);
+                    ctx.fillStyle = skin.timestampColor;
+                    ctx.textAlign = 'right';
+                    ctx.fillText(receipt, W - 20, y + 11);
+                },
+            });
+        }
+    });
+
+    if (frame.showTyping && skin.typingStyle === 'bubble') {
+        const sender = senderOf(frame.typingId);
+        const labelHeight = isGroup && sender ? 18 : 0;
+        items.push({
+            height: labelHeight + 40,
+            draw: (y) => {
+                const left = 16 + (withAvatars && sender ? 36 : 0);
+                if (labelHeight) {
+                    ctx.font = font(12, 600);
+                    ctx.fillStyle = sender.color;
+                    ctx.textAlign = 'left';
+                    ctx.fillText(`${sender.name} is typing…`, left + 8, y + 12);
+                }
+                if (withAvatars && sender) drawCanvasAvatar(ctx, sender, 16, y + labelHeight + 12, 28, images);
+                ctx.fillStyle = toCanvasFill(ctx, skin.otherBubble, left, y + labelHeight, 64, 40);
+                ctx.beginPath();
+                ctx.roundRect(left, y + labelHeight, 64, 40, skin.bubbleRadius);
+                ctx.fill();
+                ctx.fillStyle = skin.typingDotColor;
+                [0, 0.2, 0.4].forEach((delay, i) => {
+                    ctx.globalAlpha = 0.5 + 0.5 * Math.cos(((ms / 1000 - delay) % 2) * Math.PI);
+                    ctx.beginPath();
+                    ctx.arc(left + 20 + i * 12, y + labelHeight + 20, 4, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+                ctx.globalAlpha = 1;
+            },
+        });
+    }
+
+    const contentHeight = items.reduce((sum, item, i) => sum + item.height + (i ? item.gap ?? 16 : 0), 0);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, headerBottom, W, inputTop - headerBottom);
+    ctx.clip();
+    let y = Math.min(headerBottom + 16, inputTop - 16 - contentHeight);
+    items.forEach((item, i) => {
+        if (i) y += item.gap ?? 16;
+        item.draw(y);
+        y += item.height;
+    });
+    ctx.restore();
+
+    // Header, over the top of the transcript.
+    const name = thread?.isGroup ? getThreadName(thread, chat) : getContactName(thread);
+    const subtitle = getChatSubtitle(thread, chat, participants, frame.typingId, skin);
+    ctx.fillStyle = skin.chatBackground;
+    ctx.fillRect(0, 0, W, headerBottom);
+    ctx.fillStyle = skin.headerBackground;
+    ctx.fillRect(0, 0, W, headerBottom);
+    ctx.fillStyle = skin.listDivider;
+    ctx.fillRect(0, headerBottom - 0.5, W, 0.5);
+    if (skin.headerAlign === 'center') {
+        drawCanvasAvatar(ctx, thread, W / 2 - 20, topInset + 4, 40, images);
+        ctx.fillStyle = skin.headerText;
+        ctx.textAlign = 'center';
+        ctx.font = font(15, 600);
+        ctx.fillText(name || '', W / 2, topInset + 60);
+        ctx.fillStyle = skin.headerSubtext;
+        ctx.font = font(12);
+        ctx.fillText(subtitle || '', W / 2, topInset + 74);
+    } else {
+        ctx.strokeStyle = skin.headerText;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(24, topInset + 20);
+        ctx.lineTo(16, topInset + 28);
+        ctx.lineTo(24, topInset + 36);
+        ctx.stroke();
+        drawCanvasAvatar(ctx, thread, 40, topInset + 10, 36, images);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = skin.headerText;
+        ctx.font = font(16, 600);
+        ctx.fillText(name || '', 88, topInset + 26);
+        ctx.fillStyle = skin.headerSubtext;
+        ctx.font = font(12);
+        ctx.fillText(subtitle || '', 88, topInset + 43);
+    }
+    if (status) drawCanvasStatusBar(ctx, { status, time: formatClockTime(now, locale), color: skin.headerText, width: W });
+
+    // Input bar with the actor's draft.
+    ctx.fillStyle = skin.inputBackground;
+    ctx.fillRect(0, inputTop, W, H - inputTop);
+    ctx.fillStyle = skin.listDivider;
+    ctx.fillRect(0, inputTop, W, 0.5);
+    ctx.fillStyle = skin.inputFieldBackground;
+    ctx.strokeStyle = skin.inputBorder;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.roundRect(8, inputTop + 8, W - 16, 36, 18);
+    ctx.fill();
+    if (skin.inputBorder !== 'transparent') ctx.stroke();
+    ctx.font = font(14);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = frame.draft ? skin.otherText : '#9ca3af';
+    let draft = frame.draft || skin.inputPlaceholder;
+    if (ctx.measureText(draft).width > W - 80) {
+        while (draft.length > 1 && ctx.measureText(`…${draft}`).width > W - 80) draft = draft.slice(1);
+        draft = `…${draft}`;
+    }
+    ctx.fillText(draft, 20, inputTop + 31);
+    ctx.fillStyle = frame.isDraftComplete ? skin.sendColor : '#d1d5db';
+    ctx.beginPath();
+    ctx.arc(W - 28, inputTop + 26, 14, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(W - 28, inputTop + 33);
+    ctx.lineTo(W - 28, inputTop + 19);
+    ctx.moveTo(W - 33, inputTop + 24);
+    ctx.lineTo(W - 28, inputTop + 19);
+    ctx.lineTo(W - 23, inputTop + 24);
+    ctx.stroke();
+    if (bottomInset) {
+        ctx.fillStyle = skin.otherText;
+        ctx.beginPath();
+        ctx.roundRect(W / 2 - 67, H - 13, 134, 5, 2.5);
+        ctx.fill();
+    }
+};
+
+// Two frames with the same signature look the same, so the encoded image can be reused.
+const getFrameSignature = (frame, status, time, ms) => [
+    frame.chat.bubbles.length,
+    frame.chat.bubbles.filter(b => b.unsent).length,
+    frame.chat.bubbles.reduce((sum, b) => sum + (b.reactions?.length || 0), 0),
+    frame.chat.receipt?.status,
+    frame.typingId,
+    frame.showTyping ? Math.floor(ms / 50) : '',
+    frame.draft,
+    frame.isDraftComplete,
+    JSON.stringify(status),
+    time,
+].join('|');
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Plain zip offsets are 32-bit, so an archive has to stay under 4 GB.
+const ZIP_MAX_BYTES = 0xffffffff;
+const ZIP_TOO_LARGE = 'This render is too large for one zip file (over 4 GB). Choose a lower resolution or frame rate, or render on a device that can save into a folder.';
+const getZipEntrySize = (name, bytes) => 30 + 46 + 2 * new TextEncoder().encode(name).length + bytes.length;
+
+// A zip archive without compression: PNG frames are compressed already.
+const createZip = (files) => {
+    if (files.length > 0xffff) throw new Error('Too many frames for one archive. Choose a lower frame rate.');
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    for (const { name, bytes } of files) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(bytes);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(12, 0x21, true); // 1 January 1980
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, bytes);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, bytes.length, true);
+        entry.setUint32(24, bytes.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        directory.push(entry, nameBytes);
+        offset += 30 + nameBytes.length + bytes.length;
+    }
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    if (offset + directorySize + 22 > ZIP_MAX_BYTES) throw new Error(ZIP_TOO_LARGE);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+};
+
+// WebM is encoded frame by frame with WebCodecs where the browser has it, so frame times come
+// from the frame index rather than the wall clock.
+const WEBM_CODECS = [
+    { codec: 'vp09.00.50.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' },
+];
+const WEBM_KEYFRAME_INTERVAL_S = 1;
+
+const findWebmEncoder = async (resolution, fps) => {
+    if (!window.VideoEncoder || !window.VideoFrame) return null;
+    for (const { codec, codecId } of WEBM_CODECS) {
+        const config = { codec, width: resolution.width, height: resolution.height, bitrate: 16000000, framerate: fps };
+        try {
+            if ((await window.VideoEncoder.isConfigSupported(config)).supported) return { config, codecId };
+        } catch {
+            // try the next codec
+        }
+    }
+    return null;
+};
+
+const concatBytes = (parts) => {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+};
+
+const ebmlUint = (value) => {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+};
+
+const ebmlFloat = (value) => {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return new Uint8Array(view.buffer);
+};
+
+// An EBML element is its id, its size as an 8-byte variable-length integer, then the payload.
+const ebmlHeader = (id, size) => {
+    const sizeBytes = new Uint8Array(8);
+    sizeBytes[0] = 0x01;
+    for (let i = 7, rest = size; i > 0; i--, rest = Math.floor(rest / 256)) sizeBytes[i] = rest % 256;
+    return concatBytes([ebmlUint(id), sizeBytes]);
+};
+
+const ebml = (id, payload) => {
+    const body = payload instanceof Uint8Array ? payload
+        : typeof payload === 'string' ? new TextEncoder().encode(payload)
+        : typeof payload === 'number' ? ebmlUint(payload)
+        : concatBytes(payload);
+    return concatBytes([ebmlHeader(id, body.length), body]);
+};
+
+// A minimal WebM file: one video track, a cluster per keyframe, block times in milliseconds.
+const createWebm = ({ codecId, width, height, fps, durationMs, chunks }) => {
+    const header = ebml(0x1a45dfa3, [ebml(0x4286, 1), ebml(0x42f7, 1), ebml(0x42f2, 4), ebml(0x42f3, 8), ebml(0x4282, 'webm'), ebml(0x4287, 4), ebml(0x4285, 2)]);
+    const info = ebml(0x1549a966, [ebml(0x2ad7b1, 1000000), ebml(0x4d80, 'FlowProp'), ebml(0x5741, 'FlowProp'), ebml(0x4489, ebmlFloat(durationMs))]);
+    const tracks = ebml(0x1654ae6b, [ebml(0xae, [
+        ebml(0xd7, 1), ebml(0x73c5, 1), ebml(0x83, 1), ebml(0x86, codecId), ebml(0x23e383, Math.round(1e9 / fps)),
+        ebml(0xe0, [ebml(0xb0, width), ebml(0xba, height)]),
+    ])]);
+    const clusters = [];
+    let cluster = null;
+    const closeCluster = () => {
+        if (cluster) clusters.push(ebml(0x1f43b675, [ebml(0xe7, cluster.start), ...cluster.blocks]));
+    };
+    for (const chunk of chunks) {
+        // Block times are 16-bit offsets from the cluster start.
+        if (!cluster || chunk.key || chunk.timestamp - cluster.start > 30000) {
+            closeCluster();
+            cluster = { start: chunk.timestamp, blocks: [] };
+        }
+        const offset = chunk.timestamp - cluster.start;
+        cluster.blocks.push(ebml(0xa3, concatBytes([Uint8Array.of(0x81, (offset >> 8) & 0xff, offset & 0xff, chunk.key ? 0x80 : 0), chunk.data])));
+    }
+    closeCluster();
+    const segmentSize = [info, tracks, ...clusters].reduce((sum, part) => sum + part.length, 0);
+    return new Blob([header, ebmlHeader(0x18538067, segmentSize), info, tracks, ...clusters], { type: 'video/webm' });
+};
+
+const encodeWebm = async ({ encoder: { config, codecId }, canvas, fps, frameCount, drawFrame, onProgress, signal }) => {
+    const chunks = [];
+    let encodeError = null;
+    const encoder = new window.VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            chunks.push({ data, timestamp: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key' });
+        },
+        error: (error) => { encodeError = error; },
+    });
+    encoder.configure(config);
+    for (let i = 0; i < frameCount && !signal.aborted && !encodeError; i++) {
+        drawFrame(i);
+        const frame = new window.VideoFrame(canvas, { timestamp: Math.round(i * 1e6 / fps), duration: Math.round(1e6 / fps) });
+        encoder.encode(frame, { keyFrame: i % Math.round(fps * WEBM_KEYFRAME_INTERVAL_S) === 0 });
+        frame.close();
+        onProgress(i + 1, frameCount);
+        // Yield so progress paints, and let the encoder catch up before drawing more frames.
+        do {
+            await new Promise(resolve => setTimeout(resolve));
+        } while (encoder.encodeQueueSize > 2 && !encodeError);
+    }
+    if (!encodeError) await encoder.flush().catch(error => { encodeError = error; });
+    if (encoder.state !== 'closed') encoder.close();
+    if (encodeError) throw encodeError;
+    return createWebm({ codecId, width: canvas.width, height: canvas.height, fps, durationMs: frameCount * 1000 / fps, chunks });
+};
+
+const canvasToPngBytes = (canvas) => new Promise((resolve, reject) => canvas.toBlob(blob => (blob ? blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject) : reject(new Error('The browser could not encode the frame.'))), 'image/png'));
+
+// Renders one thread of a chat scene. PNG frames go into `directory` when the browser can write to
+// a folder, otherwise into a zip; WebM goes through MediaRecorder, which can only record in real time.
+// Returns the files still to be saved, none once everything is written to the folder.
+const renderScene = async ({ scene, threadId, resolution, fps, format, directory, onProgress, signal }) => {
+    const { config } = scene;
+    const thread = getThreads(config).find(t => t.id === threadId);
+    const messages = resolveScript(getThreadMessages(config, threadId), chooseFirstOption);
+    const timeline = buildSceneTimeline(messages, config.timing || DEFAULT_TIMING);
+    const frameCount = Math.ceil((timeline.total + RENDER_TAIL_MS) / 1000 * fps);
+    const images = await loadRenderImages(getRenderImageUrls(config));
+    const clock = getRenderClock(config.clock);
+    const storyTimeAt = (ms) => getStoryTime(clock, 0, ms);
+    const locale = config.clock?.locale || '';
+    const statusBar = config.statusBar || DEFAULT_STATUS_BAR;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = resolution.width;
+    canvas.height = resolution.height;
+    const ctx = canvas.getContext('2d');
+    const drawFrame = (index) => {
+        const ms = index * 1000 / fps;
+        const frame = getTimelineFrame({ config, threadId, timeline, ms, storyTimeAt });
+        const status = statusBar.enabled ? getStatusAt(statusBar, ms) : null;
+        const now = storyTimeAt(ms);
+        const signature = getFrameSignature(frame, status, formatClockTime(now, locale), ms);
+        paintChatFrame(ctx, { width: canvas.width, height: canvas.height, config, thread, frame, status, now, locale, ms, images });
+        return signature;
+    };
+
+    const baseName = toFileName(scene.name).replace(/\.flowprop\.json$/, '');
+    const sidecar = JSON.stringify(createRenderSidecar({ scene, thread, timeline, frameCount, fps, resolution }), null, 2);
+
+    if (format === 'webm') {
+        const encoder = await findWebmEncoder(resolution, fps);
+        if (encoder) {
+            const webm = await encodeWebm({ encoder, canvas, fps, frameCount, drawFrame, onProgress, signal });
+            if (signal.aborted) return [];
+            return [new File([webm], `${baseName}.webm`, { type: 'video/webm' }), new File([sidecar], `${baseName}-timecodes.json`, { type: 'application/json' })];
+        }
+        // Without WebCodecs the only way to WebM is recording the canvas as it plays, in real time.
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => window.MediaRecorder?.isTypeSupported(type));
+        if (!mimeType || !canvas.captureStream) throw new Error("This browser can't record WebM. Render a PNG sequence instead.");
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 16000000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+        const startedAt = performance.now();
+        for (let i = 0; i < frameCount && !signal.aborted; i++) {
+            drawFrame(i);
+            track.requestFrame();
+            onProgress(i + 1, frameCount);
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, startedAt + (i + 1) * 1000 / fps - performance.now())));
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+        if (signal.aborted) return [];
+        return [new File(chunks, `${baseName}.webm`, { type: 'video/webm' }), new File([sidecar], `${baseName}-timecodes.json`, { type: 'application/json' })];
+    }
+
+    const files = [];
+    let zipSize = 0;
+    let previous = null;
+    for (let i = 0; i < frameCount && !signal.aborted; i++) {
+        const signature = drawFrame(i);
+        const bytes = signature === previous?.signature ? previous.bytes : await canvasToPngBytes(canvas);
+        previous = { signature, bytes };
+        const name = `${baseName}_${String(i + 1).padStart(5, '0')}.png`;
+        if (directory) {
+            const writable = await (await directory.getFileHandle(name, { create: true })).createWritable();
+            await writable.write(bytes);
+            await writable.close();
+        } else {
+            // Stop before memory fills up with frames that could never be zipped.
+            zipSize += getZipEntrySize(name, bytes);
+            if (zipSize > ZIP_MAX_BYTES) throw new Error(ZIP_TOO_LARGE);
+            files.push({ name, bytes });
+        }
+        onProgress(i + 1, frameCount);
+    }
+    if (signal.aborted) return [];
+    const sidecarBytes = new TextEncoder().encode(sidecar);
+    if (directory) {
+        const writable = await (await directory.getFileHandle(`${baseName}-timecodes.json`, { create: true })).createWritable();
+        await writable.write(sidecarBytes);
+        await writable.close();
+        return [];
+    }
+    return [new File([createZip([...files, { name: `${baseName}-timecodes.json`, bytes: sidecarBytes }])], `${baseName}-frames.zip`, { type: 'application/zip' })];
+};
+
+// --- HISTORY & REVISIONS ---
+// Undo keeps the project as it was before each change, per project. Only the fields below are
+// rolled back; named revisions live on the project as copies of its scenes and sequence.
+const HISTORY_KEYS = ['name', 'scenes', 'sequence', 'deletedScenes'];
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 1000;
+const EMPTY_HISTORY = { past: [], future: [], lastKey: null, lastAt: 0 };
+
+const isSameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const restoreSnapshot = (project, snapshot) => ({
+    ...project,
+    ...Object.fromEntries(HISTORY_KEYS.map(key => [key, snapshot[key]])),
+    lastModified: new Date().toISOString(),
+});
+
+const useProjectHistory = (projects, setProjects) => {
+    const [stacks, setStacks] = useState({}); // project id -> { past, future, lastKey, lastAt }
+    const [restoreCount, setRestoreCount] = useState(0); // editors remount on this so they reload
+
+    // Edits to the same field in quick succession (typing) become a single undo step.
+    const record = useCallback((project, key) => {
+        const now = Date.now();
+        setStacks(prev => {
+            const stack = prev[project.id] || EMPTY_HISTORY;
+            if (key && key === stack.lastKey && now - stack.lastAt < HISTORY_MERGE_MS) return { ...prev, [project.id]: { ...stack, lastAt: now } };
+            return { ...prev, [project.id]: { past: [...stack.past.slice(1 - HISTORY_LIMIT), project], future: [], lastKey: key, lastAt: now } };
+        });
+    }, []);
+
+    const travel = useCallback((projectId, from, to) => {
+        const stack = stacks[projectId] || EMPTY_HISTORY;
+        const target = stack[from][stack[from].length - 1];
+        const current = projects.find(p => p.id === projectId);
+        if (!target || !current) return;
+        setStacks(prev => ({ ...prev, [projectId]: { ...stack, [from]: stack[from].slice(0, -1), [to]: [...stack[to], current], lastKey: null } }));
+        setProjects(prev => prev.map(p => p.id === projectId ? restoreSnapshot(p, target) : p));
+        setRestoreCount(count => count + 1);
+    }, [stacks, projects, setProjects]);
+
+    const undo = useCallback((projectId) => travel(projectId, 'past', 'future'), [travel]);
+    const redo = useCallback((projectId) => travel(projectId, 'future', 'past'), [travel]);
+    const canUndo = useCallback((projectId) => !!stacks[projectId]?.past.length, [stacks]);
+    const canRedo = useCallback((projectId) => !!stacks[projectId]?.future.length, [stacks]);
+
+    return { record, undo, redo, canUndo, canRedo, restoreCount };
+};
+
+const createRevision = (project, name) => ({
+    id: Date.now().toString(),
+    name,
+    createdAt: new Date().toISOString(),
+    scenes: project.scenes,
+    sequence: project.sequence || [],
+});
+
+const CONFIG_LABELS = {
+    scenarioType: 'start screen',
+    messageHistory: 'message history',
+    lockScreen: 'lock screen',
+    keyboard: 'keyboard',
+    skin: 'skin',
+    timing: 'timing',
+    clock: 'story clock',
+    notifications: 'notifications',
+    groups: 'group chats',
+    statusBar: 'status bar',
+    call: 'call',
+};
+
+const countLabel = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// Matches items by id: which were added, removed, edited, and whether the survivors moved.
+const compareById = (before = [], after = []) => {
+    const beforeIds = before.map(item => item.id);
+    const afterIds = after.map(item => item.id);
+    const kept = afterIds.filter(id => beforeIds.includes(id));
+    return {
+        added: after.filter(item => !beforeIds.includes(item.id)),
+        removed: before.filter(item => !afterIds.includes(item.id)),
+        edited: after.filter(item => beforeIds.includes(item.id) && !isSameValue(item, before.find(b => b.id === item.id))),
+        isReordered: !isSameValue(kept, beforeIds.filter(id => afterIds.includes(id))),
+    };
+};
+
+const compareScenes = (before, after) => {
+    const changes = [];
+    const lines = compareById(before.config.messages, after.config.messages);
+    const lineCounts = [
+        lines.added.length && `${countLabel(lines.added.length, 'line')} added`,
+        lines.removed.length && `${countLabel(lines.removed.length, 'line')} removed`,
+        lines.edited.length && `${countLabel(lines.edited.length, 'line')} edited`,
+    ].filter(Boolean);
+    if (lineCounts.length) changes.push(`Script: ${lineCounts.join(', ')}`);
+    if (lines.isReordered) changes.push('Script: lines reordered');
+
+    const people = compareById(before.config.participants, after.config.participants);
+    people.added.forEach(p => changes.push(`Added contact “${getContactName(p)}”`));
+    people.removed.forEach(p => changes.push(`Removed contact “${getContactName(p)}”`));
+    if (people.edited.length) changes.push(`Edited ${people.edited.map(p => `“${getContactName(p)}”`).join(', ')}`);
+
+    Object.keys({ ...before.config, ...after.config })
+        .filter(key => key !== 'messages' && key !== 'participants' && !isSameValue(before.config[key], after.config[key]))
+        .forEach(key => changes.push(`Changed ${CONFIG_LABELS[key] || key}`));
+    return changes;
+};
+
+// Lists what changed going from `before` to `after` (a project or a revision), scene by scene.
+const compareProjects = (before, after) => {
+    const scenes = compareById(before.scenes, after.scenes);
+    return [
+        ...scenes.added.map(scene => ({ scene: scene.name, text: 'Scene added' })),
+        ...scenes.removed.map(scene => ({ scene: scene.name, text: 'Scene removed' })),
+        ...scenes.edited.flatMap(scene => {
+            const old = before.scenes.find(s => s.id === scene.id);
+            return [
+                ...(old.name !== scene.name ? [`Renamed from “${old.name}”`] : []),
+                ...compareScenes(old, scene),
+            ].map(text => ({ scene: scene.name, text }));
+        }),
+        ...(scenes.isReordered ? [{ text: 'Scenes reordered' }] : []),
+        ...(!isSameValue(before.sequence || [], after.sequence || []) ? [{ text: 'Sequence changed' }] : []),
+    ];
+};
+
+// --- FIND & REPLACE ---
+// Everything in a scene that reads as dialogue or a name. Ids, URLs and settings are left alone.
+const mapSceneText = (scene, fn) => {
+    const { config } = scene;
+    const mapLine = (line) => ({
+        ...line,
+        ...(typeof line.text === 'string' && { text: fn(line.text) }),
+        ...(line.typedAs && { typedAs: fn(line.typedAs) }),
+        ...(line.linkTitle && { linkTitle: fn(line.linkTitle) }),
+        ...(line.options && { options: line.options.map(option => ({ ...option, label: fn(option.label || ''), text: fn(option.text || ''), messages: (option.messages || []).map(mapLine) })) }),
+    });
+    return {
+        ...scene,
+        name: fn(scene.name),
+        config: {
+            ...config,
+            participants: (config.participants || []).map(p => p.isFixed ? p : { ...p, name: fn(p.name || ''), ...(p.maybe && { maybe: fn(p.maybe) }) }),
+            groups: (config.groups || []).map(group => ({ ...group, name: fn(group.name || '') })),
+            messages: (config.messages || []).map(mapLine),
+            messageHistory: Object.fromEntries(Object.entries(config.messageHistory || {}).map(([threadId, history]) => [threadId, {
+                ...history,
+                ...(history.lastMessage && { lastMessage: fn(history.lastMessage) }),
+                ...(history.bubbles && { bubbles: history.bubbles.map(mapLine) }),
+            }])),
+            notifications: (config.notifications || []).map(mapLine),
+            ...(config.call && { call: { ...config.call, callerName: fn(config.call.callerName || ''), callerLabel: fn(config.call.callerLabel || '') } }),
+        },
+    };
+};
+
+// Whole words are bounded by anything that is not a letter or digit, in any script.
+const createFindPattern = (find, { matchCase, wholeWord }) => {
+    const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])` : escaped, matchCase ? 'gu' : 'giu');
+};
+
+const countSceneMatches = (scene, pattern) => {
+    let count = 0;
+    mapSceneText(scene, (text) => {
+        count += text.match(pattern)?.length || 0;
+        return text;
+    });
+    return count;
+};
+
+// --- PROJECT FILES ---
+// Projects and scenes travel between devices as self-contained `.flowprop.json` files.
+// Embedded images are pulled out into a deduplicated `assets` map and referenced as `flowprop-asset:<key>`.
+const FLOWPROP_FILE_FORMAT = 'flowprop';
+const FLOWPROP_SCHEMA_VERSION = 1;
+const LEGACY_PROJECTS_KEY = 'flowprop-projects';
+const SCENE_TYPES = ['message', 'call', 'video'];
+const ASSET_REF_PREFIX = 'flowprop-asset:';
+
+class FlowPropFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FlowPropFileError';
+    }
+}
+
+const hashString = (str) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16)}${str.length.toString(16)}`;
+};
+
+const mapStrings = (value, fn) => {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+    return value;
+};
+
+const assetIds = new Map(); // data URL -> asset id, so each image is only hashed once per session
+const assetUrls = new Map(); // asset id -> data URL, for every id handed out this session
+
+// The hash is only 32 bits, so two different images can share one. The later image gets a
+// numbered suffix instead of the same id.
+const getAssetId = (dataUrl) => {
+    if (assetIds.has(dataUrl)) return assetIds.get(dataUrl);
+    const hash = hashString(dataUrl);
+    let id = hash;
+    for (let n = 2; assetUrls.has(id) && assetUrls.get(id) !== dataUrl; n++) id = `${hash}-${n}`;
+    assetIds.set(dataUrl, id);
+    assetUrls.set(id, dataUrl);
+    return id;
+};
+
+const packAssets = (payload) => {
+    const assets = {};
+    const packed = mapStrings(payload, (str) => {
+        if (!str.startsWith('data:')) return str;
+        const key = getAssetId(str);
+        assets[key] = str;
+        return `${ASSET_REF_PREFIX}${key}`;
+    });
+    return { packed, assets };
+};
+
+const unpackAssets = (payload, assets) => mapStrings(payload, (str) => {
+    if (!str.startsWith(ASSET_REF_PREFIX)) return str;
+    const key = str.slice(ASSET_REF_PREFIX.length);
+    if (typeof assets[key] !== 'string') throw new FlowPropFileError(`The file references an embedded image (${key}) that is missing from it.`);
+    return assets[key];
+});
+
+const migrateMessage = (message, index) => ({
+    ...message,
+    id: String(message.id ?? `${Date.now()}-${index}`),
+    participantId: message.participantId ?? 'you',
+    text: message.text ?? '',
+    startDelay: message.startDelay ?? 1,
+    typingDelay: message.typingDelay ?? 'natural',
+});
+
+// Brings scenes saved by any earlier v3 build up to the current config shape.
+const migrateScene = (scene) => {
+    const type = SCENE_TYPES.includes(scene.type) ? scene.type : 'message';
+    const config = scene.config || {};
+    const participants = config.participants?.length ? config.participants : [
+        { id: 'you', name: 'You', avatar: 'blue', isFixed: true },
+        { id: 'contact1', name: 'Contact 1', avatar: 'gray' },
+    ];
+    return {
+        ...scene,
+        id: String(scene.id),
+        name: scene.name || 'Untitled Scene',
+        type,
+        config: {
+            ...config,
+            scenarioType: ['direct', 'contacts', 'lockscreen'].includes(config.scenarioType) ? config.scenarioType : 'direct',
+            participants,
+            messages: (config.messages || []).map(migrateMessage),
+            messageHistory: config.messageHistory || {},
+            lockScreen: { background: null, ...config.lockScreen },
+            keyboard: config.keyboard || { mode: 'onscreen', layout: 'qwerty' },
+            skin: config.skin || { id: 'imessage' },
+            timing: { ...DEFAULT_TIMING, ...config.timing },
+            clock: config.clock || clockFromLegacyLockScreen(config.lockScreen) || DEFAULT_CLOCK,
+            notifications: config.notifications || [],
+            statusBar: { ...DEFAULT_STATUS_BAR, ...config.statusBar },
+            groups: config.groups || (config.chatType === 'group'
+                ? [{ id: 'group1', name: 'Group', photo: null, memberIds: participants.filter(p => !p.isFixed).map(p => p.id) }]
+                : []),
+            ...(type === 'call' || type === 'video' ? { call: { ...createDefaultCallConfig(), ...config.call } } : {}),
+        },
+    };
+};
+
+const migrateSequence = (sequence = []) => sequence.map(step => ({ advance: 'end', delay: 2, ...step, id: String(step.id), sceneId: String(step.sceneId) }));
+
+const migrateProject = (project) => ({
+    ...project,
+    id: String(project.id),
+    name: project.name || 'Untitled Project',
+    scenes: (project.scenes || []).map(migrateScene),
+    sequence: migrateSequence(project.sequence),
+    revisions: (project.revisions || []).map(revision => ({ ...revision, id: String(revision.id), scenes: (revision.scenes || []).map(migrateScene), sequence: migrateSequence(revision.sequence) })),
+    deletedScenes: (project.deletedScenes || []).map(migrateScene),
+    createdAt: project.createdAt || new Date().toISOString(),
+    lastModified: project.lastModified || project.createdAt || new Date().toISOString(),
+});
+
+// Converts a project saved by the original wizard app (`flowprop-projects`): one flat
+// conversation per project, actors flagged with `isActor`, and lock screen text fields.
+const LEGACY_MODE_TO_SCENARIO = { 'chat-only': 'direct', contacts: 'contacts', 'sleep-mode': 'lockscreen' };
+
+const migrateLegacyProject = (legacy) => {
+    const legacyParticipants = legacy.participants || [];
+    const actor = legacyParticipants.find(p => p.isActor);
+    const idMap = new Map(legacyParticipants.map(p => [p.id, p.isActor ? 'you' : `contact${p.id}`]));
+    const participants = [
+        { id: 'you', name: actor?.name || 'You', avatar: 'blue', isFixed: true },
+        ...legacyParticipants.filter(p => !p.isActor).map(p => ({ id: idMap.get(p.id), name: p.name, avatar: 'gray' })),
+    ];
+    const startDelay = legacy.delayMode === 'custom' ? Number(legacy.customDelay) || 1 : 'natural';
+    const messages = (legacy.messages || []).map((m, index) => ({
+        id: `${m.id ?? Date.now()}-${index}`,
+        participantId: m.isActor ? 'you' : (idMap.get(m.senderId) ?? participants.find(p => p.name === m.senderName)?.id ?? participants[1]?.id ?? 'you'),
+        text: m.text || '',
+        startDelay,
+        typingDelay: 'natural',
+    }));
+
+    return migrateProject({
+        id: String(legacy.id ?? Date.now()),
+        name: legacy.name,
+        createdAt: legacy.createdAt,
+        scenes: [{
+            id: `${legacy.id ?? Date.now()}-scene`,
+            name: legacy.name || 'Scene 1',
+            type: 'message',
+            config: {
+                scenarioType: LEGACY_MODE_TO_SCENARIO[legacy.mode] || 'direct',
+                chatType: legacy.chatType === 'group' ? 'group' : 'single',
+                participants,
+                messages,
+                messageHistory: {},
+                lockScreen: { background: legacy.background || null, time: legacy.lockScreenTime, date: legacy.lockScreenDate },
+            },
+        }],
+    });
+};
+
+const readLegacyProjects = () => {
+    try {
+        const saved = window.localStorage.getItem(LEGACY_PROJECTS_KEY);
+        const parsed = saved ? JSON.parse(saved) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+};
+
+const assertSceneShape = (scene, label) => {
+    if (!scene || typeof scene !== 'object') throw new FlowPropFileError(`${label} is not a valid scene.`);
+    if (scene.type !== undefined && !SCENE_TYPES.includes(scene.type)) throw new FlowPropFileError(`${label} has an unknown scene type "${scene.type}".`);
+    if (scene.config !== undefined && (typeof scene.config !== 'object' || scene.config === null)) throw new FlowPropFileError(`${label} has a malformed config.`);
+    const { participants, messages } = scene.config || {};
+    if (participants !== undefined && !Array.isArray(participants)) throw new FlowPropFileError(`${label}: participants must be a list.`);
+    if (messages !== undefined && !Array.isArray(messages)) throw new FlowPropFileError(`${label}: messages must be a list.`);
+    (messages || []).forEach((m, i) => {
+        if (!m || typeof m.text !== 'string') throw new FlowPropFileError(`${label}, message ${i + 1}: text is missing.`);
+    });
+};
+
+const createProjectFile = (kind, payload) => {
+    const { packed, assets } = packAssets(payload);
+    return JSON.stringify({
+        format: FLOWPROP_FILE_FORMAT,
+        schemaVersion: FLOWPROP_SCHEMA_VERSION,
+        kind,
+        exportedAt: new Date().toISOString(),
+        [kind]: packed,
+        assets,
+    });
+};
+
+// Entries of a bare project array are either current projects or legacy single-chat ones.
+const migrateListedProject = (project, index) => {
+    const label = `Project ${index + 1}`;
+    if (!project || typeof project !== 'object' || Array.isArray(project)) throw new FlowPropFileError(`${label} in this file is not a valid project.`);
+    if (Array.isArray(project.scenes)) {
+        project.scenes.forEach((scene, i) => assertSceneShape(scene, `${label}, scene ${i + 1}`));
+        return migrateProject(project);
+    }
+    const { participants, messages } = project;
+    const isList = (items) => items === undefined || (Array.isArray(items) && items.every(item => item && typeof item === 'object'));
+    const isLegacy = (Array.isArray(participants) || Array.isArray(messages)) && isList(participants) && isList(messages);
+    if (!isLegacy) throw new FlowPropFileError(`${label} in this file is not a FlowProp project.`);
+    return migrateLegacyProject(project);
+};
+
+// Parses and validates a `.flowprop.json` file, or a raw legacy `flowprop-projects` export.
+// Returns `{ kind: 'project', project }`, `{ kind: 'scene', scene }` or, for legacy data,
+// `{ kind: 'projects', projects }`, all migrated to the current model.
+const parseProjectFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new FlowPropFileError('This file is not valid JSON. It may be damaged or not a FlowProp file.');
+    }
+
+    if (Array.isArray(data)) {
+        if (data.length === 0) throw new FlowPropFileError('This legacy FlowProp file contains no projects.');
+        return { kind: 'projects', projects: data.map(migrateListedProject) };
+    }
+    if (!data || data.format !== FLOWPROP_FILE_FORMAT) throw new FlowPropFileError('This is not a FlowProp project or scene file.');
+    if (!Number.isInteger(data.schemaVersion)) throw new FlowPropFileError('The file has no schema version.');
+    if (data.schemaVersion > FLOWPROP_SCHEMA_VERSION) throw new FlowPropFileError(`This file was made with a newer version of FlowProp (schema ${data.schemaVersion}). Update the app to open it.`);
+    if (data.kind !== 'project' && data.kind !== 'scene') throw new FlowPropFileError(`Unknown file kind "${data.kind}".`);
+
+    const payload = unpackAssets(data[data.kind], data.assets || {});
+    if (data.kind === 'scene') {
+        assertSceneShape(payload, 'The scene');
+        return { kind: 'scene', scene: migrateScene(payload) };
+    }
+    if (!payload || typeof payload.name !== 'string') throw new FlowPropFileError('The project has no name.');
+    if (!Array.isArray(payload.scenes)) throw new FlowPropFileError('The project has no scene list.');
+    payload.scenes.forEach((scene, i) => assertSceneShape(scene, `Scene ${i + 1}`));
+    return { kind: 'project', project: migrateProject(payload) };
+};
+
+const toFileName = (name) => `${(name || 'untitled').trim().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').toLowerCase() || 'untitled'}.flowprop.json`;
+
+// Uses the share sheet where files can be shared (AirDrop between phones), otherwise downloads.
+const saveFile = async (file) => {
+    if (navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title: file.name });
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+        }
+    }
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const saveProjectFile = (fileName, contents) => saveFile(new File([contents], fileName, { type: 'application/json' }));
+
+// --- STORAGE ---
+// Projects are kept in IndexedDB. Images are lifted out of each project into a shared asset
+// store keyed by content hash, so a photo used in ten scenes is stored once and the project
+// record only carries `flowprop-asset:<id>` references. In memory, projects keep data URLs.
+const DB_NAME = 'flowprop';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const ASSETS_STORE = 'assets';
+const LOCAL_PROJECTS_KEY = 'flowprop_projects_v3';
+
+class StorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+}
+
+const toStorageError = (error, action) => {
+    if (error instanceof StorageError) return error;
+    if (error?.name === 'QuotaExceededError') {
+        return new StorageError(`The device ran out of storage space while ${action}. Remove unused images from the asset library or free up space on the device.`, error);
+    }
+    return new StorageError(`Something went wrong while ${action}: ${error?.message || error}`, error);
+};
+
+let databasePromise = null;
+const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new StorageError('This browser has no IndexedDB support, so projects cannot be saved on this device.'));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                request.result.createObjectStore(ASSETS_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+};
+
+// Runs `work` in a single transaction and resolves with the result of the request it returns (if any) once committed.
+const runTransaction = async (storeNames, mode, work) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = work(transaction);
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new StorageError('The storage transaction was aborted.'));
+    });
+};
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const storedAssetIds = new Set(); // ids present in the asset store
+const loadedAssets = new Map(); // asset id -> data URL
+
+// An id already in the store is only reused once the stored image is known to be this one; a
+// different image behind the same id sends this one on to the next free id.
+const claimAssetId = async (dataUrl) => {
+    for (;;) {
+        const id = getAssetId(dataUrl);
+        if (!storedAssetIds.has(id) || loadedAssets.get(id) === dataUrl) return id;
+        const stored = await loadAsset(id);
+        if (stored === null || stored === dataUrl) return id;
+        assetUrls.set(id, stored);
+        assetIds.delete(dataUrl);
+    }
+};
+
+const storeAssets = async (dataUrls, name = '') => {
+    const fresh = [];
+    for (const dataUrl of new Set(dataUrls)) {
+        if (!storedAssetIds.has(await claimAssetId(dataUrl))) fresh.push(dataUrl);
+    }
+    if (!fresh.length) return;
+    const createdAt = new Date().toISOString();
+    const records = await Promise.all(fresh.map(async (dataUrl) => {
+        const blob = await (await fetch(dataUrl)).blob();
+        return { id: getAssetId(dataUrl), blob, type: blob.type, size: blob.size, name, createdAt };
+    }));
+    await runTransaction([ASSETS_STORE], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(ASSETS_STORE);
+        records.forEach(record => store.put(record));
+    });
+    fresh.forEach(dataUrl => {
+        storedAssetIds.add(getAssetId(dataUrl));
+        loadedAssets.set(getAssetId(dataUrl), dataUrl);
+    });
+};
+
+const listAssets = () => runTransaction([ASSETS_STORE], 'readonly', transaction => transaction.objectStore(ASSETS_STORE).getAll());
+
+const loadAsset = async (id) => {
+    if (loadedAssets.has(id)) return loadedAssets.get(id);
+    const record = await runTransaction([ASSETS_STORE], 'readonly', transaction => transaction.objectStore(ASSETS_STORE).get(id));
+    if (!record) return null;
+    const dataUrl = await readFileAsDataUrl(record.blob);
+    loadedAssets.set(id, dataUrl);
+    assetIds.set(dataUrl, id);
+    assetUrls.set(id, dataUrl);
+    return dataUrl;
+};
+
+const deleteAsset = async (id) => {
+    await runTransaction([ASSETS_STORE], 'readwrite', transaction => transaction.objectStore(ASSETS_STORE).delete(id));
+    storedAssetIds.delete(id);
+    loadedAssets.delete(id);
+};
+
+const getUsedAssetIds = (projects) => new Set(projects.flatMap(project => Object.keys(packAssets(project).assets)));
+
+// Writes the projects that changed since the last save. `saved` maps project id to the object
+// last written, so untouched projects are skipped by reference.
+const saveProjects = async (projects, saved) => {
+    const changed = projects.filter(project => saved.get(project.id) !== project);
+    const removedIds = [...saved.keys()].filter(id => !projects.some(project => project.id === id));
+    if (!changed.length && !removedIds.length) return;
+
+    // Images are stored first: an id that turns out to belong to another stored image changes
+    // while storing, so the projects are packed with the final ids afterwards.
+    await storeAssets(changed.flatMap(project => Object.values(packAssets(project).assets)));
+    const packedProjects = changed.map(project => ({ project, ...packAssets(project) }));
+    await runTransaction([PROJECTS_STORE], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(PROJECTS_STORE);
+        packedProjects.forEach(({ project, packed }) => store.put({ id: project.id, position: projects.indexOf(project), data: packed }));
+        removedIds.forEach(id => store.delete(id));
+    });
+    packedProjects.forEach(({ project }) => saved.set(project.id, project));
+    removedIds.forEach(id => saved.delete(id));
+};
+
+const loadProjects = async (saved) => {
+    const [records, assetKeys] = await Promise.all([
+        runTransaction([PROJECTS_STORE], 'readonly', transaction => transaction.objectStore(PROJECTS_STORE).getAll()),
+        runTransaction([ASSETS_STORE], 'readonly', transaction => transaction.objectStore(ASSETS_STORE).getAllKeys()),
+    ]);
+    assetKeys.forEach(id => storedAssetIds.add(id));
+
+    if (records.length === 0) {
+        // First start since projects moved out of localStorage: carry them over, then free the quota.
+        const local = JSON.parse(window.localStorage.getItem(LOCAL_PROJECTS_KEY) || '[]');
+        const projects = Array.isArray(local) ? local : [];
+        if (projects.length) await saveProjects(projects, saved);
+        window.localStorage.removeItem(LOCAL_PROJECTS_KEY);
+        return projects;
+    }
+
+    const referencedIds = new Set();
+    records.forEach(record => mapStrings(record.data, (str) => {
+        if (str.startsWith(ASSET_REF_PREFIX)) referencedIds.add(str.slice(ASSET_REF_PREFIX.length));
+        return str;
+    }));
+    await Promise.all([...referencedIds].map(loadAsset));
+
+    const projects = records
+        .sort((a, b) => a.position - b.position)
+        .map(record => mapStrings(record.data, str => str.startsWith(ASSET_REF_PREFIX) ? loadedAssets.get(str.slice(ASSET_REF_PREFIX.length)) ?? null : str));
+    projects.forEach(project => saved.set(project.id, project));
+    return projects;
+};
+
+// Loads projects once, then saves them shortly after every change. Saves run one at a time so an
+// older save can never land after a newer one.
+const useProjectStore = () => {
+    const [projects, setProjects] = useState([]);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [error, setError] = useState(null);
+    const [loadAttempt, setLoadAttempt] = useState(0);
+    const [saveAttempt, setSaveAttempt] = useState(0);
+    const savedRef = useRef(new Map());
+    const saveQueueRef = useRef(Promise.resolve());
+
+    useEffect(() => {
+        navigator.storage?.persist?.().catch(() => {});
+        loadProjects(savedRef.current)
+            .then((loaded) => {
+                setProjects(loaded);
+                setIsLoaded(true);
+                setError(null);
+            })
+            .catch((loadError) => {
+                console.error(loadError);
+                setError(toStorageError(loadError, 'loading your projects'));
+            });
+    }, [loadAttempt]);
+
+    useEffect(() => {
+        if (!isLoaded) return;
+        const timeout = setTimeout(() => {
+            saveQueueRef.current = saveQueueRef.current
+                .then(() => saveProjects(projects, savedRef.current))
+                .then(() => setError(null))
+                .catch((saveError) => {
+                    console.error(saveError);
+                    setError(toStorageError(saveError, 'saving your changes'));
+                });
+        }, 400);
+        return () => clearTimeout(timeout);
+    }, [projects, isLoaded, saveAttempt]);
+
+    const retry = useCallback(() => {
+        if (isLoaded) setSaveAttempt(prev => prev + 1);
+        else setLoadAttempt(prev => prev + 1);
+    }, [isLoaded]);
+
+    return { projects, setProjects, isLoaded, error, retry };
+};
+
+const useStorageEstimate = (refreshKey) => {
+    const [estimate, setEstimate] = useState(null);
+    useEffect(() => {
+        navigator.storage?.estimate?.().then(setEstimate).catch(() => setEstimate(null));
+    }, [refreshKey]);
+    return estimate;
+};
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+};
+
+// --- SCREENPLAY IMPORT ---
+// Turns screenplay dialogue into script messages. Understands Fountain and simple `NAME: line` blocks.
+// Cues with a texting extension such as `ANNA (TEXT)` or `(SMS)` are flagged as messages.
+const TEXTING_PATTERN = /\b(TEXTS?|TEXTING|SMS|IMESSAGE|MESSAGES?|CHAT|WHATSAPP|ON SCREEN|ON PHONE)\b/i;
+const SCENE_HEADING_PATTERN = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[. ]/i;
+const PLAIN_LINE_PATTERN = /^([^:\n]{1,40}?)\s*(\([^)]*\))?\s*:\s+(.+)$/;
+
+const normalizeCharacterName = (cue) => cue.replace(/^@/, '').replace(/\([^)]*\)/g, '').replace(/\^$/, '').trim();
+
+const toDisplayName = (name) => name.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase());
+
+const stripFountainMarkup = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\[\[[\s\S]*?\]\]/g, '');
+
+const parseFountain = (text) => {
+    const lines = stripFountainMarkup(text).split('\n');
+    const entries = [];
+    let i = 0;
+
+    // Skip the title page (key: value pairs up to the first blank line).
+    if (/^(title|credit|author|authors|source|draft date|contact|notes|copyright)\s*:/i.test(lines[0] || '')) {
+        while (i < lines.length && lines[i].trim() !== '') i++;
+    }
+
+    for (; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const prevBlank = i === 0 || lines[i - 1].trim() === '';
+        const nextLine = lines[i + 1]?.trim();
+        if (!line || !prevBlank || !nextLine) continue;
+        if (SCENE_HEADING_PATTERN.test(line) || line.startsWith('.') || line.startsWith('>') || /TO:$/.test(line)) continue;
+
+        const isForced = line.startsWith('@');
+        const cueWithoutExtension = line.replace(/\([^)]*\)/g, '').replace(/\^$/, '');
+        const isCue = isForced || (/\p{Lu}/u.test(cueWithoutExtension) && cueWithoutExtension === cueWithoutExtension.toUpperCase());
+        if (!isCue) continue;
+
+        const dialogue = [];
+        let isText = TEXTING_PATTERN.test((line.match(/\(([^)]*)\)/g) || []).join(' '));
+        let j = i + 1;
+        for (; j < lines.length && lines[j].trim() !== ''; j++) {
+            const dialogueLine = lines[j].trim();
+            if (/^\(.*\)$/.test(dialogueLine)) {
+                if (TEXTING_PATTERN.test(dialogueLine)) isText = true;
+                continue;
+            }
+            dialogue.push(dialogueLine);
+        }
+        if (dialogue.length > 0) entries.push({ character: normalizeCharacterName(line), text: dialogue.join(' '), isText });
+        i = j - 1;
+    }
+    return entries;
+};
+
+const parsePlainDialogue = (text) => {
+    const entries = [];
+    for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        const match = line.match(PLAIN_LINE_PATTERN);
+        if (match) {
+            entries.push({ character: normalizeCharacterName(match[1]), text: match[3].trim(), isText: TEXTING_PATTERN.test(match[2] || '') });
+        } else if (entries.length > 0) {
+            entries[entries.length - 1].text += ` ${line}`;
+        }
+    }
+    return entries;
+};
+
+// Picks the parser by looking at the text: mostly `NAME: line` lines without scene headings means plain format.
+const parseScreenplay = (text) => {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const plainLines = lines.filter(l => PLAIN_LINE_PATTERN.test(l)).length;
+    const isPlain = lines.length > 0 && plainLines / lines.length >= 0.5 && !lines.some(l => SCENE_HEADING_PATTERN.test(l)) && !/^title\s*:/i.test(lines[0]);
+    const entries = isPlain ? parsePlainDialogue(text) : parseFountain(text);
+    const hasTextingCues = entries.some(e => e.isText);
+    return {
+        format: isPlain ? 'plain' : 'fountain',
+        // Without explicit texting cues every line is a candidate; otherwise only the flagged ones.
+        entries: entries.map(e => ({ ...e, include: hasTextingCues ? e.isText : true })),
+    };
+};
+
+// --- UI COMPONENTS ---
+const Button = ({ children, onClick, variant = 'primary', className = '', icon: Icon, ...props }) => {
+    const baseStyle = 'flex items-center justify-center px-4 py-2 rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed active:scale-95';
+    const variants = {
+        primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500',
+        secondary: 'bg-gray-200 text-gray-800 hover:bg-gray-300 focus:ring-gray-400',
+        danger: 'bg-red-600 text-white hover:bg-red-700 focus:ring-red-500',
+        ghost: 'bg-transparent text-gray-700 hover:bg-gray-100'
+    };
+    return <button onClick={onClick} className={`${baseStyle} ${variants[variant]} ${className}`} {...props}>{Icon && <Icon className="w-5 h-5 mr-2" />}{children}</button>;
+};
+
+const Modal = ({ children, isOpen, onClose, className = 'max-w-md' }) => {
+    if (!isOpen) return null;
+    return (
+        <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4" onClick={onClose}>
+            <div className={`bg-white rounded-xl shadow-2xl w-full p-6 ${className}`} onClick={e => e.stopPropagation()}>
+                {children}
+            </div>
+        </div>
+    );
+};
+
+const NumberStepper = ({ value, onChange, min = 0, step = 1, unit = 's', disabled }) => (
+    <div className="flex items-center border border-gray-300 rounded-md overflow-hidden">
+        <button onClick={() => onChange(Math.max(min, value - step))} disabled={disabled} className="p-1.5 hover:bg-gray-100 disabled:opacity-50"><ChevronDown size={16} /></button>
+        <span className="px-3 text-sm font-mono">{value}{unit}</span>
+        <button onClick={() => onChange(value + step)} disabled={disabled} className="p-1.5 hover:bg-gray-100 disabled:opacity-50"><ChevronUp size={16} /></button>
+    </div>
+);
+
+// A round contact or group picture. Without a photo it shows initials on the `avatar` gradient (or a
+// flat `color`), and a silhouette when the name has no initials, like an unsaved number.
+const Avatar = ({ name, photo, avatar, color, className = 'w-10 h-10 text-sm' }) => {
+    if (photo) return <img src={photo} alt={name} className={`${className} rounded-full object-cover flex-shrink-0`} />;
+    const initials = getInitials(name);
+    return (
+        <div className={`${className} rounded-full flex-shrink-0 flex items-center justify-center font-semibold text-white overflow-hidden`} style={{ background: color || getAvatarBackground(avatar) }}>
+            {initials || <User className="w-3/5 h-3/5 translate-y-[8%]" fill="currentColor" strokeWidth={0} />}
+        </div>
+    );
+};
+
+// A participant or thread as the prop phone shows it.
+const ContactAvatar = ({ contact, className }) => <Avatar name={getContactName(contact)} photo={contact?.photo} avatar={contact?.avatar} className={className} />;
+
+// A "more" button that opens a short list of actions.
+const ActionMenu = ({ actions }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(!isOpen)} className="p-2 text-gray-400 hover:text-gray-700" title="More"><MoreVertical size={18} /></button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)}></div>
+                    <div className="absolute right-0 top-full mt-1 z-30 w-52 bg-white border rounded-lg shadow-lg py-1">
+                        {actions.map(action => (
+                            <button key={action.label} onClick={() => { setIsOpen(false); action.onClick(); }} className="w-full px-3 py-2 flex items-center space-x-2 text-sm text-left text-gray-700 hover:bg-gray-100">
+                                <action.icon size={16} /><span>{action.label}</span>
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+const DelaySelector = ({ label, value, onChange, disabled }) => {
+    const isNatural = value === 'natural';
+    const numericValue = isNatural ? 0 : parseInt(value, 10);
+
+    const handleChange = (change) => {
+        if (disabled) return;
+        const newValue = Math.max(0, numericValue + change);
+        onChange(newValue);
+    };
+
+    const toggleNatural = () => {
+        if (disabled) return;
+        onChange(isNatural ? 1 : 'natural');
+    };
+
+    return (
+        <div className={`flex items-center justify-between ${disabled ? 'opacity-50' : ''}`}>
+            <span className="text-sm text-gray-600">{label}</span>
+            <div className="flex items-center space-x-2">
+                <div className="flex items-center border border-gray-300 rounded-md overflow-hidden">
+                    <button onClick={() => handleChange(-1)} disabled={disabled || isNatural} className="p-1.5 hover:bg-gray-100 disabled:opacity-50"><ChevronDown size={16} /></button>
+                    <span className="px-3 text-sm font-mono">{isNatural ? 'Auto' : `${numericValue}s`}</span>
+                    <button onClick={() => handleChange(1)} disabled={disabled || isNatural} className="p-1.5 hover:bg-gray-100 disabled:opacity-50"><ChevronUp size={16} /></button>
+                </div>
+                <button
+                    onClick={toggleNatural}
+                    disabled={disabled}
+                    className={`text-xs px-2 py-1 rounded ${isNatural ? 'bg-blue-100 text-blue-700 border border-blue-300' : 'bg-gray-100 text-gray-700 border border-gray-300'}`}
+                >
+                    Natural
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const ImportFileButton = ({ onImport, children, ...buttonProps }) => {
+    const fileInputRef = useRef(null);
+    const [error, setError] = useState(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            onImport(parseProjectFile(await file.text()));
+        } catch (err) {
+            if (!(err instanceof FlowPropFileError)) console.error(err);
+            setError(err instanceof FlowPropFileError ? err.message : `Could not import "${file.name}": ${err.message}`);
+        }
+    };
+
+    return (
+        <>
+            <input type="file" accept=".json,application/json" ref={fileInputRef} onChange={handleFile} className="hidden" />
+            <Button onClick={() => fileInputRef.current.click()} icon={Upload} {...buttonProps}>{children}</Button>
+            <Modal isOpen={!!error} onClose={() => setError(null)}>
+                <div className="flex items-start space-x-3 mb-6">
+                    <AlertTriangle className="w-6 h-6 text-red-500 flex-shrink-0" />
+                    <div>
+                        <h3 className="text-lg font-bold mb-1">Import failed</h3>
+                        <p className="text-sm text-gray-600">{error}</p>
+                    </div>
+                </div>
+                <div className="flex justify-end"><Button onClick={() => setError(null)}>OK</Button></div>
+            </Modal>
+        </>
+    );
+};
+
+// Undo and redo for the open project. The shortcuts are left to text fields while one has focus.
+const UndoRedoButtons = () => {
+    const { currentProject, undo, redo, canUndo, canRedo } = useApp();
+    const projectId = currentProject?.id;
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.metaKey || e.ctrlKey) || e.target.closest?.('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) undo(projectId);
+            else if (key === 'z' || key === 'y') redo(projectId);
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [projectId, undo, redo]);
+
+    return (
+        <>
+            <button onClick={() => undo(projectId)} disabled={!canUndo(projectId)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent" title="Undo"><Undo2 size={20} /></button>
+            <button onClick={() => redo(projectId)} disabled={!canRedo(projectId)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent" title="Redo"><Redo2 size={20} /></button>
+        </>
+    );
+};
+
+// Deleted projects or scenes, newest first, until they are restored or deleted for good.
+const TrashModal = ({ isOpen, onClose, title, items, onRestore, onPurge }) => (
+    <Modal isOpen={isOpen} onClose={onClose}>
+        <h3 className="text-xl font-bold mb-4">{title}</h3>
+        {items.length === 0 ? <p className="text-sm text-gray-500 mb-6">The trash is empty.</p> : (
+            <div className="space-y-1 max-h-80 overflow-y-auto mb-6">
+                {[...items].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)).map(item => (
+                    <div key={item.id} className="flex items-center p-2 rounded-lg hover:bg-gray-100">
+                        <div className="flex-1 min-w-0">
+                            <div className="font-medium text-gray-800 truncate">{item.name}</div>
+                            <div className="text-sm text-gray-500">Deleted {new Date(item.deletedAt).toLocaleString()}</div>
+                        </div>
+                        <button onClick={() => onRestore(item.id)} className="p-2 text-gray-500 hover:text-blue-600" title="Restore"><RotateCcw size={16} /></button>
+                        <button onClick={() => onPurge([item.id])} className="p-2 text-gray-400 hover:text-red-500" title="Delete forever"><Trash2 size={16} /></button>
+                    </div>
+                ))}
+            </div>
+        )}
+        <div className="flex justify-end space-x-2">
+            {items.length > 0 && <Button variant="danger" onClick={() => onPurge(items.map(item => item.id))} className="mr-auto">Empty Trash</Button>}
+            <Button variant="secondary" onClick={onClose}>Done</Button>
+        </div>
+    </Modal>
+);
+
+const StorageErrorBanner = () => {
+    const { storageError, retryStorage } = useApp();
+    if (!storageError) return null;
+    return (
+        <div className="fixed bottom-4 inset-x-4 z-[60] mx-auto max-w-md bg-red-600 text-white rounded-xl shadow-2xl p-4 flex items-start space-x-3 safe-padding-bottom">
+            <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            <div className="flex-1 text-sm">
+                <p className="font-semibold">Not saved</p>
+                <p className="opacity-90">{storageError.message}</p>
+            </div>
+            <button onClick={retryStorage} className="text-sm font-semibold underline flex-shrink-0">Retry</button>
+        </div>
+    );
+};
+
+const StorageUsage = ({ refreshKey }) => {
+    const estimate = useStorageEstimate(refreshKey);
+    if (!estimate?.quota) return null;
+    const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+    return (
+        <div className="space-y-1">
+            <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                <div className={`h-full ${percent > 80 ? 'bg-red-500' : 'bg-blue-500'}`} style={{ width: `${Math.max(percent, 1)}%` }}></div>
+            </div>
+            <p className="text-xs text-gray-500">{formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} storage used</p>
+        </div>
+    );
+};
+
+// Every image saved in any project, reusable as an avatar, wallpaper or chat photo. Without
+// `onSelect` it is a manager for removing images that are no longer needed.
+const AssetLibraryModal = ({ isOpen, onClose, onSelect }) => {
+    const { projects, trashedProjects } = useApp();
+    const [assets, setAssets] = useState([]);
+    const [error, setError] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    const fileInputRef = useRef(null);
+    // Projects in the trash still count, so restoring one never finds its images gone.
+    const usedIds = useMemo(() => (isOpen ? getUsedAssetIds([...projects, ...trashedProjects]) : new Set()), [isOpen, projects, trashedProjects]);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        let urls = [];
+        let cancelled = false;
+        listAssets()
+            .then((records) => {
+                if (cancelled) return;
+                urls = records.map(record => URL.createObjectURL(record.blob));
+                setAssets(records.map((record, i) => ({ ...record, url: urls[i] })).sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+            })
+            .catch(listError => setError(toStorageError(listError, 'opening the asset library').message));
+        return () => {
+            cancelled = true;
+            urls.forEach(url => URL.revokeObjectURL(url));
+        };
+    }, [isOpen, refreshKey]);
+
+    const handleUpload = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        try {
+            for (const file of files) await storeAssets([await readFileAsDataUrl(file)], file.name);
+            setRefreshKey(prev => prev + 1);
+        } catch (uploadError) {
+            setError(toStorageError(uploadError, 'adding the image').message);
+        }
+    };
+
+    const handleSelect = async (id) => {
+        try {
+            onSelect(await loadAsset(id));
+            onClose();
+        } catch (loadError) {
+            setError(toStorageError(loadError, 'loading the image').message);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deleteAsset(id);
+            setRefreshKey(prev => prev + 1);
+        } catch (deleteError) {
+            setError(toStorageError(deleteError, 'deleting the image').message);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} className="max-w-lg">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold">Asset Library</h3>
+                <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600"><X size={20} /></button>
+            </div>
+            {error && <p className="mb-3 p-2 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</p>}
+            <div className="grid grid-cols-3 gap-2 max-h-80 overflow-y-auto">
+                {assets.map(asset => (
+                    <div key={asset.id} className="relative group aspect-square bg-gray-100 rounded-lg overflow-hidden">
+                        <img src={asset.url} alt={asset.name} onClick={onSelect ? () => handleSelect(asset.id) : undefined} className={`w-full h-full object-cover ${onSelect ? 'cursor-pointer hover:opacity-80' : ''}`} />
+                        <span className="absolute bottom-0 inset-x-0 px-1 text-[10px] text-white bg-black/50 truncate">{formatBytes(asset.size)}{usedIds.has(asset.id) ? ' · in use' : ''}</span>
+                        {!usedIds.has(asset.id) && (
+                            <button onClick={() => handleDelete(asset.id)} title="Delete" className="absolute top-1 right-1 p-1 bg-black/50 text-white rounded-full opacity-0 group-hover:opacity-100"><Trash2 size={12} /></button>
+                        )}
+                    </div>
+                ))}
+                {assets.length === 0 && <p className="col-span-3 text-center text-sm text-gray-500 py-8">No images yet.</p>}
+            </div>
+            <input type="file" accept="image/*" multiple ref={fileInputRef} onChange={handleUpload} className="hidden" />
+            <Button onClick={() => fileInputRef.current.click()} variant="secondary" icon={Upload} className="w-full mt-4">Add Images</Button>
+            <div className="mt-4"><StorageUsage refreshKey={refreshKey} /></div>
+        </Modal>
+    );
+};
+
+// --- SCREEN COMPONENTS ---
+
+const WelcomeScreen = () => {
+    const { projects, setAppState, setCurrentProjectId, createProject, deleteProject, importProjects, trashedProjects, restoreProject, purgeProjects } = useApp();
+    const [isCreating, setIsCreating] = useState(false);
+    const [projectName, setProjectName] = useState('');
+    const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+    const [legacyMigrated, setLegacyMigrated] = useLocalStorage('flowprop_legacyMigrated_v3', false);
+    const legacyProjects = useMemo(() => (legacyMigrated ? [] : readLegacyProjects()), [legacyMigrated]);
+
+    const handleImport = (result) => {
+        if (result.kind === 'scene') throw new FlowPropFileError('This file contains a single scene. Open a project and use Import Scene instead.');
+        const imported = importProjects(result.kind === 'project' ? [result.project] : result.projects);
+        if (imported.length === 1) {
+            setCurrentProjectId(imported[0].id);
+            setAppState('project_overview');
+        }
+    };
+
+    const migrateLegacy = () => {
+        importProjects(legacyProjects.map(migrateLegacyProject));
+        setLegacyMigrated(true);
+    };
+
+    const handleCreate = () => {
+        if (!projectName.trim()) return;
+        createProject(projectName);
+        setProjectName('');
+        setIsCreating(false);
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col items-center justify-center p-4 safe-padding">
+            <div className="text-center mb-10">
+                <MessageSquare className="w-16 h-16 text-blue-600 mx-auto mb-4" />
+                <h1 className="text-4xl font-bold text-gray-800">FlowProp</h1>
+                <p className="text-lg text-gray-500 mt-2">Professional messaging for film.</p>
+            </div>
+            <div className="w-full max-w-sm space-y-4">
+                <Button onClick={() => setIsCreating(true)} icon={Plus} className="w-full py-3 text-lg">New Project</Button>
+                <ImportFileButton onImport={handleImport} variant="secondary" className="w-full">Import Project</ImportFileButton>
+                <div className="flex space-x-2">
+                    <Button onClick={() => setAppState('director')} variant="ghost" icon={Radio} className="flex-1">Director Console</Button>
+                    <Button onClick={() => setIsLibraryOpen(true)} variant="ghost" icon={Images} className="flex-1">Asset Library</Button>
+                </div>
+                {legacyProjects.length > 0 && (
+                    <div className="p-4 bg-blue-50 border border-blue-200 rounded-xl text-sm text-blue-800 space-y-3">
+                        <p>Found {legacyProjects.length} project(s) from the previous version of FlowProp on this device.</p>
+                        <div className="flex space-x-2">
+                            <Button onClick={migrateLegacy} className="flex-1 text-sm">Convert</Button>
+                            <Button onClick={() => setLegacyMigrated(true)} variant="ghost" className="text-sm">Dismiss</Button>
+                        </div>
+                    </div>
+                )}
+                {projects.length > 0 && (
+                    <div className="bg-white rounded-xl shadow-md p-4">
+                        <h3 className="font-semibold text-gray-700 mb-3 px-2">Recent Projects</h3>
+                        <div className="space-y-1 max-h-80 overflow-y-auto">
+                            {projects.sort((a,b) => new Date(b.lastModified) - new Date(a.lastModified)).map(p => (
+                                <div key={p.id} className="group flex items-center justify-between p-2 rounded-lg hover:bg-gray-100">
+                                    <button onClick={() => { setCurrentProjectId(p.id); setAppState('project_overview'); }} className="text-left flex-grow">
+                                        <div className="font-medium text-gray-800">{p.name}</div>
+                                        <div className="text-sm text-gray-500">{p.scenes?.length || 0} scene(s) &bull; {new Date(p.lastModified).toLocaleDateString()}</div>
+                                    </button>
+                                    <button onClick={() => deleteProject(p.id)} className="p-2 text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity" title="Move to trash"><Trash2 size={16} /></button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                {trashedProjects.length > 0 && <Button onClick={() => setIsTrashOpen(true)} variant="ghost" icon={Trash2} className="w-full text-sm">Trash ({trashedProjects.length})</Button>}
+                <StorageUsage refreshKey={projects} />
+            </div>
+            <AssetLibraryModal isOpen={isLibraryOpen} onClose={() => setIsLibraryOpen(false)} />
+            <TrashModal isOpen={isTrashOpen} onClose={() => setIsTrashOpen(false)} title="Deleted Projects" items={trashedProjects} onRestore={restoreProject} onPurge={purgeProjects} />
+            <Modal isOpen={isCreating} onClose={() => setIsCreating(false)}>
+                <h3 className="text-xl font-bold mb-4">New Project</h3>
+                <input type="text" value={projectName} onChange={e => setProjectName(e.target.value)} placeholder="Project Name" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 mb-4" autoFocus />
+                <div className="flex justify-end space-x-2">
+                    <Button variant="secondary" onClick={() => setIsCreating(false)}>Cancel</Button>
+                    <Button onClick={handleCreate} disabled={!projectName.trim()}>Create</Button>
+                </div>
+            </Modal>
+        </div>
+    );
+};
+
+const ProjectOverviewScreen = () => {
+    const { currentProject, setAppState, setCurrentSceneId, addSceneToProject, importScenes, deleteScene, duplicateScene, restoreScene, purgeScenes } = useApp();
+    const [isAddingScene, setIsAddingScene] = useState(false);
+    const [sceneName, setSceneName] = useState('');
+    const [sceneType, setSceneType] = useState('message');
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+    const [isRevisionsOpen, setIsRevisionsOpen] = useState(false);
+    const [isFindOpen, setIsFindOpen] = useState(false);
+
+    if (!currentProject) {
+        return <div className="p-4">Loading project...</div>;
+    }
+
+    const handleAddScene = () => {
+        if (!sceneName.trim()) return;
+        const newScene = addSceneToProject(currentProject.id, { name: sceneName, type: sceneType });
+        setSceneName('');
+        setSceneType('message');
+        setIsAddingScene(false);
+        setCurrentSceneId(newScene.id);
+        setAppState('scene_editor');
+    };
+
+    const handleImportScenes = (result) => {
+        importScenes(currentProject.id, result.kind === 'scene' ? [result.scene] : result.kind === 'project' ? result.project.scenes : result.projects.flatMap(p => p.scenes));
+    };
+
+    // The trash stays on this device.
+    const exportProject = () => saveProjectFile(toFileName(currentProject.name), createProjectFile('project', { ...currentProject, deletedScenes: [] }));
+
+    const sceneIcons = { message: MessageSquare, call: Phone, video: Video };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4 safe-padding">
+            <header className="flex items-center justify-between mb-8">
+                <button onClick={() => setAppState('welcome')} className="p-2 rounded-full hover:bg-gray-200"><ArrowLeft size={20} /></button>
+                <h1 className="text-2xl font-bold text-gray-800 truncate">{currentProject.name}</h1>
+                <div className="flex items-center">
+                    <UndoRedoButtons />
+                    <button onClick={() => setIsFindOpen(true)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Find and replace"><Search size={20} /></button>
+                    <button onClick={() => setIsRevisionsOpen(true)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Revisions"><History size={20} /></button>
+                    <button onClick={exportProject} className="p-2 rounded-full hover:bg-gray-200" title="Export project"><Download size={20} /></button>
+                </div>
+            </header>
+            <div className="space-y-3">
+                {currentProject.scenes && currentProject.scenes.map(scene => {
+                    const Icon = sceneIcons[scene.type] || Film;
+                    const isAlternate = currentProject.scenes.some(s => s.id === scene.alternateOf);
+                    return (
+                        <div key={scene.id} className={`bg-white rounded-lg shadow-sm border flex items-center pr-2 hover:border-blue-500 transition-colors ${isAlternate ? 'ml-8' : ''}`}>
+                            <button onClick={() => { setCurrentSceneId(scene.id); setAppState('scene_editor'); }} className="flex-1 min-w-0 p-4 flex items-center space-x-4 text-left">
+                                <Icon className="w-6 h-6 text-gray-500" />
+                                <div>
+                                    <p className="font-semibold text-gray-800">{scene.name}</p>
+                                    <p className="text-sm text-gray-500 capitalize">{isAlternate ? 'Alternate take' : scene.type}</p>
+                                </div>
+                            </button>
+                            <ActionMenu actions={[
+                                { label: 'Duplicate', icon: Copy, onClick: () => duplicateScene(scene.id) },
+                                { label: 'Duplicate as alternate take', icon: Clapperboard, onClick: () => duplicateScene(scene.id, true) },
+                                { label: 'Move to trash', icon: Trash2, onClick: () => deleteScene(scene.id) },
+                            ]} />
+                        </div>
+                    );
+                })}
+                <Button onClick={() => setIsAddingScene(true)} variant="secondary" icon={Plus} className="w-full">Add Scene</Button>
+                <ImportFileButton onImport={handleImportScenes} variant="ghost" className="w-full">Import Scene</ImportFileButton>
+                {currentProject.deletedScenes?.length > 0 && <Button onClick={() => setIsTrashOpen(true)} variant="ghost" icon={Trash2} className="w-full">Trash ({currentProject.deletedScenes.length})</Button>}
+            </div>
+            <SequenceEditor />
+            <RevisionsModal isOpen={isRevisionsOpen} onClose={() => setIsRevisionsOpen(false)} />
+            {isFindOpen && <FindReplaceModal isOpen onClose={() => setIsFindOpen(false)} />}
+            <TrashModal isOpen={isTrashOpen} onClose={() => setIsTrashOpen(false)} title="Deleted Scenes" items={currentProject.deletedScenes || []} onRestore={restoreScene} onPurge={purgeScenes} />
+            <Modal isOpen={isAddingScene} onClose={() => setIsAddingScene(false)}>
+                <h3 className="text-xl font-bold mb-4">Add New Scene</h3>
+                <input type="text" value={sceneName} onChange={e => setSceneName(e.target.value)} placeholder="Scene Name (e.g., 'Opening')" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 mb-4" autoFocus />
+                <div className="grid grid-cols-3 gap-2 mb-6">
+                    {[{id: 'message', name: 'Message', icon: MessageSquare}, {id: 'call', name: 'Call', icon: Phone}, {id: 'video', name: 'Video Call', icon: Video}].map(item => (
+                        <button key={item.id} onClick={() => setSceneType(item.id)} className={`p-3 border rounded-lg flex flex-col items-center justify-center space-y-2 transition-all ${sceneType === item.id ? 'border-blue-500 bg-blue-50 ring-2 ring-blue-200' : 'border-gray-300 bg-white hover:border-gray-400'}`}>
+                            <item.icon className="w-6 h-6" />
+                            <span className="text-sm font-medium">{item.name}</span>
+                        </button>
+                    ))}
+                </div>
+                <div className="flex justify-end space-x-2">
+                    <Button variant="secondary" onClick={() => setIsAddingScene(false)}>Cancel</Button>
+                    <Button onClick={handleAddScene} disabled={!sceneName.trim()}>Add Scene</Button>
+                </div>
+            </Modal>
+        </div>
+    );
+};
+
+// Named copies of every scene and the sequence, e.g. "As shot, Day 3", to compare and go back to.
+const RevisionsModal = ({ isOpen, onClose }) => {
+    const { currentProject, saveRevision, restoreRevision, deleteRevision } = useApp();
+    const [name, setName] = useState('');
+    const [comparingId, setComparingId] = useState(null);
+    const [compareWith, setCompareWith] = useState('current'); // 'current' or another revision's id
+    const revisions = currentProject.revisions || [];
+    const revision = revisions.find(r => r.id === comparingId);
+    const changes = revision ? compareProjects(revision, revisions.find(r => r.id === compareWith) || currentProject) : [];
+
+    const handleSave = () => {
+        if (!name.trim()) return;
+        saveRevision(name.trim());
+        setName('');
+    };
+    const openComparison = (revisionId) => {
+        setComparingId(revisionId);
+        setCompareWith('current');
+    };
+    const handleRestore = () => {
+        restoreRevision(revision);
+        setComparingId(null);
+        onClose();
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} className="max-w-lg">
+            <h3 className="text-xl font-bold mb-4">Revisions</h3>
+            {revision ? (
+                <>
+                    <div className="flex items-center space-x-2 mb-3 text-sm">
+                        <span className="text-gray-600 truncate">Changes from <span className="font-semibold text-gray-800">{revision.name}</span> to</span>
+                        <select value={compareWith} onChange={e => setCompareWith(e.target.value)} className="flex-1 min-w-0 p-1.5 border rounded-md">
+                            <option value="current">the project now</option>
+                            {revisions.filter(r => r.id !== revision.id).map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                        </select>
+                    </div>
+                    {changes.length ? (
+                        <ul className="space-y-1 max-h-72 overflow-y-auto mb-6 text-sm">
+                            {changes.map((change, index) => (
+                                <li key={index} className="p-2 bg-gray-50 rounded-md text-gray-700">
+                                    {change.scene && <span className="font-semibold">{change.scene}: </span>}
+                                    {change.text}
+                                </li>
+                            ))}
+                        </ul>
+                    ) : <p className="text-sm text-gray-500 mb-6">No differences.</p>}
+                    <div className="flex justify-end space-x-2">
+                        <Button variant="secondary" onClick={() => setComparingId(null)} icon={ArrowLeft} className="mr-auto">Back</Button>
+                        <Button onClick={handleRestore} icon={RotateCcw}>Restore</Button>
+                    </div>
+                </>
+            ) : (
+                <>
+                    <div className="flex space-x-2 mb-2">
+                        <input type="text" value={name} onChange={e => setName(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleSave()} placeholder="Name, e.g. As shot, Day 3" className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg" />
+                        <Button onClick={handleSave} disabled={!name.trim()}>Save</Button>
+                    </div>
+                    <p className="text-xs text-gray-500 mb-4">A revision is a copy of every scene and the sequence as they are now. Restoring one can be undone.</p>
+                    {revisions.length === 0 ? <p className="text-sm text-gray-500 mb-6">No revisions yet.</p> : (
+                        <div className="space-y-1 max-h-72 overflow-y-auto mb-6">
+                            {[...revisions].reverse().map(r => (
+                                <div key={r.id} className="flex items-center p-2 rounded-lg hover:bg-gray-100">
+                                    <button onClick={() => openComparison(r.id)} className="flex-1 min-w-0 text-left">
+                                        <div className="font-medium text-gray-800 truncate">{r.name}</div>
+                                        <div className="text-sm text-gray-500">{new Date(r.createdAt).toLocaleString()} &bull; {r.scenes.length} scene(s)</div>
+                                    </button>
+                                    <button onClick={() => deleteRevision(r.id)} className="p-2 text-gray-400 hover:text-red-500" title="Delete revision"><Trash2 size={16} /></button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    <div className="flex justify-end"><Button variant="secondary" onClick={onClose}>Done</Button></div>
+                </>
+            )}
+        </Modal>
+    );
+};
+
+// Renames a character (or fixes any line) in every scene of the project at once. Undoable.
+const FindReplaceModal = ({ isOpen, onClose }) => {
+    const { currentProject, updateProject } = useApp();
+    const [find, setFind] = useState('');
+    const [replacement, setReplacement] = useState('');
+    const [options, setOptions] = useState({ matchCase: false, wholeWord: true });
+    const [replacedCount, setReplacedCount] = useState(null);
+    const pattern = find ? createFindPattern(find, options) : null;
+    const results = pattern ? currentProject.scenes.map(scene => ({ scene, count: countSceneMatches(scene, pattern) })).filter(r => r.count > 0) : [];
+    const total = results.reduce((sum, r) => sum + r.count, 0);
+
+    const updateFind = (value) => {
+        setFind(value);
+        setReplacedCount(null);
+    };
+    const handleReplace = () => {
+        updateProject(currentProject.id, {
+            scenes: currentProject.scenes.map(scene => results.some(r => r.scene === scene) ? mapSceneText(scene, text => text.replace(pattern, () => replacement)) : scene),
+        });
+        setReplacedCount(total);
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <h3 className="text-xl font-bold mb-4">Find and Replace</h3>
+            <div className="space-y-2 mb-3">
+                <input type="text" value={find} onChange={e => updateFind(e.target.value)} placeholder="Find, e.g. a character's old name" className="w-full p-2 border border-gray-300 rounded-lg" autoFocus />
+                <input type="text" value={replacement} onChange={e => setReplacement(e.target.value)} placeholder="Replace with" className="w-full p-2 border border-gray-300 rounded-lg" />
+                <div className="flex space-x-4 text-sm text-gray-700">
+                    <label className="flex items-center space-x-1.5">
+                        <input type="checkbox" checked={options.matchCase} onChange={e => setOptions({ ...options, matchCase: e.target.checked })} />
+                        <span>Match case</span>
+                    </label>
+                    <label className="flex items-center space-x-1.5">
+                        <input type="checkbox" checked={options.wholeWord} onChange={e => setOptions({ ...options, wholeWord: e.target.checked })} />
+                        <span>Whole words</span>
+                    </label>
+                </div>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">Searches scene names, contacts, groups, script lines, actor choices, message history, notifications and callers.</p>
+            {replacedCount !== null ? (
+                <p className="p-2 mb-6 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">Replaced {countLabel(replacedCount, 'match')}. Undo brings them back.</p>
+            ) : find && (
+                <div className="mb-6 text-sm">
+                    {results.length === 0 ? <p className="text-gray-500">No matches.</p> : (
+                        <ul className="space-y-1 max-h-48 overflow-y-auto">
+                            {results.map(({ scene, count }) => (
+                                <li key={scene.id} className="flex justify-between p-2 bg-gray-50 rounded-md">
+                                    <span className="text-gray-700 truncate">{scene.name}</span>
+                                    <span className="text-gray-500 flex-shrink-0 ml-2">{countLabel(count, 'match')}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+            <div className="flex justify-end space-x-2">
+                <Button variant="secondary" onClick={onClose}>Done</Button>
+                <Button onClick={handleReplace} icon={Replace} disabled={!total || replacedCount !== null}>Replace All{total > 0 && replacedCount === null ? ` (${total})` : ''}</Button>
+            </div>
+        </Modal>
+    );
+};
+
+// The scenes that play back to back as one live run, and what moves each on to the next.
+const SequenceEditor = () => {
+    const { currentProject, updateProject, startSequence, setCurrentSceneId, setAppState } = useApp();
+    const [isCheckOpen, setIsCheckOpen] = useState(false);
+    const scenes = currentProject.scenes || [];
+    const steps = currentProject.sequence || [];
+    if (!scenes.length) return null;
+
+    const issues = validateSequence(currentProject);
+    const play = () => (issues.length ? setIsCheckOpen(true) : startSequence());
+    const openScene = (issue) => {
+        setCurrentSceneId(issue.sceneId);
+        setAppState('scene_editor');
+    };
+
+    const setSteps = (sequence) => updateProject(currentProject.id, { sequence });
+    const updateStep = (id, updates) => setSteps(steps.map(step => step.id === id ? { ...step, ...updates } : step));
+    const moveStep = (index, offset) => {
+        const reordered = [...steps];
+        [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+        setSteps(reordered);
+    };
+    // New steps default to the scene after the last one in the sequence.
+    const addStep = () => {
+        const lastIndex = scenes.findIndex(scene => scene.id === steps[steps.length - 1]?.sceneId);
+        setSteps([...steps, createSequenceStep(scenes[(lastIndex + 1) % scenes.length].id)]);
+    };
+
+    return (
+        <div className="mt-8 space-y-3">
+            <div className="flex items-center justify-between">
+                <h2 className="font-semibold text-gray-800">Sequence</h2>
+                <Button onClick={play} icon={Play} disabled={!getSequenceSteps(currentProject).length} className="py-1.5 text-sm">Play Sequence</Button>
+            </div>
+            <p className="text-sm text-gray-500">Play scenes back to back as one continuous take. The story clock, conversations and notifications carry over from scene to scene.</p>
+            {steps.map((step, index) => (
+                <div key={step.id} className="bg-white p-3 rounded-lg shadow-sm border space-y-2">
+                    <div className="flex items-center space-x-2">
+                        <span className="font-mono text-xs text-gray-400 w-5">{index + 1}</span>
+                        <select value={step.sceneId} onChange={e => updateStep(step.id, { sceneId: e.target.value })} className="flex-1 min-w-0 p-2 border rounded-md text-sm">
+                            {!scenes.some(scene => scene.id === step.sceneId) && <option value={step.sceneId}>Missing scene</option>}
+                            {scenes.map(scene => <option key={scene.id} value={scene.id}>{scene.name}</option>)}
+                        </select>
+                        <button onClick={() => moveStep(index, -1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"><ChevronUp size={18} /></button>
+                        <button onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"><ChevronDown size={18} /></button>
+                        <button onClick={() => setSteps(steps.filter(s => s.id !== step.id))} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                    </div>
+                    {index < steps.length - 1 && (
+                        <div className="flex items-center flex-wrap gap-2 pl-7 text-sm text-gray-600">
+                            <span>Next scene on</span>
+                            <select value={step.advance} onChange={e => updateStep(step.id, { advance: e.target.value })} className="p-1.5 border rounded-md">
+                                {SEQUENCE_TRIGGERS.map(trigger => <option key={trigger.id} value={trigger.id}>{trigger.label}</option>)}
+                            </select>
+                            {(step.advance === 'end' || step.advance === 'timer') && (
+                                <>
+                                    <span>{step.advance === 'end' ? 'then hold' : 'after'}</span>
+                                    <NumberStepper value={step.delay} onChange={delay => updateStep(step.id, { delay })} />
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            ))}
+            <Button onClick={addStep} variant="secondary" icon={Plus} className="w-full">Add to Sequence</Button>
+            <GoLiveCheckModal issues={issues} isOpen={isCheckOpen} onClose={() => setIsCheckOpen(false)} onGoLive={startSequence} onFix={openScene} />
+        </div>
+    );
+};
+
+const DirectorRemoteModal = ({ isOpen, onClose }) => {
+    const [settings, setSettings] = useLocalStorage(DIRECTOR_SETTINGS_KEY, createDirectorSettings);
+    const update = (updates) => setSettings({ ...settings, ...updates });
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <h3 className="text-xl font-bold mb-1">Director Remote</h3>
+            <p className="text-sm text-gray-500 mb-4">Let a second device drive this phone during live takes.</p>
+            <div className="space-y-4">
+                <label className="flex items-center justify-between">
+                    <span className="font-medium text-gray-700">Accept remote control</span>
+                    <input type="checkbox" checked={settings.enabled} onChange={e => update({ enabled: e.target.checked })} className="w-5 h-5" />
+                </label>
+                <DirectorConnectionFields settings={settings} onChange={update} disabled={!settings.enabled} />
+                <div className={`flex items-center justify-between p-3 rounded-lg bg-gray-100 ${settings.enabled ? '' : 'opacity-50'}`}>
+                    <div>
+                        <p className="text-xs text-gray-500">Pairing code</p>
+                        <p className="text-3xl font-mono font-bold tracking-widest">{settings.room}</p>
+                    </div>
+                    <button onClick={() => update({ room: createRoomCode() })} disabled={!settings.enabled} className="p-2 text-gray-500 hover:text-gray-800"><RefreshCw size={18} /></button>
+                </div>
+            </div>
+            <div className="flex justify-end mt-6"><Button onClick={onClose}>Done</Button></div>
+        </Modal>
+    );
+};
+
+const KioskModal = ({ isOpen, onClose }) => {
+    const [settings, setSettings] = useLocalStorage(KIOSK_SETTINGS_KEY, DEFAULT_KIOSK_SETTINGS);
+    const update = (updates) => setSettings({ ...settings, ...updates });
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <h3 className="text-xl font-bold mb-1">Kiosk Mode</h3>
+            <p className="text-sm text-gray-500 mb-4">Lock this device into the prop during live takes: fullscreen, screen kept awake, no way out without the secret exit.</p>
+            <div className="space-y-4">
+                <label className="flex items-center justify-between">
+                    <span className="font-medium text-gray-700">Lock live takes</span>
+                    <input type="checkbox" checked={settings.enabled} onChange={e => update({ enabled: e.target.checked })} className="w-5 h-5" />
+                </label>
+                <div className={`space-y-2 ${settings.enabled ? '' : 'opacity-50'}`}>
+                    <p className="text-sm font-medium text-gray-700">Secret exit</p>
+                    {KIOSK_EXIT_GESTURES.map(gesture => (
+                        <label key={gesture.id} className={`flex items-start space-x-3 p-2 border rounded-lg cursor-pointer ${settings.exitGesture === gesture.id ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}>
+                            <input type="radio" name="kiosk-exit" checked={settings.exitGesture === gesture.id} onChange={() => update({ exitGesture: gesture.id })} disabled={!settings.enabled} className="mt-1" />
+                            <span><span className="block text-sm font-medium">{gesture.label}</span><span className="block text-xs text-gray-500">{gesture.hint}</span></span>
+                        </label>
+                    ))}
+                    <input type="text" inputMode="numeric" value={settings.pin} onChange={e => update({ pin: e.target.value.replace(/\D/g, '').slice(0, 8) })} disabled={!settings.enabled} placeholder="PIN after the gesture (optional)" className="w-full p-2 border rounded-md font-mono tracking-widest" />
+                </div>
+            </div>
+            <div className="flex justify-end mt-6"><Button onClick={onClose}>Done</Button></div>
+        </Modal>
+    );
+};
+
+const RENDER_SETTINGS_KEY = 'flowprop_render_v3';
+const DEFAULT_RENDER_SETTINGS = { resolution: RENDER_RESOLUTIONS[0].id, fps: 30, format: 'png' };
+
+// Offline render of the open scene for screen replacement, and the on-set green screen that goes with it.
+const RenderModal = ({ isOpen, onClose }) => {
+    const { currentScene } = useApp();
+    const [settings, setSettings] = useLocalStorage(RENDER_SETTINGS_KEY, DEFAULT_RENDER_SETTINGS);
+    const [greenScreen, setGreenScreen] = useLocalStorage(GREEN_SCREEN_SETTINGS_KEY, DEFAULT_GREEN_SCREEN);
+    const [threadId, setThreadId] = useState(() => getPrimaryThreadId(currentScene.config));
+    const [progress, setProgress] = useState(null); // { done, total } while rendering
+    const [error, setError] = useState(null);
+    const [canEncodeWebm, setCanEncodeWebm] = useState(true);
+    const abortRef = useRef(null);
+    const activeThreadId = getThreads(currentScene.config).some(t => t.id === threadId) ? threadId : getPrimaryThreadId(currentScene.config);
+    const resolution = RENDER_RESOLUTIONS.find(r => r.id === settings.resolution) || RENDER_RESOLUTIONS[0];
+
+    useEffect(() => {
+        if (!isOpen || settings.format !== 'webm') return;
+        let active = true;
+        findWebmEncoder(resolution, settings.fps).then(encoder => { if (active) setCanEncodeWebm(!!encoder); });
+        return () => { active = false; };
+    }, [isOpen, settings.format, settings.fps, resolution]);
+    const update = (updates) => setSettings({ ...settings, ...updates });
+    const updateGreenScreen = (updates) => setGreenScreen({ ...greenScreen, ...updates });
+
+    const handleRender = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        try {
+            // Writing straight into a folder keeps long sequences out of memory.
+            const directory = settings.format === 'png' && window.showDirectoryPicker ? await window.showDirectoryPicker({ mode: 'readwrite' }) : null;
+            setProgress({ done: 0, total: 0 });
+            const files = await renderScene({
+                scene: currentScene,
+                threadId: activeThreadId,
+                resolution,
+                fps: settings.fps,
+                format: settings.format,
+                directory,
+                onProgress: (done, total) => setProgress({ done, total }),
+                signal: controller.signal,
+            });
+            for (const file of files) await saveFile(file);
+        } catch (renderError) {
+            if (renderError.name !== 'AbortError') setError(renderError.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={progress ? undefined : onClose}>
+            <h3 className="text-xl font-bold mb-1">Render for VFX</h3>
+            <p className="text-sm text-gray-500 mb-4">A clean render of the conversation as it plays live, with a JSON file of event timecodes. Actor lines use the actor typing speed and actor choices follow their first option.</p>
+            <div className="space-y-3">
+                <ThreadSelect value={activeThreadId} onChange={setThreadId} />
+                <select value={settings.resolution} onChange={e => update({ resolution: e.target.value })} disabled={!!progress} className="w-full p-2 border rounded-md text-sm">
+                    {RENDER_RESOLUTIONS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                </select>
+                <div className="grid grid-cols-2 gap-2">
+                    <select value={settings.fps} onChange={e => update({ fps: Number(e.target.value) })} disabled={!!progress} className="p-2 border rounded-md text-sm">
+                        {RENDER_FRAME_RATES.map(fps => <option key={fps} value={fps}>{fps} fps</option>)}
+                    </select>
+                    <select value={settings.format} onChange={e => update({ format: e.target.value })} disabled={!!progress} className="p-2 border rounded-md text-sm">
+                        {RENDER_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                </div>
+                {settings.format === 'webm' && !canEncodeWebm ? (
+                    <p className="text-xs text-amber-700">This browser can only record WebM in real time: it takes as long as the scene, frame timing can differ between renders, and this screen has to stay open until it finishes. Render a PNG sequence for exact, repeatable frames.</p>
+                ) : (
+                    <p className="text-xs text-gray-500">
+                        {settings.format === 'webm'
+                            ? 'WebM is encoded frame by frame, faster than real time, and comes out the same on every render.'
+                            : 'PNG frames render as fast as this device can draw them, into a folder you pick or a zip file.'}
+                    </p>
+                )}
+                {getRenderClock(currentScene.config.clock) !== currentScene.config.clock && (
+                    <p className="text-xs text-amber-700">This scene's clock has no story time, so renders run it from {formatClockTime(parseClockStart(RENDER_CLOCK_START), currentScene.config.clock?.locale)}. Set a story time to render a different time.</p>
+                )}
+                {progress && (
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div className="h-full bg-blue-600 transition-all" style={{ width: `${progress.total ? progress.done / progress.total * 100 : 0}%` }}></div>
+                    </div>
+                )}
+                {error && <p className="text-sm text-red-600">{error}</p>}
+            </div>
+
+            <div className="mt-6 pt-4 border-t space-y-3">
+                <label className="flex items-center justify-between">
+                    <span className="font-medium text-gray-700">On-set green screen</span>
+                    <input type="checkbox" checked={greenScreen.enabled} onChange={e => updateGreenScreen({ enabled: e.target.checked })} className="w-5 h-5" />
+                </label>
+                <p className="text-xs text-gray-500">Live takes on this phone show a key colour with tracking markers instead of the scene. The take still runs underneath, so cues and timing match the render.</p>
+                <div className={`flex items-center space-x-2 ${greenScreen.enabled ? '' : 'opacity-50'}`}>
+                    {KEY_COLORS.map(key => (
+                        <button key={key.id} onClick={() => updateGreenScreen({ color: key.id })} disabled={!greenScreen.enabled} className={`flex items-center space-x-2 px-3 py-1.5 border rounded-lg text-sm ${greenScreen.color === key.id ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}>
+                            <span className="w-4 h-4 rounded-full" style={{ background: key.id }}></span><span>{key.label}</span>
+                        </button>
+                    ))}
+                    <label className="flex items-center space-x-2 text-sm text-gray-700 pl-2">
+                        <input type="checkbox" checked={greenScreen.markers} onChange={e => updateGreenScreen({ markers: e.target.checked })} disabled={!greenScreen.enabled} />
+                        <span>Tracking markers</span>
+                    </label>
+                </div>
+            </div>
+
+            <div className="flex justify-end space-x-2 mt-6">
+                {progress
+                    ? <Button onClick={() => abortRef.current?.abort()} variant="secondary">Cancel Render</Button>
+                    : <Button onClick={onClose} variant="secondary">Close</Button>}
+                <Button onClick={handleRender} icon={Film} disabled={!!progress}>{progress ? `${progress.done}/${progress.total}` : 'Render'}</Button>
+            </div>
+        </Modal>
+    );
+};
+
+const DirectorConnectionFields = ({ settings, onChange, disabled }) => (
+    <div className={`space-y-3 ${disabled ? 'opacity-50' : ''}`}>
+        <div className="grid grid-cols-2 gap-2">
+            {[{ id: 'broadcast', label: 'Same device' }, { id: 'websocket', label: 'LAN relay' }].map(opt => (
+                <button key={opt.id} onClick={() => onChange({ transport: opt.id })} disabled={disabled} className={`p-2 border rounded-lg text-sm font-medium ${settings.transport === opt.id ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300'}`}>{opt.label}</button>
+            ))}
+        </div>
+        {settings.transport === 'websocket' ? (
+            <div>
+                <input type="text" value={settings.relayUrl} onChange={e => onChange({ relayUrl: e.target.value })} disabled={disabled} placeholder="ws://192.168.1.10:8787" className="w-full p-2 border rounded-md font-mono text-sm" autoCapitalize="off" autoCorrect="off" />
+                <p className="text-xs text-gray-500 mt-1">Start the relay on a laptop on the set network with <code>npm run relay</code> and enter the address it prints.</p>
+            </div>
+        ) : (
+            <p className="text-xs text-gray-500">Pairs with another tab or window of FlowProp in the same browser.</p>
+        )}
+    </div>
+);
+
+const DirectorConsoleScreen = () => {
+    const { setAppState } = useApp();
+    const [settings, setSettings] = useLocalStorage('flowprop_director_console_v3', { transport: DEFAULT_DIRECTOR_SETTINGS.transport, relayUrl: DEFAULT_DIRECTOR_SETTINGS.relayUrl, room: '' });
+    const [isJoined, setIsJoined] = useState(false);
+    const [propStatus, setPropStatus] = useState(null);
+
+    const handleMessage = useCallback((message) => {
+        if (message.type === 'status') setPropStatus(message);
+    }, []);
+    const { connected, error, send } = useDirectorChannel(isJoined ? { ...settings, role: 'director' } : null, handleMessage);
+    const sendCommand = (command, extra = {}) => send({ type: 'command', command, ...extra });
+
+    const leave = () => {
+        setIsJoined(false);
+        setPropStatus(null);
+    };
+
+    if (!isJoined) {
+        return (
+            <div className="min-h-screen bg-gray-50 p-4 safe-padding">
+                <header className="flex items-center justify-between mb-8">
+                    <button onClick={() => setAppState('welcome')} className="p-2 rounded-full hover:bg-gray-200"><ArrowLeft size={20} /></button>
+                    <h1 className="text-2xl font-bold text-gray-800">Director Console</h1>
+                    <div className="w-8"></div>
+                </header>
+                <div className="bg-white rounded-xl shadow-md p-4 space-y-4 max-w-md mx-auto">
+                    <DirectorConnectionFields settings={settings} onChange={updates => setSettings({ ...settings, ...updates })} />
+                    <input type="text" inputMode="numeric" value={settings.room} onChange={e => setSettings({ ...settings, room: e.target.value.replace(/\D/g, '') })} placeholder="Pairing code from the prop phone" className="w-full p-3 border rounded-lg text-center text-2xl font-mono tracking-widest" />
+                    <Button onClick={() => setIsJoined(true)} disabled={!settings.room} icon={Radio} className="w-full">Connect</Button>
+                </div>
+            </div>
+        );
+    }
+
+    const script = propStatus?.script || [];
+    const typingMode = propStatus?.typingOverride === true ? 'show' : propStatus?.typingOverride === false ? 'hide' : 'auto';
+
+    return (
+        <div className="flex flex-col h-screen bg-gray-900 text-white safe-padding">
+            <header className="p-4 flex items-center justify-between border-b border-white/10">
+                <button onClick={leave} className="p-2 rounded-full hover:bg-white/10"><ArrowLeft size={20} /></button>
+                <div className="text-center min-w-0">
+                    <h1 className="font-bold truncate">{propStatus?.sceneName || 'Waiting for prop phone…'}</h1>
+                    <p className="text-xs text-gray-400">
+                        Room {settings.room} &bull; {connected ? (propStatus ? `${propStatus.liveState} • line ${Math.min((propStatus.scriptIndex ?? 0) + 1, script.length)}/${script.length}` : 'connected') : 'offline'}
+                    </p>
+                </div>
+                <div className={`w-3 h-3 rounded-full ${connected && propStatus ? 'bg-green-500' : connected ? 'bg-yellow-500' : 'bg-red-500'}`}></div>
+            </header>
+            {error && <p className="px-4 py-2 text-sm bg-red-900/60 text-red-200">{error}</p>}
+
+            <div className="grid grid-cols-2 gap-2 p-4">
+                <Button onClick={() => sendCommand('next')} icon={SkipForward} disabled={!propStatus} className="py-4">Next Message</Button>
+                {propStatus?.isPaused
+                    ? <Button onClick={() => sendCommand('resume')} icon={Play} disabled={!propStatus} className="py-4 !bg-green-600">Resume</Button>
+                    : <Button onClick={() => sendCommand('pause')} icon={Pause} disabled={!propStatus} variant="secondary" className="py-4">Pause</Button>}
+                <div className="col-span-2 grid grid-cols-3 gap-2">
+                    {[{ id: 'auto', label: 'Typing: Auto', visible: null }, { id: 'show', label: 'Show Typing', visible: true }, { id: 'hide', label: 'Hide Typing', visible: false }].map(opt => (
+                        <button key={opt.id} onClick={() => sendCommand('typing', { visible: opt.visible })} disabled={!propStatus} className={`py-2 rounded-lg text-sm font-medium disabled:opacity-50 ${typingMode === opt.id ? 'bg-blue-600' : 'bg-white/10'}`}>{opt.label}</button>
+                    ))}
+                </div>
+                {propStatus?.sequence && (
+                    <Button onClick={() => sendCommand('next-scene')} icon={SkipForward} disabled={propStatus.sequence.index >= propStatus.sequence.count - 1} variant="secondary" className="col-span-2">
+                        Next Scene ({propStatus.sequence.index + 1}/{propStatus.sequence.count})
+                    </Button>
+                )}
+                <Button onClick={() => sendCommand('reset')} icon={RotateCcw} disabled={!connected} variant="danger" className="col-span-2">Reset Take</Button>
+            </div>
+
+            {propStatus?.branch && (
+                <div className="px-4 pb-4 space-y-2">
+                    <p className="text-xs font-semibold text-yellow-300 uppercase tracking-wide">Actor choice</p>
+                    <div className="grid grid-cols-2 gap-2">
+                        {propStatus.branch.options.map(option => (
+                            <button key={option.id} onClick={() => sendCommand('choose', { optionId: option.id })} className="p-3 rounded-lg bg-yellow-500/20 border border-yellow-500/40 text-sm text-left truncate hover:bg-yellow-500/30">{option.label}</button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <main className="flex-1 overflow-y-auto px-4 pb-4 space-y-1">
+                {script.map((line, index) => {
+                    const isCurrent = index === propStatus?.scriptIndex;
+                    const isDone = index < (propStatus?.scriptIndex ?? 0);
+                    return (
+                        <button key={index} onClick={() => sendCommand('jump', { index })} className={`w-full text-left p-3 rounded-lg flex space-x-3 ${isCurrent ? 'bg-blue-600' : 'bg-white/5 hover:bg-white/10'} ${isDone ? 'opacity-50' : ''}`}>
+                            <span className="font-mono text-xs text-gray-300 w-6 flex-shrink-0">{index + 1}</span>
+                            <div className="min-w-0">
+                                <p className={`text-xs font-semibold ${line.isActor ? 'text-blue-300' : 'text-gray-300'}`}>{line.participant}</p>
+                                <p className="text-sm truncate">{line.text || <em className="text-gray-400">empty</em>}</p>
+                            </div>
+                        </button>
+                    );
+                })}
+            </main>
+        </div>
+    );
+};
+
+const IssueList = ({ issues, onFix }) => (
+    <ul className="space-y-2">
+        {issues.map((issue, index) => (
+            <li key={index} className="flex items-start space-x-2 text-sm">
+                <AlertTriangle className={`w-4 h-4 flex-shrink-0 mt-0.5 ${issue.level === 'error' ? 'text-red-500' : 'text-amber-500'}`} />
+                <span className="flex-1 text-gray-700">
+                    {issue.sceneName && <span className="font-semibold">{issue.sceneName}: </span>}
+                    {issue.text}
+                </span>
+                {(issue.tab || issue.sceneId) && <button onClick={() => onFix(issue)} className="text-xs font-semibold text-blue-600 flex-shrink-0">Fix</button>}
+            </li>
+        ))}
+    </ul>
+);
+
+// Lists what the validator found under the editor header, collapsed to a summary line.
+const ValidationPanel = ({ issues, onFix }) => {
+    const [isExpanded, setIsExpanded] = useState(false);
+    if (!issues.length) return null;
+    const errorCount = issues.filter(i => i.level === 'error').length;
+    const warningCount = issues.length - errorCount;
+    const summary = [errorCount && `${errorCount} ${errorCount === 1 ? 'error' : 'errors'}`, warningCount && `${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}`].filter(Boolean).join(' · ');
+
+    return (
+        <div className={`border-b ${errorCount ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+            <button onClick={() => setIsExpanded(!isExpanded)} className={`w-full px-4 py-2 flex items-center space-x-2 text-sm font-medium ${errorCount ? 'text-red-800' : 'text-amber-800'}`}>
+                <AlertTriangle size={16} />
+                <span className="flex-1 text-left">{summary}</span>
+                {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+            </button>
+            {isExpanded && <div className="px-4 pb-3"><IssueList issues={issues} onFix={onFix} /></div>}
+        </div>
+    );
+};
+
+// Shown instead of going live when the validator found anything. Errors leave only the way back.
+const GoLiveCheckModal = ({ issues, isOpen, onClose, onGoLive, onFix }) => {
+    const hasErrors = issues.some(i => i.level === 'error');
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <h3 className="text-xl font-bold mb-1">{hasErrors ? 'Not ready to go live' : 'Go live with warnings?'}</h3>
+            <p className="text-sm text-gray-500 mb-4">{hasErrors ? 'Fix the errors below first. They would break the take on camera.' : 'The take will run, but these may show on camera.'}</p>
+            <div className="max-h-72 overflow-y-auto mb-6"><IssueList issues={issues} onFix={onFix} /></div>
+            <div className="flex justify-end space-x-2">
+                <Button variant="secondary" onClick={onClose}>{hasErrors ? 'Close' : 'Cancel'}</Button>
+                {!hasErrors && <Button onClick={onGoLive} icon={Play}>Go Live Anyway</Button>}
+            </div>
+        </Modal>
+    );
+};
+
+const SceneEditorScreen = () => {
+    const { currentProject, currentScene, setAppState, startLiveMode, updateScene, restoreCount } = useApp();
+    const [activeTab, setActiveTab] = useState('script');
+    const [isRemoteOpen, setIsRemoteOpen] = useState(false);
+    const [isKioskOpen, setIsKioskOpen] = useState(false);
+    const [isRenderOpen, setIsRenderOpen] = useState(false);
+    const [isCheckOpen, setIsCheckOpen] = useState(false);
+    const [focus, setFocus] = useState(null); // { messageId, threadId } the script editor scrolls to
+    const issues = useMemo(() => currentScene ? validateScene(currentScene) : [], [currentScene]);
+
+    // Undo can take away the scene being edited (undoing its creation, say).
+    useEffect(() => {
+        if (currentProject && !currentScene) setAppState('project_overview');
+    }, [currentProject, currentScene, setAppState]);
+
+    if (!currentScene) return <div className="p-4">Loading scene...</div>;
+
+    const goLive = () => (issues.length ? setIsCheckOpen(true) : startLiveMode());
+    const selectTab = (id) => {
+        setActiveTab(id);
+        setFocus(null);
+    };
+    const fixIssue = (issue) => {
+        setIsCheckOpen(false);
+        setActiveTab(issue.tab);
+        setFocus(issue.messageId ? { messageId: issue.messageId, threadId: issue.threadId } : null);
+    };
+
+    const isCallScene = currentScene.type === 'call' || currentScene.type === 'video';
+    const tabs = isCallScene ? [
+        { id: 'call', label: currentScene.type === 'video' ? 'Video Call' : 'Call', icon: currentScene.type === 'video' ? Video : Phone },
+    ] : [
+        { id: 'script', label: 'Script', icon: Edit3 },
+        { id: 'participants', label: 'Participants', icon: Users },
+        { id: 'skin', label: 'Skin', icon: Palette },
+        { id: 'notifications', label: 'Notifications', icon: Bell },
+        { id: 'timeline', label: 'Timeline', icon: Timer },
+    ];
+    if (!isCallScene && currentScene.config.scenarioType === 'contacts') tabs.push({ id: 'history', label: 'History', icon: Clock });
+    if (!isCallScene && currentScene.config.scenarioType === 'lockscreen') tabs.push({ id: 'lockscreen', label: 'Lock Screen', icon: Camera });
+    tabs.push({ id: 'statusbar', label: 'Status Bar', icon: Signal });
+    const visibleTab = tabs.some(t => t.id === activeTab) ? activeTab : tabs[0].id;
+    const clock = currentScene.config.clock || DEFAULT_CLOCK;
+
+    return (
+        <div className="flex flex-col h-screen bg-gray-100 safe-padding">
+            <header className="bg-white border-b border-gray-200 p-4 flex items-center justify-between">
+                <div className="flex items-center min-w-0">
+                    <button onClick={() => setAppState('project_overview')} className="p-2 rounded-full hover:bg-gray-100 mr-2 flex-shrink-0"><ArrowLeft size={20} /></button>
+                    <div className="min-w-0">
+                        <h1 className="text-lg font-bold text-gray-800 truncate">{currentScene.name}</h1>
+                        <p className="text-xs text-gray-500">{currentProject.name}</p>
+                    </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <UndoRedoButtons />
+                    <button onClick={() => saveProjectFile(toFileName(currentScene.name), createProjectFile('scene', currentScene))} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Export scene"><Download size={20} /></button>
+                    <button onClick={() => setIsRemoteOpen(true)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Director remote"><Radio size={20} /></button>
+                    <button onClick={() => setIsKioskOpen(true)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Kiosk mode"><Lock size={20} /></button>
+                    {!isCallScene && <button onClick={() => setIsRenderOpen(true)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Render for VFX"><Film size={20} /></button>}
+                    <Button onClick={goLive} icon={Play}>Go Live</Button>
+                </div>
+            </header>
+            <ValidationPanel issues={issues} onFix={fixIssue} />
+            <GoLiveCheckModal issues={issues} isOpen={isCheckOpen} onClose={() => setIsCheckOpen(false)} onGoLive={startLiveMode} onFix={fixIssue} />
+            <DirectorRemoteModal isOpen={isRemoteOpen} onClose={() => setIsRemoteOpen(false)} />
+            <KioskModal isOpen={isKioskOpen} onClose={() => setIsKioskOpen(false)} />
+            {!isCallScene && <RenderModal isOpen={isRenderOpen} onClose={() => setIsRenderOpen(false)} />}
+            
+            {!isCallScene && <div className="p-4 bg-white border-b">
+                <select value={currentScene.config.scenarioType} onChange={e => updateScene(currentScene.id, { scenarioType: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md text-sm">
+                    <option value="direct">Direct Chat Start</option>
+                    <option value="contacts">Messages List Start</option>
+                    <option value="lockscreen">Lock Screen Start</option>
+                </select>
+                <select value={currentScene.config.keyboard?.mode === 'system' ? 'system' : currentScene.config.keyboard?.layout || 'qwerty'} onChange={e => updateScene(currentScene.id, { keyboard: e.target.value === 'system' ? { mode: 'system', layout: currentScene.config.keyboard?.layout || 'qwerty' } : { mode: 'onscreen', layout: e.target.value } })} className="w-full p-2 border border-gray-300 rounded-md text-sm mt-2">
+                    {Object.entries(KEYBOARD_LAYOUTS).map(([id, layout]) => <option key={id} value={id}>Keyboard: {layout.label}</option>)}
+                    <option value="system">Keyboard: System (hardware keys only)</option>
+                </select>
+                <div className="flex space-x-2 mt-2">
+                    <select value={clock.mode} onChange={e => updateScene(currentScene.id, { clock: { ...clock, mode: e.target.value, start: clock.start || toClockInput(new Date()) } })} className="flex-1 min-w-0 p-2 border border-gray-300 rounded-md text-sm">
+                        {CLOCK_MODES.map(mode => <option key={mode.id} value={mode.id}>Clock: {mode.label}</option>)}
+                    </select>
+                    <select value={clock.locale} onChange={e => updateScene(currentScene.id, { clock: { ...clock, locale: e.target.value } })} className="p-2 border border-gray-300 rounded-md text-sm">
+                        {CLOCK_LOCALES.map(locale => <option key={locale.id} value={locale.id}>{locale.label}</option>)}
+                    </select>
+                </div>
+                {clock.mode !== 'real' && (
+                    <input type="datetime-local" value={clock.start} onChange={e => updateScene(currentScene.id, { clock: { ...clock, start: e.target.value } })} className="w-full p-2 border border-gray-300 rounded-md text-sm mt-2" />
+                )}
+            </div>}
+
+            <nav className="bg-white border-b border-gray-200"><div className="flex space-x-1 px-2">
+                {tabs.map(tab => (
+                    <button key={tab.id} onClick={() => selectTab(tab.id)} className={`flex-1 flex items-center justify-center space-x-2 px-3 py-3 text-sm font-medium transition-colors ${visibleTab === tab.id ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500 hover:text-gray-700'}`}>
+                        <tab.icon size={16} /><span>{tab.label}</span>
+                    </button>
+                ))}
+            </div></nav>
+
+            <main className="flex-1 overflow-y-auto">
+                {visibleTab === 'script' && <ScriptEditor key={`${currentScene.id}-${restoreCount}`} focus={focus} />}
+                {visibleTab === 'participants' && <ParticipantsEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'history' && <MessageHistoryEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'lockscreen' && <LockScreenEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'call' && <CallEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'skin' && <SkinEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'timeline' && <TimelineEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'notifications' && <NotificationsEditor key={`${currentScene.id}-${restoreCount}`} />}
+                {visibleTab === 'statusbar' && <StatusBarEditor key={`${currentScene.id}-${restoreCount}`} />}
+            </main>
+        </div>
+    );
+};
+
+// Picks which conversation an editor works on. Hidden when the scene has a single thread.
+const ThreadSelect = ({ value, onChange }) => {
+    const { currentScene } = useApp();
+    const threads = getThreads(currentScene.config);
+    if (threads.length < 2) return null;
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md text-sm bg-white">
+            {threads.map(t => <option key={t.id} value={t.id}>{t.isGroup ? `Group: ${t.name}` : `Conversation with ${t.name}`}</option>)}
+        </select>
+    );
+};
+
+const ScriptEditor = ({ focus }) => {
+    const { currentScene, updateScene } = useApp();
+    const [messages, setMessages] = useState(currentScene.config.messages || []);
+    const primaryThreadId = getPrimaryThreadId(currentScene.config);
+    const [threadId, setThreadId] = useState(primaryThreadId);
+    const isInThread = (message) => getThreadId(message, primaryThreadId) === threadId;
+    const isGroupThread = currentScene.config.groups?.some(g => g.id === threadId);
+    const kinds = isGroupThread ? MESSAGE_KINDS : MESSAGE_KINDS.filter(k => k.id !== 'system');
+
+    const updateLocalMessage = (index, updates) => {
+        const newMessages = [...messages];
+        newMessages[index] = { ...newMessages[index], ...updates };
+        setMessages(newMessages);
+    };
+    const createLine = () => ({ 
+        id: Date.now().toString(), 
+        threadId,
+        participantId: 'you', 
+        text: '',
+        startDelay: 1,
+        typingDelay: 'natural'
+    });
+    const addMessage = () => setMessages([...messages, createLine()]);
+    const insertMessage = (index) => setMessages([...messages.slice(0, index), createLine(), ...messages.slice(index)]);
+    // Each copy goes right after its original.
+    const duplicateMessages = (ids) => setMessages(messages.flatMap(m => ids.includes(m.id) ? [m, copyMessage(m, ids.indexOf(m.id))] : [m]));
+    const changeKind = (index, kind) => updateLocalMessage(index, kind === 'branch' && !messages[index].options
+        ? { kind, participantId: 'you', options: [createBranchOption(0), createBranchOption(1)] }
+        : { kind });
+    const removeMessage = (index) => setMessages(messages.filter((_, i) => i !== index));
+    const [isImporting, setIsImporting] = useState(false);
+
+    const [selectedIds, setSelectedIds] = useState(null); // null unless lines are being selected
+    const selected = messages.filter(m => selectedIds?.includes(m.id));
+    const delayed = selected.filter(m => !isActorInputEvent(m));
+    const typed = delayed.filter(hasTypingIndicator);
+    const toggleSelected = (id) => setSelectedIds(ids => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
+    const updateSelected = (updates, appliesTo) => setMessages(messages.map(m => selected.includes(m) && appliesTo(m) ? { ...m, ...updates } : m));
+    const deleteSelected = () => {
+        setMessages(messages.filter(m => !selected.includes(m)));
+        setSelectedIds([]);
+    };
+    const changeThread = (id) => {
+        setThreadId(id);
+        if (selectedIds) setSelectedIds([]);
+    };
+
+    // Lines are dragged by their handle; the line under the pointer shows where the drop lands.
+    const [drag, setDrag] = useState(null); // { id, overId, after }
+    const startDrag = (e, id) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDrag({ id, overId: id, after: false });
+    };
+    const moveDrag = (e) => {
+        if (!drag) return;
+        // Near the top or bottom edge the editor scrolls, so a line can travel past what is on screen.
+        const scroller = e.currentTarget.closest('main');
+        const bounds = scroller?.getBoundingClientRect();
+        if (bounds && e.clientY < bounds.top + 48) scroller.scrollBy(0, -12);
+        else if (bounds && e.clientY > bounds.bottom - 48) scroller.scrollBy(0, 12);
+        const cards = messages.filter(isInThread)
+            .map(m => ({ id: m.id, rect: document.getElementById(`message-${m.id}`)?.getBoundingClientRect() }))
+            .filter(card => card.rect);
+        const over = cards.find(card => e.clientY < card.rect.bottom) || cards[cards.length - 1];
+        if (over) setDrag({ ...drag, overId: over.id, after: e.clientY > over.rect.top + over.rect.height / 2 });
+    };
+    const endDrag = () => {
+        if (drag && drag.overId !== drag.id) setMessages(moveById(messages, drag.id, drag.overId, drag.after));
+        setDrag(null);
+    };
+
+    const handleScreenplayImport = ({ participants, messages: imported, replace }) => {
+        const threadMessages = imported.map(m => ({ ...m, threadId }));
+        const newMessages = replace ? [...messages.filter(m => !isInThread(m)), ...threadMessages] : [...messages, ...threadMessages];
+        setMessages(newMessages);
+        updateScene(currentScene.id, { participants, messages: newMessages });
+        setIsImporting(false);
+    };
+    
+    useEffect(() => { updateScene(currentScene.id, { messages }); }, [messages, currentScene.id, updateScene]);
+
+    // A fix link from the validation panel opens the line's conversation and scrolls to it.
+    useEffect(() => {
+        if (focus) setThreadId(focus.threadId);
+    }, [focus]);
+    useEffect(() => {
+        if (focus) document.getElementById(`message-${focus.messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [focus, threadId]);
+
+    const timing = currentScene.config.timing || DEFAULT_TIMING;
+    const updateTiming = (updates) => updateScene(currentScene.id, { timing: { ...timing, ...updates } });
+
+    return (
+        <div className="p-4 space-y-4">
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Timing Seed</span>
+                    <div className="flex items-center space-x-2">
+                        <input type="number" value={timing.seed} onChange={(e) => updateTiming({ seed: parseInt(e.target.value, 10) || 0 })} className="w-24 p-1.5 border rounded-md text-sm font-mono text-right" />
+                        <button onClick={() => updateTiming({ seed: createTimingSeed() })} title="New seed" className="p-1.5 text-gray-500 hover:text-blue-600 border border-gray-300 rounded-md"><RefreshCw size={16} /></button>
+                    </div>
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Pace</span>
+                    <select value={timing.pace} onChange={(e) => updateTiming({ pace: parseFloat(e.target.value) })} className="p-1.5 border rounded-md text-sm">
+                        {PACE_OPTIONS.map(pace => <option key={pace} value={pace}>{pace}×</option>)}
+                    </select>
+                </div>
+                <p className="text-xs text-gray-500">Natural delays are the same on every take with the same seed. Change the seed for a different rhythm.</p>
+            </div>
+            <ThreadSelect value={threadId} onChange={changeThread} />
+            {!selectedIds && messages.some(isInThread) && (
+                <div className="flex justify-end">
+                    <Button onClick={() => setSelectedIds([])} variant="ghost" icon={ListChecks} className="py-1 text-sm">Select Lines</Button>
+                </div>
+            )}
+            {messages.map((msg, index) => {
+                if (!isInThread(msg)) return null;
+                const participant = currentScene.config.participants.find(p => p.id === msg.participantId);
+                const kind = getMessageKind(msg);
+                const isActorMessage = isActorInputEvent(msg);
+                const earlierBubbles = messages.slice(0, index).filter(m => isInThread(m) && isBubbleKind(getMessageKind(m)));
+                const computed = computeMessageTiming(msg, timing);
+                const typingTime = computed.phases.filter(p => p.typing).reduce((sum, p) => sum + p.duration, 0);
+                const hesitation = computed.phases.find(p => !p.typing);
+                const isSelected = !!selectedIds?.includes(msg.id);
+                const highlight = isSelected ? 'ring-2 ring-blue-400' : focus?.messageId === msg.id ? 'ring-2 ring-amber-400' : '';
+                const dropEdge = drag && drag.id !== msg.id && drag.overId === msg.id ? (drag.after ? 'border-b-4 border-b-blue-500' : 'border-t-4 border-t-blue-500') : '';
+                return (
+                    <div key={msg.id} id={`message-${msg.id}`} className={`bg-white p-4 rounded-lg shadow-sm border ${highlight} ${dropEdge} ${drag?.id === msg.id ? 'opacity-50' : ''}`}>
+                        <div className="flex items-start space-x-3">
+                            <div className="flex flex-col items-center space-y-3 pt-2">
+                                {selectedIds && <input type="checkbox" checked={isSelected} onChange={() => toggleSelected(msg.id)} className="w-4 h-4" />}
+                                <button onPointerDown={(e) => startDrag(e, msg.id)} onPointerMove={moveDrag} onPointerUp={endDrag} onPointerCancel={() => setDrag(null)} className="text-gray-300 hover:text-gray-500 cursor-grab touch-none" title="Drag to reorder"><GripVertical size={18} /></button>
+                            </div>
+                            <div className="space-y-2">
+                                {kind !== 'branch' && (
+                                    <select value={msg.participantId} onChange={(e) => updateLocalMessage(index, { participantId: e.target.value })} className="w-full p-2 border rounded-md text-sm">
+                                        {currentScene.config.participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                    </select>
+                                )}
+                                <select value={kind} onChange={(e) => changeKind(index, e.target.value)} className="w-full p-2 border rounded-md text-sm">
+                                    {kinds.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+                                </select>
+                            </div>
+                            <div className="flex-1 space-y-2 min-w-0">
+                                {(kind === 'text' || kind === 'photo') && (
+                                    <textarea value={msg.text} onChange={(e) => updateLocalMessage(index, { text: e.target.value })} placeholder={kind === 'photo' ? 'Caption (optional)' : `Message from ${participant?.name}...`} className="w-full p-2 border rounded-md text-sm resize-y min-h-[60px]" />
+                                )}
+                                {kind === 'photo' && <ImageField label="Photo" value={msg.image} onChange={(image) => updateLocalMessage(index, { image })} />}
+                                {kind === 'voice' && (
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-sm text-gray-600">Duration</span>
+                                        <NumberStepper value={msg.duration ?? 8} onChange={(duration) => updateLocalMessage(index, { duration })} min={1} unit="s" />
+                                    </div>
+                                )}
+                                {kind === 'link' && (
+                                    <>
+                                        <input type="url" value={msg.url || ''} onChange={(e) => updateLocalMessage(index, { url: e.target.value })} placeholder="https://..." className="w-full p-2 border rounded-md text-sm" />
+                                        <input type="text" value={msg.linkTitle || ''} onChange={(e) => updateLocalMessage(index, { linkTitle: e.target.value })} placeholder="Preview title" className="w-full p-2 border rounded-md text-sm" />
+                                        <ImageField label="Preview image" value={msg.linkImage} onChange={(linkImage) => updateLocalMessage(index, { linkImage })} className="h-24" />
+                                    </>
+                                )}
+                                {(kind === 'reaction' || kind === 'unsend') && (
+                                    <select value={msg.targetId || ''} onChange={(e) => updateLocalMessage(index, { targetId: e.target.value })} className="w-full p-2 border rounded-md text-sm">
+                                        <option value="">Choose a message...</option>
+                                        {earlierBubbles.map(m => <option key={m.id} value={m.id}>{describeMessage(m, currentScene.config.participants).slice(0, 40) || '(empty)'}</option>)}
+                                    </select>
+                                )}
+                                {kind === 'reaction' && (
+                                    <div className="flex space-x-1">
+                                        {TAPBACKS.map(t => (
+                                            <button key={t.id} onClick={() => updateLocalMessage(index, { reaction: t.id })} className={`w-9 h-9 rounded-full text-lg ${(msg.reaction || 'heart') === t.id ? 'bg-blue-100 ring-2 ring-blue-500' : 'bg-gray-100'}`}>{t.emoji}</button>
+                                        ))}
+                                    </div>
+                                )}
+                                {kind === 'system' && (
+                                    <>
+                                        <select value={msg.systemAction || 'added'} onChange={(e) => updateLocalMessage(index, { systemAction: e.target.value })} className="w-full p-2 border rounded-md text-sm">
+                                            {SYSTEM_ACTIONS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+                                        </select>
+                                        {SYSTEM_ACTIONS.find(a => a.id === (msg.systemAction || 'added'))?.needsTarget && (
+                                            <select value={msg.targetId || ''} onChange={(e) => updateLocalMessage(index, { targetId: e.target.value })} className="w-full p-2 border rounded-md text-sm">
+                                                <option value="">Choose a person...</option>
+                                                {currentScene.config.participants.filter(p => p.id !== msg.participantId).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                            </select>
+                                        )}
+                                        {SYSTEM_ACTIONS.find(a => a.id === msg.systemAction)?.needsText && (
+                                            <input type="text" value={msg.text} onChange={(e) => updateLocalMessage(index, { text: e.target.value })} placeholder={msg.systemAction === 'renamed' ? 'New group name' : 'Event text'} className="w-full p-2 border rounded-md text-sm" />
+                                        )}
+                                        <p className="text-xs text-gray-500">Shows as “{formatSystemEvent(msg, currentScene.config.participants)}”</p>
+                                    </>
+                                )}
+                                {kind === 'receipt' && (
+                                    <div className="flex space-x-2">
+                                        <select value={msg.receipt || 'delivered'} onChange={(e) => updateLocalMessage(index, { receipt: e.target.value })} className="p-2 border rounded-md text-sm">
+                                            <option value="delivered">Delivered</option>
+                                            <option value="read">Read</option>
+                                        </select>
+                                        {msg.receipt === 'read' && <input type="text" value={msg.readTime || ''} onChange={(e) => updateLocalMessage(index, { readTime: e.target.value })} placeholder="Time, e.g. 9:42" className="flex-1 p-2 border rounded-md text-sm" />}
+                                    </div>
+                                )}
+                            </div>
+                            <div className="flex items-center">
+                                <ActionMenu actions={[
+                                    { label: 'Insert line above', icon: ArrowUp, onClick: () => insertMessage(index) },
+                                    { label: 'Insert line below', icon: ArrowDown, onClick: () => insertMessage(index + 1) },
+                                    { label: 'Duplicate', icon: Copy, onClick: () => duplicateMessages([msg.id]) },
+                                ]} />
+                                <button onClick={() => removeMessage(index)} className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                            </div>
+                        </div>
+                        {kind === 'branch' && <BranchEditor branch={msg} participants={currentScene.config.participants} onChange={(updates) => updateLocalMessage(index, updates)} />}
+                        {isActorMessage && kind === 'text' && (
+                            <div className="mt-3 pt-3 border-t space-y-2">
+                                <div className="flex items-center justify-between">
+                                    <span className="text-sm text-gray-600">Typing</span>
+                                    <select value={getTypingMode(msg)} onChange={(e) => updateLocalMessage(index, { typingMode: e.target.value })} className="p-2 border rounded-md text-sm">
+                                        {TYPING_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+                                    </select>
+                                </div>
+                                {usesTypedAs(getTypingMode(msg)) && (
+                                    <input type="text" value={msg.typedAs || ''} onChange={(e) => updateLocalMessage(index, { typedAs: e.target.value })} placeholder={createTypos(msg.text || '', String(msg.id))} className="w-full p-2 border rounded-md text-sm" />
+                                )}
+                                <p className="text-xs text-gray-500">{TYPING_MODES.find(mode => mode.id === getTypingMode(msg)).hint}{usesTypedAs(getTypingMode(msg)) && ' Leave it empty to use the generated typos shown.'}</p>
+                            </div>
+                        )}
+                        {!isActorMessage && (
+                            <div className="mt-3 pt-3 border-t space-y-3">
+                                <DelaySelector
+                                    label="Start Delay"
+                                    value={msg.startDelay}
+                                    onChange={(val) => updateLocalMessage(index, { startDelay: val })}
+                                />
+                                {hasTypingIndicator(msg) && (
+                                    <DelaySelector
+                                        label="Typing Speed"
+                                        value={msg.typingDelay}
+                                        onChange={(val) => updateLocalMessage(index, { typingDelay: val })}
+                                    />
+                                )}
+                                <p className="text-xs text-gray-500 font-mono">
+                                    Starts after {formatTimingSeconds(computed.startDelay)}
+                                    {typingTime > 0 && ` · types for ${formatTimingSeconds(typingTime)}`}
+                                    {hesitation && ` · stops for ${formatTimingSeconds(hesitation.duration)}`}
+                                </p>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+            <Button onClick={addMessage} variant="secondary" icon={Plus} className="w-full">Add Message</Button>
+            <Button onClick={() => setIsImporting(true)} variant="ghost" icon={FileText} className="w-full">Import from Screenplay</Button>
+            {isImporting && <ScreenplayImportModal participants={currentScene.config.participants} hasMessages={messages.some(isInThread)} onImport={handleScreenplayImport} onClose={() => setIsImporting(false)} />}
+            {selectedIds && (
+                <div className="sticky bottom-4 bg-white p-4 rounded-lg shadow-lg border space-y-3">
+                    <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-700">{selected.length} selected</span>
+                        <div className="flex space-x-3 text-sm">
+                            <button onClick={() => setSelectedIds(messages.filter(isInThread).map(m => m.id))} className="text-blue-600">Select all</button>
+                            <button onClick={() => setSelectedIds(null)} className="text-gray-600">Done</button>
+                        </div>
+                    </div>
+                    {selected.length > 0 && (
+                        <>
+                            <select value="" onChange={(e) => updateSelected({ participantId: e.target.value }, m => getMessageKind(m) !== 'branch')} className="w-full p-2 border rounded-md text-sm">
+                                <option value="" disabled>Change sender...</option>
+                                {currentScene.config.participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                            {delayed.length > 0 && <DelaySelector label="Start Delay" value={delayed[0].startDelay} onChange={(startDelay) => updateSelected({ startDelay }, m => !isActorInputEvent(m))} />}
+                            {typed.length > 0 && <DelaySelector label="Typing Speed" value={typed[0].typingDelay} onChange={(typingDelay) => updateSelected({ typingDelay }, m => !isActorInputEvent(m) && hasTypingIndicator(m))} />}
+                            <div className="flex space-x-2">
+                                <Button onClick={() => duplicateMessages(selected.map(m => m.id))} variant="secondary" icon={Copy} className="flex-1">Duplicate</Button>
+                                <Button onClick={deleteSelected} variant="danger" icon={Trash2} className="flex-1">Delete</Button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The options of a branch point hang side by side off the branch, each with the actor's reply
+// and the lines that follow it. Every option rejoins the main script afterwards.
+const BranchEditor = ({ branch, participants, onChange }) => {
+    const options = branch.options || [];
+    const selectBy = branch.selectBy || 'key';
+    const contacts = participants.filter(p => !p.isFixed);
+
+    const updateOption = (id, updates) => onChange({ options: options.map(o => o.id === id ? { ...o, ...updates } : o) });
+    const updateLines = (option, update) => updateOption(option.id, { messages: update(option.messages || []) });
+    const addLine = (option) => updateLines(option, lines => [...lines, {
+        id: Date.now().toString(),
+        threadId: branch.threadId,
+        participantId: contacts[0]?.id || 'you',
+        text: '',
+        startDelay: 1,
+        typingDelay: 'natural',
+    }]);
+
+    return (
+        <div className="mt-3 pt-3 border-t space-y-3">
+            <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">Chosen by</span>
+                <select value={selectBy} onChange={(e) => onChange({ selectBy: e.target.value })} className="p-1.5 border rounded-md text-sm">
+                    {BRANCH_SELECTORS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                </select>
+            </div>
+            <div className="overflow-x-auto pb-1">
+                <div className="flex gap-3 w-max border-t-2 border-blue-300 pt-3">
+                    {options.map((option, optionIndex) => (
+                        <div key={option.id} className="w-60 flex-shrink-0 border-l-2 border-blue-300 pl-3 space-y-2">
+                            <div className="flex items-center justify-between">
+                                <span className="text-xs font-semibold text-blue-700 uppercase">Option {String.fromCharCode(65 + optionIndex)}</span>
+                                {options.length > 1 && <button onClick={() => onChange({ options: options.filter(o => o.id !== option.id) })} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={14} /></button>}
+                            </div>
+                            <input type="text" value={option.label} onChange={(e) => updateOption(option.id, { label: e.target.value })} placeholder="Label for the director" className="w-full p-2 border rounded-md text-sm" />
+                            <textarea value={option.text} onChange={(e) => updateOption(option.id, { text: e.target.value })} placeholder="What the actor types..." className="w-full p-2 border rounded-md text-sm resize-y min-h-[50px]" />
+                            {selectBy === 'key' && (
+                                <label className="flex items-center justify-between text-sm text-gray-600">
+                                    <span>Key</span>
+                                    <input type="text" maxLength={1} value={option.key} onChange={(e) => updateOption(option.id, { key: e.target.value })} placeholder={getOptionKey(option) || '?'} className="w-12 p-1.5 border rounded-md text-center font-mono" />
+                                </label>
+                            )}
+                            {selectBy === 'zone' && (
+                                <select value={getOptionZone(branch, option)} onChange={(e) => updateOption(option.id, { zone: e.target.value })} className="w-full p-1.5 border rounded-md text-sm">
+                                    {HOT_ZONES.map(z => <option key={z.id} value={z.id}>{z.label} corner</option>)}
+                                </select>
+                            )}
+                            <div className="pt-2 border-t space-y-2">
+                                {(option.messages || []).map(line => (
+                                    <div key={line.id} className="space-y-1">
+                                        <div className="flex items-center space-x-1">
+                                            <select value={line.participantId} onChange={(e) => updateLines(option, lines => lines.map(l => l.id === line.id ? { ...l, participantId: e.target.value } : l))} className="flex-1 p-1 border rounded-md text-xs">
+                                                {participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                            </select>
+                                            <button onClick={() => updateLines(option, lines => lines.filter(l => l.id !== line.id))} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={14} /></button>
+                                        </div>
+                                        <textarea value={line.text} onChange={(e) => updateLines(option, lines => lines.map(l => l.id === line.id ? { ...l, text: e.target.value } : l))} placeholder="Message..." className="w-full p-1.5 border rounded-md text-sm resize-y min-h-[40px]" />
+                                    </div>
+                                ))}
+                                <Button onClick={() => addLine(option)} variant="ghost" icon={Plus} className="w-full text-sm">Add Line</Button>
+                            </div>
+                        </div>
+                    ))}
+                    <button onClick={() => onChange({ options: [...options, createBranchOption(options.length)] })} className="w-28 flex-shrink-0 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-500 hover:border-blue-400 hover:text-blue-600 flex flex-col items-center justify-center">
+                        <Plus size={18} />Add Option
+                    </button>
+                </div>
+            </div>
+            <p className="text-xs text-gray-500">{selectBy === 'key'
+                ? 'The first key the actor types picks the option with that key (the first option if none match) and types its first letter.'
+                : selectBy === 'zone'
+                ? 'The actor taps the hidden corner of the option they want, then types the reply.'
+                : 'The prop waits until the director picks an option.'} The director can always pick. Every option then continues with the next line below.</p>
+        </div>
+    );
+};
+
+const ScreenplayImportModal = ({ participants, hasMessages, onImport, onClose }) => {
+    const [source, setSource] = useState('');
+    const [parsed, setParsed] = useState(null); // { format, entries }
+    const [actorCharacter, setActorCharacter] = useState('');
+    const [replace, setReplace] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const characters = useMemo(() => [...new Set((parsed?.entries || []).map(e => e.character))], [parsed]);
+    const findParticipant = (character) => participants.find(p => !p.isFixed && p.name.toLowerCase() === character.toLowerCase());
+    const targetFor = (entry) => entry.target ?? (entry.character === actorCharacter ? 'you' : findParticipant(entry.character)?.id ?? `new:${toDisplayName(entry.character)}`);
+    const newContactNames = [...new Set(characters.filter(c => c !== actorCharacter && !findParticipant(c)).map(toDisplayName))];
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) setSource(await file.text());
+    };
+
+    const handleParse = () => {
+        const result = parseScreenplay(source);
+        // The phone's owner is usually the character with the most texting lines.
+        const counts = {};
+        result.entries.filter(e => e.include).forEach(e => { counts[e.character] = (counts[e.character] || 0) + 1; });
+        const you = participants.find(p => p.id === 'you');
+        const matchingYou = result.entries.find(e => e.character.toLowerCase() === you?.name.toLowerCase());
+        setActorCharacter(matchingYou?.character ?? Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? '');
+        setParsed(result);
+    };
+
+    const updateEntry = (index, updates) => setParsed(prev => ({ ...prev, entries: prev.entries.map((e, i) => i === index ? { ...e, ...updates } : e) }));
+
+    const handleImport = () => {
+        const stamp = Date.now();
+        const included = parsed.entries.filter(e => e.include);
+        const created = new Map();
+        const messages = included.map((entry, index) => {
+            let participantId = targetFor(entry);
+            if (participantId.startsWith('new:')) {
+                const name = participantId.slice(4);
+                if (!created.has(name)) created.set(name, { id: `contact${stamp}${created.size}`, name, avatar: 'gray' });
+                participantId = created.get(name).id;
+            }
+            return { id: `${stamp}-${index}`, participantId, text: entry.text, startDelay: 1, typingDelay: 'natural' };
+        });
+        onImport({ participants: [...participants, ...created.values()], messages, replace });
+    };
+
+    const includedCount = parsed?.entries.filter(e => e.include).length || 0;
+
+    return (
+        <Modal isOpen onClose={onClose} className="max-w-2xl max-h-[90vh] flex flex-col">
+            <h3 className="text-xl font-bold mb-1">Import from Screenplay</h3>
+            {!parsed ? (
+                <>
+                    <p className="text-sm text-gray-500 mb-4">Paste a Fountain scene or lines like <code>ANNA: Are you awake?</code>. Cues marked (TEXT), (SMS) or similar are picked up as messages.</p>
+                    <textarea value={source} onChange={e => setSource(e.target.value)} placeholder={'INT. BEDROOM - NIGHT\n\nANNA (TEXT)\nAre you awake?'} className="w-full flex-1 min-h-[240px] p-3 border rounded-lg font-mono text-sm" />
+                    <input type="file" accept=".fountain,.txt,.spmd,text/plain" ref={fileInputRef} onChange={handleFile} className="hidden" />
+                    <div className="flex justify-between mt-4">
+                        <Button onClick={() => fileInputRef.current.click()} variant="ghost" icon={Upload}>Open File</Button>
+                        <div className="flex space-x-2">
+                            <Button variant="secondary" onClick={onClose}>Cancel</Button>
+                            <Button onClick={handleParse} disabled={!source.trim()}>Preview</Button>
+                        </div>
+                    </div>
+                </>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-500 mb-4">Detected {parsed.format === 'fountain' ? 'Fountain' : 'plain text'} with {parsed.entries.length} dialogue line(s). Untick lines that are spoken aloud and correct who sends each message.</p>
+                    <label className="flex items-center justify-between text-sm mb-3">
+                        <span className="font-medium text-gray-700">Who holds the phone ("You")?</span>
+                        <select value={actorCharacter} onChange={e => setActorCharacter(e.target.value)} className="p-2 border rounded-md">
+                            <option value="">Nobody</option>
+                            {characters.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    </label>
+                    <div className="flex-1 overflow-y-auto border rounded-lg divide-y">
+                        {parsed.entries.length === 0 && <p className="p-4 text-sm text-gray-500">No dialogue found.</p>}
+                        {parsed.entries.map((entry, index) => (
+                            <div key={index} className={`p-2 flex items-start space-x-2 ${entry.include ? '' : 'opacity-50'}`}>
+                                <input type="checkbox" checked={entry.include} onChange={e => updateEntry(index, { include: e.target.checked })} className="mt-2" />
+                                <select value={targetFor(entry)} onChange={e => updateEntry(index, { target: e.target.value })} className="p-1.5 border rounded-md text-sm w-36 flex-shrink-0">
+                                    {participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                    {newContactNames.map(name => <option key={name} value={`new:${name}`}>{name} (new)</option>)}
+                                </select>
+                                <div className="min-w-0 text-sm">
+                                    <p className="text-xs text-gray-400">{entry.character}{entry.isText ? ' · text' : ''}</p>
+                                    <p className="text-gray-800">{entry.text}</p>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    {hasMessages && (
+                        <label className="flex items-center space-x-2 text-sm mt-3">
+                            <input type="checkbox" checked={replace} onChange={e => setReplace(e.target.checked)} />
+                            <span>Replace the existing script instead of appending</span>
+                        </label>
+                    )}
+                    <div className="flex justify-between mt-4">
+                        <Button variant="ghost" onClick={() => setParsed(null)} icon={ArrowLeft}>Back</Button>
+                        <Button onClick={handleImport} disabled={includedCount === 0}>Import {includedCount} Message(s)</Button>
+                    </div>
+                </>
+            )}
+        </Modal>
+    );
+};
+
+const ParticipantsEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const [participants, setParticipants] = useState(currentScene.config.participants || []);
+
+    const updateLocalParticipant = (id, updates) => {
+        const newParticipants = participants.map(p => p.id === id ? { ...p, ...updates } : p);
+        setParticipants(newParticipants);
+    };
+    const addParticipant = () => setParticipants([...participants, { id: `contact${Date.now()}`, name: `Contact ${participants.length}`, avatar: 'gray' }]);
+    const removeParticipant = (id) => {
+        if (participants.length <= 2) return;
+        setParticipants(participants.filter(p => p.id !== id));
+    };
+    
+    useEffect(() => { updateScene(currentScene.id, { participants }); }, [participants, currentScene.id, updateScene]);
+
+    const { groups = [], messages = [], messageHistory = {} } = currentScene.config;
+    const contacts = participants.filter(p => !p.isFixed);
+    const updateGroup = (id, updates) => updateScene(currentScene.id, { groups: groups.map(g => g.id === id ? { ...g, ...updates } : g) });
+    const toggleMember = (group, contactId) => updateGroup(group.id, {
+        memberIds: group.memberIds.includes(contactId) ? group.memberIds.filter(id => id !== contactId) : [...group.memberIds, contactId],
+    });
+    // The first group becomes the primary thread, so messages without a thread keep their conversation.
+    const addGroup = () => {
+        const primaryThreadId = getPrimaryThreadId(currentScene.config);
+        updateScene(currentScene.id, {
+            groups: [...groups, { id: `group${Date.now()}`, name: `Group ${groups.length + 1}`, photo: null, memberIds: contacts.map(p => p.id) }],
+            messages: messages.map(m => m.threadId ? m : { ...m, threadId: primaryThreadId }),
+        });
+    };
+    const removeGroup = (id) => {
+        const primaryThreadId = getPrimaryThreadId(currentScene.config);
+        const remainingHistory = { ...messageHistory };
+        delete remainingHistory[id];
+        updateScene(currentScene.id, {
+            groups: groups.filter(g => g.id !== id),
+            messages: messages.filter(m => getThreadId(m, primaryThreadId) !== id).map(m => m.threadId ? m : { ...m, threadId: primaryThreadId }),
+            messageHistory: remainingHistory,
+        });
+    };
+
+    return (
+        <div className="p-4 space-y-4">
+            {participants.map(p => p.isFixed ? (
+                <div key={p.id} className="bg-white p-4 rounded-lg shadow-sm border flex items-center space-x-4">
+                    <Avatar name={p.name} avatar={p.avatar} />
+                    <input type="text" value={p.name} disabled className="flex-1 p-2 border rounded-md disabled:bg-gray-100 disabled:cursor-not-allowed" />
+                </div>
+            ) : (
+                <div key={p.id} className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                    <div className="flex items-center space-x-2">
+                        <input type="text" value={p.name} onChange={(e) => updateLocalParticipant(p.id, { name: e.target.value })} placeholder="Name" className="flex-1 p-2 border rounded-md" />
+                        <input type="color" value={getParticipantColor(participants, p.id)} onChange={(e) => updateLocalParticipant(p.id, { color: e.target.value })} title="Name colour in group chats" className="w-9 h-9 p-0.5 border rounded-md cursor-pointer" />
+                        <button onClick={() => removeParticipant(p.id)} className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                    </div>
+                    <AvatarField name={getContactName(p)} photo={p.photo} avatar={p.avatar} onPhotoChange={photo => updateLocalParticipant(p.id, { photo })} onAvatarChange={avatar => updateLocalParticipant(p.id, { avatar })} />
+                    <input type="tel" value={p.phone || ''} onChange={(e) => updateLocalParticipant(p.id, { phone: e.target.value })} placeholder="Phone number (optional)" className="w-full p-2 border rounded-md" />
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input type="checkbox" checked={!!p.isUnknown} onChange={(e) => updateLocalParticipant(p.id, { isUnknown: e.target.checked })} />
+                        <span>Not saved in contacts (the phone shows the number)</span>
+                    </label>
+                    {p.isUnknown && <input type="text" value={p.maybe || ''} onChange={(e) => updateLocalParticipant(p.id, { maybe: e.target.value })} placeholder="Suggested name, shown as “Maybe: …” (optional)" className="w-full p-2 border rounded-md" />}
+                </div>
+            ))}
+            <Button onClick={addParticipant} variant="secondary" icon={Plus} className="w-full">Add Contact</Button>
+
+            <div className="pt-2 space-y-4">
+                <h3 className="font-semibold text-gray-800">Group Chats</h3>
+                {groups.map(group => (
+                    <div key={group.id} className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                        <div className="flex items-center space-x-4">
+                            <Avatar name={group.name} photo={group.photo} />
+                            <input type="text" value={group.name} onChange={(e) => updateGroup(group.id, { name: e.target.value })} placeholder="Group name" className="flex-1 p-2 border rounded-md" />
+                            <button onClick={() => removeGroup(group.id)} title="Delete group and its script" className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                        </div>
+                        <ImageField label="Group photo" value={group.photo} onChange={(photo) => updateGroup(group.id, { photo })} className="h-24" />
+                        <div>
+                            <span className="text-sm text-gray-600">Members</span>
+                            <div className="mt-1 flex flex-wrap gap-2">
+                                {contacts.map(p => (
+                                    <label key={p.id} className="flex items-center space-x-1.5 px-2 py-1 border rounded-md text-sm cursor-pointer">
+                                        <input type="checkbox" checked={group.memberIds.includes(p.id)} onChange={() => toggleMember(group, p.id)} />
+                                        <span style={{ color: getParticipantColor(participants, p.id) }}>{p.name}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                ))}
+                <Button onClick={addGroup} variant="secondary" icon={Plus} className="w-full">Add Group</Button>
+            </div>
+        </div>
+    );
+};
+
+const MessageHistoryEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const [history, setHistory] = useState(currentScene.config.messageHistory || {});
+    const { participants } = currentScene.config;
+    const threads = getThreads(currentScene.config);
+    const clock = currentScene.config.clock || DEFAULT_CLOCK;
+    const storyStart = getStoryTime(clock, Date.now());
+
+    const updateLocalHistory = (threadId, updates) => {
+        const newHistory = { ...history, [threadId]: { ...history[threadId], ...updates } };
+        setHistory(newHistory);
+    };
+    const updateBubbles = (threadId, update) => updateLocalHistory(threadId, { bubbles: update(history[threadId]?.bubbles || []) });
+    const addBubble = (thread) => updateBubbles(thread.id, bubbles => [...bubbles, {
+        id: Date.now().toString(),
+        participantId: thread.memberIds[0] || 'you',
+        text: '',
+        minutesAgo: bubbles.length ? Math.max(0, bubbles[bubbles.length - 1].minutesAgo - 1) : 60,
+    }]);
+    
+    useEffect(() => { updateScene(currentScene.id, { messageHistory: history }); }, [history, currentScene.id, updateScene]);
 
     return (
         <div className="p-4 space-y-4">
-            {messages.map((msg, index) => {
-                const participant = currentScene.config.participants.find(p => p.id === msg.participantId);
-                const isActorMessage = msg.participantId === 'you';
-                return (
-                    <div key={msg.id} className="bg-white p-4 rounded-lg shadow-sm border">
-                        <div className="flex items-start space-x-3">
-                            <select value={msg.participantId} onChange={(e) => updateLocalMessage(index, { participantId: e.target.value })} className="p-2 border rounded-md text-sm">
-                                {currentScene.config.participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
-                            </select>
-                            <textarea value={msg.text} onChange={(e) => updateLocalMessage(index, { text: e.target.value })} placeholder={`Message from ${participant?.name}...`} className="flex-1 p-2 border rounded-md text-sm resize-y min-h-[60px]" />
-                            <button onClick={() => removeMessage(index)} className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
-                        </div>
-                        {!isActorMessage && (
-                            <div className="mt-3 pt-3 border-t space-y-3">
-                                <DelaySelector
-                                    label="Start Delay"
-                                    value={msg.startDelay}
-                                    onChange={(val) => updateLocalMessage(index, { startDelay: val })}
-                                />
-                                <DelaySelector
-                                    label="Typing Speed"
-                                    value={msg.typingDelay}
-                                    onChange={(val) => updateLocalMessage(index, { typingDelay: val })}
-                                />
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                <p>Set up how each conversation looks before the take starts: its entry in the message list, the unread count and any older messages already in the thread.</p>
+            </div>
+            {threads.map(thread => (
+                <div key={thread.id} className="bg-white p-4 rounded-lg shadow-sm border">
+                    <h3 className="font-semibold text-gray-800 mb-3">{thread.isGroup ? `Group: ${thread.name}` : thread.name}</h3>
+                    <div className="space-y-3">
+                        <input type="text" value={history[thread.id]?.lastMessage || ''} onChange={(e) => updateLocalHistory(thread.id, { lastMessage: e.target.value })} placeholder="Last message text..." className="w-full p-2 border rounded-md" />
+                        {Number.isFinite(history[thread.id]?.minutesAgo) ? (
+                            <div className="flex items-center space-x-2">
+                                <input type="number" min={0} value={history[thread.id].minutesAgo} onChange={(e) => updateLocalHistory(thread.id, { minutesAgo: Math.max(0, parseInt(e.target.value, 10) || 0) })} className="w-24 p-2 border rounded-md" />
+                                <span className="flex-1 text-sm text-gray-600">minutes before story time ({formatListTimestamp(new Date(storyStart.getTime() - history[thread.id].minutesAgo * 60000), storyStart, clock.locale)})</span>
+                                <button onClick={() => updateLocalHistory(thread.id, { minutesAgo: null })} className="text-xs text-blue-600">Fixed text</button>
+                            </div>
+                        ) : (
+                            <div className="flex items-center space-x-2">
+                                <input type="text" value={history[thread.id]?.timestamp || ''} onChange={(e) => updateLocalHistory(thread.id, { timestamp: e.target.value })} placeholder="Time (e.g., 9:41 AM, Yesterday)" className="flex-1 p-2 border rounded-md" />
+                                <button onClick={() => updateLocalHistory(thread.id, { minutesAgo: 60 })} className="text-xs text-blue-600">Relative</button>
                             </div>
                         )}
+                        <div className="flex items-center justify-between">
+                            <span className="text-sm text-gray-600">Unread</span>
+                            <NumberStepper value={history[thread.id]?.unread || 0} onChange={(unread) => updateLocalHistory(thread.id, { unread })} unit="" />
+                        </div>
+                        <div className="pt-3 border-t space-y-2">
+                            <p className="text-sm font-medium text-gray-700">Earlier messages</p>
+                            {(history[thread.id]?.bubbles || []).map(bubble => (
+                                <div key={bubble.id} className="flex items-center space-x-2">
+                                    <select value={bubble.participantId} onChange={(e) => updateBubbles(thread.id, bubbles => bubbles.map(b => b.id === bubble.id ? { ...b, participantId: e.target.value } : b))} className="p-2 border rounded-md text-sm">
+                                        {participants.filter(p => thread.memberIds.includes(p.id)).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                        <option value="you">You</option>
+                                    </select>
+                                    <input type="text" value={bubble.text} onChange={(e) => updateBubbles(thread.id, bubbles => bubbles.map(b => b.id === bubble.id ? { ...b, text: e.target.value } : b))} placeholder="Message..." className="flex-1 min-w-0 p-2 border rounded-md text-sm" />
+                                    <input type="number" min={0} value={bubble.minutesAgo} onChange={(e) => updateBubbles(thread.id, bubbles => bubbles.map(b => b.id === bubble.id ? { ...b, minutesAgo: Math.max(0, parseInt(e.target.value, 10) || 0) } : b))} title="Minutes before story time" className="w-16 p-2 border rounded-md text-sm" />
+                                    <span className="text-xs text-gray-500">min</span>
+                                    <button onClick={() => updateBubbles(thread.id, bubbles => bubbles.filter(b => b.id !== bubble.id))} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={16} /></button>
+                                </div>
+                            ))}
+                            <Button onClick={() => addBubble(thread)} variant="ghost" icon={Plus} className="w-full text-sm">Add Earlier Message</Button>
+                        </div>
                     </div>
-                );
-            })}
-            <Button onClick={addMessage} variant="secondary" icon={Plus} className="w-full">Add Message</Button>
+                </div>
+            ))}
         </div>
     );
 };
 
-const ParticipantsEditor = () => {
+const NotificationsEditor = () => {
     const { currentScene, updateScene } = useApp();
-    const [participants, setParticipants] = useState(currentScene.config.participants || []);
+    const [notifications, setNotifications] = useState(currentScene.config.notifications || []);
+    const contacts = currentScene.config.participants.filter(p => !p.isFixed);
 
-    const updateLocalParticipant = (id, updates) => {
-        const newParticipants = participants.map(p => p.id === id ? { ...p, ...updates } : p);
-        setParticipants(newParticipants);
+    const updateLocalNotification = (index, updates) => setNotifications(notifications.map((n, i) => i === index ? { ...n, ...updates } : n));
+    const addNotification = () => setNotifications([...notifications, {
+        id: Date.now().toString(),
+        participantId: contacts[0]?.id,
+        text: '',
+        delay: notifications.length ? notifications[notifications.length - 1].delay + 5 : 2,
+    }]);
+    const removeNotification = (index) => setNotifications(notifications.filter((_, i) => i !== index));
+
+    useEffect(() => { updateScene(currentScene.id, { notifications }); }, [notifications, currentScene.id, updateScene]);
+
+    return (
+        <div className="p-4 space-y-4">
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                <p>Notifications arrive on their own timers from the start of the take. They stack on the lock screen and show as a banner over other screens. Tapping one opens that conversation.</p>
+            </div>
+            {notifications.map((notification, index) => (
+                <div key={notification.id} className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                    <div className="flex items-start space-x-3">
+                        <select value={notification.participantId} onChange={(e) => updateLocalNotification(index, { participantId: e.target.value })} className="p-2 border rounded-md text-sm">
+                            {contacts.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        <textarea value={notification.text} onChange={(e) => updateLocalNotification(index, { text: e.target.value })} placeholder="Preview text..." className="flex-1 p-2 border rounded-md text-sm resize-y min-h-[60px]" />
+                        <button onClick={() => removeNotification(index)} className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                    </div>
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm text-gray-600">Arrives after</span>
+                        <NumberStepper value={notification.delay} onChange={(delay) => updateLocalNotification(index, { delay })} />
+                    </div>
+                </div>
+            ))}
+            <Button onClick={addNotification} variant="secondary" icon={Plus} className="w-full" disabled={contacts.length === 0}>Add Notification</Button>
+        </div>
+    );
+};
+
+const StatusBarEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const [statusBar, setStatusBar] = useState({ ...DEFAULT_STATUS_BAR, ...currentScene.config.statusBar });
+    const update = (updates) => setStatusBar(prev => ({ ...prev, ...updates }));
+    const beats = statusBar.beats || [];
+    const updateBeat = (id, updates) => update({ beats: beats.map(b => b.id === id ? { ...b, ...updates } : b) });
+    const addBeat = () => update({ beats: [...beats, { id: Date.now().toString(), delay: beats.length ? beats[beats.length - 1].delay + 10 : 10, type: 'battery', value: Math.max(0, statusBar.battery - 10) }] });
+    const skin = resolveSkin(currentScene.config.skin);
+
+    useEffect(() => { updateScene(currentScene.id, { statusBar }); }, [statusBar, currentScene.id, updateScene]);
+
+    const renderBeatValue = (beat) => {
+        switch (beat.type) {
+            case 'battery': return <NumberStepper value={beat.value} onChange={(value) => updateBeat(beat.id, { value: Math.min(100, value) })} step={5} unit="%" />;
+            case 'signal': return <NumberStepper value={beat.value} onChange={(value) => updateBeat(beat.id, { value: Math.min(4, value) })} unit={beat.value === 0 ? ' (No Service)' : ' bars'} />;
+            case 'charging': return <input type="checkbox" checked={!!beat.value} onChange={(e) => updateBeat(beat.id, { value: e.target.checked })} className="w-5 h-5" />;
+            case 'network': return (
+                <select value={beat.value} onChange={(e) => updateBeat(beat.id, { value: e.target.value })} className="p-1.5 border rounded-md text-sm">
+                    {NETWORK_TYPES.map(n => <option key={n.id} value={n.id}>{n.label}</option>)}
+                </select>
+            );
+            default: return <input type="text" value={beat.value} onChange={(e) => updateBeat(beat.id, { value: e.target.value })} className="w-32 p-1.5 border rounded-md text-sm" />;
+        }
     };
-    const addParticipant = () => setParticipants([...participants, { id: `contact${Date.now()}`, name: `Contact ${participants.length}`, avatar: 'gray' }]);
-    const removeParticipant = (id) => {
-        if (participants.length <= 2) return;
-        setParticipants(participants.filter(p => p.id !== id));
+    const beatDefaults = { battery: statusBar.battery, charging: true, signal: 0, network: statusBar.network, carrier: statusBar.carrier };
+
+    return (
+        <div className="p-4 space-y-4">
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <label className="flex items-center justify-between">
+                    <span className="font-medium text-gray-700">Draw a status bar</span>
+                    <input type="checkbox" checked={statusBar.enabled} onChange={(e) => update({ enabled: e.target.checked })} className="w-5 h-5" />
+                </label>
+                <div className="relative h-16 rounded-lg overflow-hidden border" style={{ background: skin.headerBackground }}>
+                    <StatusBar status={statusBar} color={skin.headerText} showCutout />
+                </div>
+                <p className="text-xs text-gray-500">Always drawn in kiosk mode. The clock follows the scene's story clock.</p>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <select value={statusBar.device} onChange={(e) => update({ device: e.target.value })} className="w-full p-2 border rounded-md text-sm">
+                    {DEVICES.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                </select>
+                <input type="text" value={statusBar.carrier} onChange={(e) => update({ carrier: e.target.value })} placeholder="Carrier name" className="w-full p-2 border rounded-md text-sm" />
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Signal</span>
+                    <NumberStepper value={statusBar.signal} onChange={(signal) => update({ signal: Math.min(4, signal) })} unit={statusBar.signal === 0 ? ' (No Service)' : ' bars'} />
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Network</span>
+                    <select value={statusBar.network} onChange={(e) => update({ network: e.target.value })} className="p-1.5 border rounded-md text-sm">
+                        {NETWORK_TYPES.map(n => <option key={n.id} value={n.id}>{n.label}</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Battery</span>
+                    <NumberStepper value={statusBar.battery} onChange={(battery) => update({ battery: Math.min(100, battery) })} step={5} unit="%" />
+                </div>
+                <label className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Charging</span>
+                    <input type="checkbox" checked={statusBar.charging} onChange={(e) => update({ charging: e.target.checked })} className="w-5 h-5" />
+                </label>
+            </div>
+            <div className="space-y-2">
+                <h3 className="font-semibold text-gray-800">Story Beats</h3>
+                <p className="text-xs text-gray-500">Changes that happen on their own during the take, counted from its start.</p>
+                {beats.map(beat => (
+                    <div key={beat.id} className="bg-white p-3 rounded-lg shadow-sm border flex flex-wrap items-center gap-2">
+                        <NumberStepper value={beat.delay} onChange={(delay) => updateBeat(beat.id, { delay })} />
+                        <select value={beat.type} onChange={(e) => updateBeat(beat.id, { type: e.target.value, value: beatDefaults[e.target.value] })} className="p-1.5 border rounded-md text-sm">
+                            {STATUS_BEAT_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                        <span className="flex-1 flex justify-end">{renderBeatValue(beat)}</span>
+                        <button onClick={() => update({ beats: beats.filter(b => b.id !== beat.id) })} className="p-1 text-gray-400 hover:text-red-500"><Trash2 size={16} /></button>
+                    </div>
+                ))}
+                <Button onClick={addBeat} variant="secondary" icon={Plus} className="w-full">Add Beat</Button>
+            </div>
+        </div>
+    );
+};
+
+const LockScreenEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const [lockScreen, setLockScreen] = useState(currentScene.config.lockScreen || { background: null });
+    const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const setBackground = (background) => setLockScreen(prev => ({ ...prev, background }));
+
+    const handleBgUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const dataUrl = await readFileAsDataUrl(file);
+        setBackground(dataUrl);
+        storeAssets([dataUrl], file.name).catch(console.error);
+    };
+
+    useEffect(() => { updateScene(currentScene.id, { lockScreen }); }, [lockScreen, currentScene.id, updateScene]);
+
+    return (
+        <div className="p-4 space-y-6">
+            <div className="bg-white p-4 rounded-lg shadow-sm border">
+                <h3 className="font-semibold text-gray-800 mb-2">Lock Screen Background</h3>
+                <div className="w-full h-48 bg-gray-200 rounded-lg flex items-center justify-center overflow-hidden relative">
+                    {lockScreen.background ? <img src={lockScreen.background} alt="Lock screen background" className="w-full h-full object-cover" /> : <div className="text-center text-gray-500"><Camera size={40} /><p>No background</p></div>}
+                </div>
+                <input type="file" accept="image/*" ref={fileInputRef} onChange={handleBgUpload} className="hidden" />
+                <div className="flex space-x-2 mt-3">
+                    <Button onClick={() => fileInputRef.current.click()} variant="secondary" icon={Upload} className="flex-1">Upload Image</Button>
+                    <Button onClick={() => setIsLibraryOpen(true)} variant="secondary" icon={Images} className="flex-1">Library</Button>
+                </div>
+                <AssetLibraryModal isOpen={isLibraryOpen} onClose={() => setIsLibraryOpen(false)} onSelect={setBackground} />
+            </div>
+        </div>
+    );
+};
+
+const SkinPreview = ({ skin }) => (
+    <div className="rounded-lg overflow-hidden border text-sm" style={{ fontFamily: skin.fontFamily, background: skin.chatBackground }}>
+        <div className="px-3 py-2 font-semibold" style={{ background: skin.headerBackground, color: skin.headerText, textAlign: skin.headerAlign }}>{skin.appName}</div>
+        <div className="p-3 space-y-2">
+            <div className="flex"><div className="px-3 py-1.5 max-w-[75%]" style={{ background: skin.otherBubble, color: skin.otherText, borderRadius: skin.bubbleRadius }}>Are you awake?</div></div>
+            <div className="flex justify-end"><div className="px-3 py-1.5 max-w-[75%]" style={{ background: skin.ownBubble, color: skin.ownText, borderRadius: skin.bubbleRadius }}>Yes. Why?</div></div>
+        </div>
+    </div>
+);
+
+const SkinEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const [skinConfig, setSkinConfig] = useState(currentScene.config.skin || { id: 'imessage' });
+    const custom = { ...createDefaultCustomSkin(), ...skinConfig.custom };
+
+    const updateCustom = (updates) => setSkinConfig(prev => ({ ...prev, custom: { ...createDefaultCustomSkin(), ...prev.custom, ...updates } }));
+
+    useEffect(() => { updateScene(currentScene.id, { skin: skinConfig }); }, [skinConfig, currentScene.id, updateScene]);
+
+    return (
+        <div className="p-4 space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                {[...Object.keys(SKINS), 'custom'].map(id => {
+                    const skin = resolveSkin({ id, custom: skinConfig.custom });
+                    return (
+                        <button key={id} onClick={() => setSkinConfig(prev => ({ ...prev, id }))} className={`bg-white p-2 rounded-lg border text-left space-y-2 ${skinConfig.id === id ? 'border-blue-500 ring-2 ring-blue-200' : 'hover:border-gray-400'}`}>
+                            <SkinPreview skin={skin} />
+                            <p className="text-sm font-medium text-gray-800 px-1">{skin.label}</p>
+                        </button>
+                    );
+                })}
+            </div>
+
+            {skinConfig.id === 'custom' && (
+                <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                    <h3 className="font-semibold text-gray-800">Custom Skin</h3>
+                    <input type="text" value={custom.appName} onChange={e => updateCustom({ appName: e.target.value })} placeholder="App name" className="w-full p-2 border rounded-md" />
+                    <label className="flex items-center justify-between text-sm text-gray-600">
+                        <span>Font</span>
+                        <select value={custom.fontFamily} onChange={e => updateCustom({ fontFamily: e.target.value })} className="p-2 border rounded-md text-sm">
+                            {SKIN_FONTS.map(font => <option key={font.label} value={font.value}>{font.label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center justify-between text-sm text-gray-600">
+                        <span>Bubble radius</span>
+                        <input type="range" min="0" max="24" value={custom.bubbleRadius} onChange={e => updateCustom({ bubbleRadius: Number(e.target.value) })} />
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                        {CUSTOM_SKIN_FIELDS.map(field => (
+                            <label key={field.key} className="flex items-center space-x-2 text-sm text-gray-600">
+                                <input type="color" value={custom[field.key]} onChange={e => updateCustom({ [field.key]: e.target.value })} className="w-8 h-8 rounded border" />
+                                <span>{field.label}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const TIMELINE_PX_PER_SECOND = 24;
+const TIMELINE_LABEL_WIDTH = 128;
+const TIMELINE_SPAN_COLORS = { wait: 'bg-gray-200', typing: 'bg-blue-400', hesitation: 'bg-blue-200', actor: 'bg-green-400' };
+
+const TimelineEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const timing = currentScene.config.timing || DEFAULT_TIMING;
+    const { participants } = currentScene.config;
+    const [threadId, setThreadId] = useState(() => getPrimaryThreadId(currentScene.config));
+    const messages = useMemo(() => resolveScript(getThreadMessages(currentScene.config, threadId), chooseFirstOption), [currentScene.config, threadId]);
+    const timeline = useMemo(() => buildSceneTimeline(messages, timing), [messages, timing]);
+    const [playhead, setPlayhead] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const playheadRef = useRef(0);
+    const transcriptEndRef = useRef(null);
+    const [previewOrigin] = useState(() => Date.now());
+
+    const seek = useCallback((ms) => {
+        const next = Math.max(0, Math.min(ms, timeline.total));
+        playheadRef.current = next;
+        setPlayhead(next);
+    }, [timeline.total]);
+
+    useEffect(() => {
+        if (!isPlaying) return;
+        let last = Date.now();
+        const id = setInterval(() => {
+            const now = Date.now();
+            seek(playheadRef.current + now - last);
+            last = now;
+            if (playheadRef.current >= timeline.total) setIsPlaying(false);
+        }, 100);
+        return () => clearInterval(id);
+    }, [isPlaying, seek, timeline.total]);
+
+    const togglePlay = () => {
+        if (!isPlaying && playhead >= timeline.total) seek(0);
+        setIsPlaying(!isPlaying);
+    };
+
+    const skin = resolveSkin(currentScene.config.skin);
+    const conversation = getThreads(currentScene.config).find(t => t.id === threadId);
+    const clock = currentScene.config.clock;
+    const storyTimeAt = (ms) => getStoryTime(clock, previewOrigin, previewOrigin + ms);
+    const previewClock = { now: () => storyTimeAt(playhead), locale: clock?.locale || '' };
+    const { chat, showTyping, typingId, draft: actorDraft, isDraftComplete } = getTimelineFrame({ config: currentScene.config, threadId, timeline, ms: playhead, storyTimeAt });
+
+    useEffect(() => {
+        const transcript = transcriptEndRef.current?.parentElement;
+        if (transcript) transcript.scrollTop = transcript.scrollHeight;
+    }, [chat.bubbles.length, showTyping]);
+
+    const seconds = Math.ceil(timeline.total / 1000);
+    const ticks = Array.from({ length: Math.floor(seconds / 5) + 1 }, (_, i) => i * 5);
+    const toPx = (ms) => ms / 1000 * TIMELINE_PX_PER_SECOND;
+
+    return (
+        <div className="p-4 space-y-4">
+            <ThreadSelect value={threadId} onChange={(id) => { setThreadId(id); setIsPlaying(false); seek(0); }} />
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <div className="flex items-center justify-between">
+                    <div>
+                        <p className="text-2xl font-bold font-mono text-gray-800">{formatCallDuration(seconds)}</p>
+                        <p className="text-xs text-gray-500">Estimated runtime · about {(timeline.total / 60000).toFixed(1)} pages at a page a minute</p>
+                        {messages.some(m => m.branchId) && <p className="text-xs text-gray-500">Follows the first option at each actor choice.</p>}
+                    </div>
+                    <Button onClick={togglePlay} variant="secondary" icon={isPlaying ? Pause : Play} disabled={timeline.total === 0}>{isPlaying ? 'Pause' : 'Preview'}</Button>
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Actor Typing Speed</span>
+                    <NumberStepper value={timing.actorCps || DEFAULT_TIMING.actorCps} onChange={(actorCps) => updateScene(currentScene.id, { timing: { ...timing, actorCps } })} min={0.5} step={0.5} unit=" chars/s" />
+                </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border overflow-x-auto">
+                <div className="relative py-2" style={{ width: TIMELINE_LABEL_WIDTH + toPx(timeline.total) + 24 }}>
+                    <div className="relative h-5 text-[10px] text-gray-400 font-mono" style={{ marginLeft: TIMELINE_LABEL_WIDTH }}>
+                        {ticks.map(tick => <span key={tick} className="absolute" style={{ left: toPx(tick * 1000) }}>{formatCallDuration(tick)}</span>)}
+                    </div>
+                    {timeline.entries.map(entry => (
+                        <div key={entry.message.id} className="flex items-center h-8">
+                            <div className="sticky left-0 z-10 bg-white px-2 text-xs text-gray-600 truncate flex-shrink-0" style={{ width: TIMELINE_LABEL_WIDTH }}>
+                                <span className="font-semibold">{participants.find(p => p.id === entry.message.participantId)?.name}:</span> {describeMessage(entry.message, participants)}
+                            </div>
+                            <div className="relative h-5 flex-1 cursor-pointer" onClick={(e) => seek((e.clientX - e.currentTarget.getBoundingClientRect().left) / TIMELINE_PX_PER_SECOND * 1000)}>
+                                {entry.spans.map((span, i) => (
+                                    <div key={i} className={`absolute top-0 h-full rounded ${TIMELINE_SPAN_COLORS[span.type]}`} style={{ left: toPx(span.start), width: Math.max(toPx(span.end - span.start), 2) }} title={`${span.type} ${formatTimingSeconds(span.end - span.start)}`}></div>
+                                ))}
+                                <div className="absolute top-0 h-full w-0.5 bg-gray-800" style={{ left: toPx(entry.deliverAt) }}></div>
+                            </div>
+                        </div>
+                    ))}
+                    <div className="absolute top-0 bottom-0 w-0.5 bg-red-500 pointer-events-none" style={{ left: TIMELINE_LABEL_WIDTH + toPx(playhead) }}></div>
+                </div>
+            </div>
+            <div className="flex flex-wrap gap-3 text-xs text-gray-500">
+                {[['wait', 'Start delay'], ['typing', 'Typing indicator'], ['hesitation', 'Stopped typing'], ['actor', 'Actor typing (estimate)']].map(([type, label]) => (
+                    <span key={type} className="flex items-center space-x-1"><span className={`w-3 h-3 rounded ${TIMELINE_SPAN_COLORS[type]}`}></span><span>{label}</span></span>
+                ))}
+            </div>
+
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <div className="flex items-center space-x-3">
+                    <input type="range" min={0} max={timeline.total} step={100} value={playhead} onChange={(e) => seek(Number(e.target.value))} className="flex-1" />
+                    <span className="text-sm font-mono text-gray-600">{formatCallDuration(Math.floor(playhead / 1000))}</span>
+                </div>
+                <StoryClockContext.Provider value={previewClock}>
+                    <div className="relative w-[300px] h-[600px] mx-auto rounded-[2.5rem] border-[10px] border-gray-900 overflow-hidden flex flex-col" style={{ background: skin.chatBackground, fontFamily: skin.fontFamily }}>
+                        {currentScene.config.statusBar?.enabled && <StatusBar status={getStatusAt(currentScene.config.statusBar, playhead)} color={skin.headerText} showCutout />}
+                        <LiveChatHeader skin={skin} contact={conversation && { ...conversation, name: getThreadName(conversation, chat) }} subtitle={getChatSubtitle(conversation, chat, participants, typingId, skin)} onBack={null} backLabel={skin.listTitle} />
+                        <ChatTranscript chat={chat} skin={skin} participants={participants} showTyping={showTyping} typingId={typingId} isGroup={conversation?.isGroup}>
+                            <div ref={transcriptEndRef} />
+                        </ChatTranscript>
+                        <ChatInputBar skin={skin} isComplete={isDraftComplete} onSend={() => {}}>
+                            {actorDraft ? <span className="flex-1 px-2 py-1 text-sm truncate" style={{ color: skin.otherText }}>{actorDraft}</span> : <span className="flex-1 px-2 py-1 text-sm text-gray-400">{skin.inputPlaceholder}</span>}
+                        </ChatInputBar>
+                    </div>
+                </StoryClockContext.Provider>
+            </div>
+        </div>
+    );
+};
+
+const ImageField = ({ label, value, onChange, className = 'h-32' }) => {
+    const fileInputRef = useRef(null);
+    const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const dataUrl = await readFileAsDataUrl(file);
+        onChange(dataUrl);
+        storeAssets([dataUrl], file.name).catch(console.error); // a failure resurfaces when the project is saved
+    };
+
+    return (
+        <div>
+            <span className="text-sm text-gray-600">{label}</span>
+            <div className={`w-full mt-1 bg-gray-200 rounded-lg flex items-center justify-center overflow-hidden relative ${className}`}>
+                {value ? <img src={value} alt={label} className="w-full h-full object-cover" /> : <Camera size={28} className="text-gray-500" />}
+                {value && <button onClick={() => onChange(null)} className="absolute top-1 right-1 p-1 bg-black/50 text-white rounded-full"><X size={14} /></button>}
+            </div>
+            <input type="file" accept="image/*" ref={fileInputRef} onChange={handleUpload} className="hidden" />
+            <div className="flex space-x-2 mt-2">
+                <Button onClick={() => fileInputRef.current.click()} variant="secondary" icon={Upload} className="flex-1 text-sm">Upload Image</Button>
+                <Button onClick={() => setIsLibraryOpen(true)} variant="secondary" icon={Images} className="flex-1 text-sm">Library</Button>
+            </div>
+            <AssetLibraryModal isOpen={isLibraryOpen} onClose={() => setIsLibraryOpen(false)} onSelect={onChange} />
+        </div>
+    );
+};
+
+const AVATAR_CROP_SIZE = 240;
+const AVATAR_PHOTO_SIZE = 360;
+
+// Drag to position and slide to zoom; the circle shows what the avatar keeps. `offset` is how far the
+// image centre sits from the crop centre, in on-screen pixels.
+const AvatarCropModal = ({ src, onCancel, onCrop }) => {
+    const imageRef = useRef(null);
+    const dragRef = useRef(null);
+    const [size, setSize] = useState(null);
+    const [zoom, setZoom] = useState(1);
+    const [offset, setOffset] = useState({ x: 0, y: 0 });
+
+    const scale = size ? AVATAR_CROP_SIZE / Math.min(size.width, size.height) * zoom : 1;
+    const clampOffset = ({ x, y }) => {
+        if (!size) return { x: 0, y: 0 };
+        const maxX = (size.width * scale - AVATAR_CROP_SIZE) / 2;
+        const maxY = (size.height * scale - AVATAR_CROP_SIZE) / 2;
+        return { x: Math.max(-maxX, Math.min(maxX, x)), y: Math.max(-maxY, Math.min(maxY, y)) };
+    };
+    const position = clampOffset(offset);
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY, origin: position };
+    };
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (drag) setOffset(clampOffset({ x: drag.origin.x + e.clientX - drag.x, y: drag.origin.y + e.clientY - drag.y }));
+    };
+
+    const handleCrop = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = AVATAR_PHOTO_SIZE;
+        const sourceSize = AVATAR_CROP_SIZE / scale;
+        const sourceX = size.width / 2 - position.x / scale - sourceSize / 2;
+        const sourceY = size.height / 2 - position.y / scale - sourceSize / 2;
+        canvas.getContext('2d').drawImage(imageRef.current, sourceX, sourceY, sourceSize, sourceSize, 0, 0, AVATAR_PHOTO_SIZE, AVATAR_PHOTO_SIZE);
+        onCrop(canvas.toDataURL('image/jpeg', 0.9));
+    };
+
+    return (
+        <Modal isOpen onClose={onCancel}>
+            <h3 className="text-xl font-bold mb-4">Crop Photo</h3>
+            <div
+                className="relative mx-auto overflow-hidden bg-gray-900 rounded-lg touch-none cursor-move"
+                style={{ width: AVATAR_CROP_SIZE, height: AVATAR_CROP_SIZE }}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={() => { dragRef.current = null; }}
+                onPointerCancel={() => { dragRef.current = null; }}
+            >
+                <img
+                    ref={imageRef}
+                    src={src}
+                    alt=""
+                    draggable={false}
+                    onLoad={e => setSize({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight })}
+                    className="absolute max-w-none select-none"
+                    style={size ? {
+                        width: size.width * scale,
+                        height: size.height * scale,
+                        left: (AVATAR_CROP_SIZE - size.width * scale) / 2 + position.x,
+                        top: (AVATAR_CROP_SIZE - size.height * scale) / 2 + position.y,
+                    } : { visibility: 'hidden' }}
+                />
+                <div className="absolute inset-0 rounded-full pointer-events-none" style={{ boxShadow: '0 0 0 999px rgba(0, 0, 0, 0.55)' }}></div>
+            </div>
+            <label className="flex items-center space-x-3 mt-4">
+                <ZoomIn size={18} className="text-gray-500" />
+                <input type="range" min={1} max={4} step={0.01} value={zoom} onChange={e => setZoom(Number(e.target.value))} className="flex-1" />
+            </label>
+            <div className="flex justify-end space-x-2 mt-6">
+                <Button onClick={onCancel} variant="secondary">Cancel</Button>
+                <Button onClick={handleCrop} disabled={!size}>Use Photo</Button>
+            </div>
+        </Modal>
+    );
+};
+
+// Photo (uploaded or from the library, then cropped) or initials on a gradient, for a contact or caller.
+const AvatarField = ({ name, photo, avatar, onPhotoChange, onAvatarChange }) => {
+    const fileInputRef = useRef(null);
+    const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+    const [cropSource, setCropSource] = useState(null);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) setCropSource(await readFileAsDataUrl(file));
+    };
+    const handleCrop = (dataUrl) => {
+        setCropSource(null);
+        onPhotoChange(dataUrl);
+        storeAssets([dataUrl], `${name || 'Contact'} avatar`).catch(console.error); // a failure resurfaces when the project is saved
+    };
+
+    return (
+        <div className="flex items-center space-x-4">
+            <div className="relative">
+                <Avatar name={name} photo={photo} avatar={avatar} className="w-16 h-16 text-2xl" />
+                {photo && <button onClick={() => onPhotoChange(null)} title="Remove photo" className="absolute -top-1 -right-1 p-1 bg-black/60 text-white rounded-full"><X size={12} /></button>}
+            </div>
+            <div className="flex-1 space-y-2">
+                <div className="flex space-x-2">
+                    <Button onClick={() => fileInputRef.current.click()} variant="secondary" icon={Upload} className="flex-1 text-sm">Photo</Button>
+                    <Button onClick={() => setIsLibraryOpen(true)} variant="secondary" icon={Images} className="flex-1 text-sm">Library</Button>
+                </div>
+                <div className={`flex flex-wrap gap-1.5 ${photo ? 'opacity-50' : ''}`}>
+                    {AVATAR_GRADIENTS.map(gradient => (
+                        <button key={gradient.id} onClick={() => onAvatarChange(gradient.id)} title={gradient.id} className={`w-6 h-6 rounded-full ${(avatar || 'gray') === gradient.id ? 'ring-2 ring-offset-1 ring-blue-500' : ''}`} style={{ background: getAvatarBackground(gradient.id) }}></button>
+                    ))}
+                </div>
+            </div>
+            <input type="file" accept="image/*" ref={fileInputRef} onChange={handleUpload} className="hidden" />
+            <AssetLibraryModal isOpen={isLibraryOpen} onClose={() => setIsLibraryOpen(false)} onSelect={setCropSource} />
+            {cropSource && <AvatarCropModal src={cropSource} onCancel={() => setCropSource(null)} onCrop={handleCrop} />}
+        </div>
+    );
+};
+
+const CallEditor = () => {
+    const { currentScene, updateScene } = useApp();
+    const [call, setCall] = useState(() => ({ ...createDefaultCallConfig(), ...currentScene.config.call }));
+    const isVideo = currentScene.type === 'video';
+
+    const updateLocalCall = (updates) => setCall(prev => ({ ...prev, ...updates }));
+    const updateVideo = (updates) => setCall(prev => ({ ...prev, video: { ...prev.video, ...updates } }));
+    const updateEvent = (index, updates) => setCall(prev => ({ ...prev, events: prev.events.map((ev, i) => i === index ? { ...ev, ...updates } : ev) }));
+    const addEvent = () => setCall(prev => ({ ...prev, events: [...prev.events, { id: Date.now().toString(), type: prev.events.length === 0 ? 'connect' : 'hangup', delay: 5 }] }));
+    const removeEvent = (index) => setCall(prev => ({ ...prev, events: prev.events.filter((_, i) => i !== index) }));
+
+    useEffect(() => { updateScene(currentScene.id, { call }); }, [call, currentScene.id, updateScene]);
+
+    return (
+        <div className="p-4 space-y-4">
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <h3 className="font-semibold text-gray-800">Caller</h3>
+                <input type="text" value={call.callerName} onChange={e => updateLocalCall({ callerName: e.target.value })} placeholder="Caller name, or the number for an unsaved caller" className="w-full p-2 border rounded-md" />
+                <input type="text" value={call.callerLabel} onChange={e => updateLocalCall({ callerLabel: e.target.value })} placeholder="Label (e.g., mobile, Maybe: Jonas)" className="w-full p-2 border rounded-md" />
+                <AvatarField name={call.callerName} photo={call.callerPhoto} avatar={call.callerAvatar} onPhotoChange={callerPhoto => updateLocalCall({ callerPhoto })} onAvatarChange={callerAvatar => updateLocalCall({ callerAvatar })} />
+            </div>
+
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <h3 className="font-semibold text-gray-800">Ringing</h3>
+                <div className="grid grid-cols-2 gap-2">
+                    {[{ id: 'incoming', label: 'Incoming' }, { id: 'outgoing', label: 'Outgoing' }].map(opt => (
+                        <button key={opt.id} onClick={() => updateLocalCall({ direction: opt.id })} className={`p-2 border rounded-lg text-sm font-medium ${call.direction === opt.id ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300'}`}>{opt.label}</button>
+                    ))}
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600">{call.direction === 'incoming' ? 'Rings before missed' : 'Rings before no answer'}</span>
+                    <NumberStepper value={call.ringDuration} onChange={ringDuration => updateLocalCall({ ringDuration })} />
+                </div>
+                <p className="text-xs text-gray-500">
+                    {call.direction === 'incoming'
+                        ? 'The actor answers by tapping the green button. A scripted Connect event answers automatically.'
+                        : 'The call connects when a scripted Connect event fires.'}
+                </p>
+            </div>
+
+            <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                <h3 className="font-semibold text-gray-800">Call Events</h3>
+                <p className="text-xs text-gray-500">Each event fires the given number of seconds after the previous one. Events after Connect wait until the call is answered.</p>
+                {call.events.map((ev, index) => (
+                    <div key={ev.id} className="flex items-center space-x-2">
+                        <select value={ev.type} onChange={e => updateEvent(index, { type: e.target.value })} className="flex-1 p-2 border rounded-md text-sm">
+                            {CALL_EVENT_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                        <NumberStepper value={ev.delay} onChange={delay => updateEvent(index, { delay })} />
+                        <button onClick={() => removeEvent(index)} className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>
+                    </div>
+                ))}
+                <Button onClick={addEvent} variant="secondary" icon={Plus} className="w-full">Add Event</Button>
+            </div>
+
+            {isVideo && (
+                <div className="bg-white p-4 rounded-lg shadow-sm border space-y-3">
+                    <h3 className="font-semibold text-gray-800">Video</h3>
+                    <label className="flex items-center justify-between text-sm text-gray-600">
+                        <span>Remote video</span>
+                        <select value={call.video.remoteSource} onChange={e => updateVideo({ remoteSource: e.target.value })} className="p-2 border rounded-md text-sm">
+                            <option value="image">Still image</option>
+                            <option value="camera">Camera feed</option>
+                        </select>
+                    </label>
+                    {call.video.remoteSource === 'image' && <ImageField label="Remote Image" value={call.video.remoteImage} onChange={remoteImage => updateVideo({ remoteImage })} className="h-48" />}
+                    <label className="flex items-center justify-between text-sm text-gray-600">
+                        <span>Picture-in-picture</span>
+                        <select value={call.video.pipSource} onChange={e => updateVideo({ pipSource: e.target.value })} className="p-2 border rounded-md text-sm">
+                            <option value="camera">Front camera</option>
+                            <option value="image">Still image</option>
+                            <option value="none">Hidden</option>
+                        </select>
+                    </label>
+                    {call.video.pipSource === 'image' && <ImageField label="Picture-in-picture Image" value={call.video.pipImage} onChange={pipImage => updateVideo({ pipImage })} className="h-32 w-24" />}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- LIVE MODE ---
+const LiveContainer = () => {
+    const { currentProject, currentScene, setCurrentSceneId, isSequenceLive, exitLiveMode } = useApp();
+    // A sequence run swaps `currentScene` from step to step; the take starts, and resets to, its first scene.
+    const steps = useMemo(() => (isSequenceLive ? getSequenceSteps(currentProject) : []), [isSequenceLive, currentProject]);
+    const [stepIndex, setStepIndex] = useState(0);
+    const step = steps[stepIndex];
+    const firstScene = (steps.length && currentProject.scenes.find(s => s.id === steps[0].sceneId)) || currentScene;
+    const isCallScene = currentScene.type === 'call' || currentScene.type === 'video';
+    const [kiosk] = useLocalStorage(KIOSK_SETTINGS_KEY, DEFAULT_KIOSK_SETTINGS);
+    const [greenScreen] = useLocalStorage(GREEN_SCREEN_SETTINGS_KEY, DEFAULT_GREEN_SCREEN);
+    const [isPinOpen, setIsPinOpen] = useState(false);
+    useKioskMode(kiosk.enabled);
+    const [liveState, setLiveState] = useState(firstScene.config.scenarioType); // 'direct', 'contacts', 'lockscreen'
+    const [activeContactId, setActiveContactId] = useState(null);
+    const [takeId, setTakeId] = useState(0);
+    const [takeStartedAt, setTakeStartedAt] = useState(() => Date.now());
+    const [directorSettings] = useLocalStorage(DIRECTOR_SETTINGS_KEY, createDirectorSettings);
+    const clock = firstScene.config.clock;
+    const { participants, groups } = currentScene.config;
+    const createTakeThreads = useCallback((startedAt) => carryThreads({}, firstScene.config, getStoryTime(clock, startedAt, startedAt)), [clock, firstScene.config]);
+    const [threads, setThreads] = useState(() => createTakeThreads(takeStartedAt)); // thread id -> { chat, scriptIndex, unread, updatedAt }
+    const [sceneStartThreads, setSceneStartThreads] = useState(threads); // what stepping back within the current scene rebuilds from
+    const [isCallEnded, setIsCallEnded] = useState(false);
+    const [notifications, setNotifications] = useState([]); // delivered this take, newest first
+    const [banner, setBanner] = useState(null);
+    const [isPaused, setIsPaused] = useState(false);
+    const [isPanelOpen, setIsPanelOpen] = useState(false);
+    const [firedStatusBeats, setFiredStatusBeats] = useState([]);
+    const { schedule } = usePausableTimer(isPaused);
+    const listenersRef = useRef(new Set());
+    const statusRef = useRef({});
+    const publishRef = useRef(null);
+    const viewRef = useRef({ liveState, activeContactId });
+    useEffect(() => { viewRef.current = { liveState, activeContactId }; }, [liveState, activeContactId]);
+    const threadsRef = useRef(threads);
+    useEffect(() => { threadsRef.current = threads; }, [threads]);
+
+    const resetTake = useCallback(() => {
+        setCurrentSceneId(firstScene.id);
+        setStepIndex(0);
+        setLiveState(firstScene.config.scenarioType);
+        setActiveContactId(null);
+        setNotifications([]);
+        setBanner(null);
+        setIsPaused(false);
+        setIsPanelOpen(false);
+        setFiredStatusBeats([]);
+        setIsCallEnded(false);
+        const startedAt = Date.now();
+        const startThreads = createTakeThreads(startedAt);
+        setThreads(startThreads);
+        setSceneStartThreads(startThreads);
+        setTakeId(prev => prev + 1);
+        setTakeStartedAt(startedAt);
+        statusRef.current = {};
+    }, [firstScene, createTakeThreads, setCurrentSceneId]);
+
+    const storyClock = useMemo(() => ({
+        now: () => getStoryTime(clock, takeStartedAt),
+        locale: clock?.locale || '',
+    }), [clock, takeStartedAt]);
+
+    // Moves a sequence run on to its next scene, opening `threadId` straight away when a notification
+    // for it was tapped. The story clock, threads and delivered notifications carry over.
+    const advanceScene = useCallback((threadId) => {
+        const nextStep = steps[stepIndex + 1];
+        const nextScene = nextStep && currentProject.scenes.find(s => s.id === nextStep.sceneId);
+        if (!nextScene) return;
+        const carried = carryThreads(threadsRef.current, nextScene.config, storyClock.now());
+        const openThreadId = threadId && getThreads(nextScene.config).some(t => t.id === threadId) ? threadId : null;
+        if (openThreadId) carried[openThreadId] = { ...carried[openThreadId], unread: 0 };
+        setCurrentSceneId(nextScene.id);
+        setStepIndex(stepIndex + 1);
+        setThreads(carried);
+        setSceneStartThreads(carried);
+        setLiveState(openThreadId ? 'chat' : nextScene.config.scenarioType);
+        setActiveContactId(openThreadId);
+        setNotifications(prev => prev.filter(n => n.participantId !== openThreadId));
+        setBanner(null);
+        setIsCallEnded(false);
+        statusRef.current = {};
+    }, [steps, stepIndex, currentProject, storyClock, setCurrentSceneId]);
+
+    // Commands from the director console and from the on-device take controls.
+    const runCommand = useCallback((message) => {
+        switch (message.command) {
+            case 'reset': resetTake(); break;
+            case 'pause': setIsPaused(true); break;
+            case 'resume': setIsPaused(false); break;
+            case 'next-scene': advanceScene(); break;
+            default: listenersRef.current.forEach(listener => listener(message));
+        }
+    }, [resetTake, advanceScene]);
+
+    const handleDirectorMessage = useCallback((message) => {
+        if (message.type === 'hello') publishRef.current?.();
+        if (message.type === 'command') runCommand(message);
+    }, [runCommand]);
+
+    const { connected, send } = useDirectorChannel(directorSettings.enabled ? { ...directorSettings, role: 'prop' } : null, handleDirectorMessage);
+
+    const openContactId = activeContactId || getPrimaryThreadId(currentScene.config);
+    const publish = useCallback(() => {
+        send({
+            type: 'status',
+            sceneName: currentScene.name,
+            liveState,
+            script: toDirectorScript(resolveScript(getThreadMessages(currentScene.config, openContactId), () => null), currentScene.config.participants),
+            ...statusRef.current,
+            isPaused,
+            sequence: steps.length ? { index: stepIndex, count: steps.length } : null,
+        });
+    }, [send, currentScene, liveState, openContactId, isPaused, steps.length, stepIndex]);
+    useEffect(() => { publishRef.current = publish; }, [publish]);
+    useEffect(() => { if (connected) publish(); }, [connected, publish, takeId]);
+
+    const remote = useMemo(() => ({
+        subscribe: (listener) => {
+            listenersRef.current.add(listener);
+            return () => listenersRef.current.delete(listener);
+        },
+        reportStatus: (status) => {
+            statusRef.current = status;
+            publishRef.current?.();
+        },
+    }), []);
+
+    const scriptedNotifications = currentScene.config.notifications;
+    useEffect(() => {
+        if (!scriptedNotifications?.length) return;
+        const cancels = scriptedNotifications.map(notification => schedule(() => {
+            const delivered = { ...notification, arrivedAt: storyClock.now() };
+            const { liveState: view, activeContactId: viewedContactId } = viewRef.current;
+            const isViewingThread = view !== 'lockscreen' && view !== 'contacts' && (viewedContactId || getPrimaryThreadId({ participants, groups })) === notification.participantId;
+            setNotifications(prev => [delivered, ...prev]);
+            setThreads(prev => {
+                const thread = prev[notification.participantId];
+                if (!thread) return prev;
+                return {
+                    ...prev,
+                    [notification.participantId]: {
+                        ...thread,
+                        chat: applyScriptEvent(thread.chat, { id: `notification-${notification.id}`, participantId: notification.participantId, text: notification.text }, delivered.arrivedAt),
+                        unread: isViewingThread ? 0 : thread.unread + 1,
+                        updatedAt: delivered.arrivedAt,
+                    },
+                };
+            });
+            // Banners only appear over other screens, never over the conversation they belong to.
+            if (view !== 'lockscreen' && !isViewingThread) setBanner(delivered);
+        }, (notification.delay || 0) * 1000));
+        return () => cancels.forEach(cancel => cancel());
+    }, [scriptedNotifications, storyClock, participants, groups, schedule, stepIndex]);
+
+    const statusBar = currentScene.config.statusBar || DEFAULT_STATUS_BAR;
+    useEffect(() => {
+        const cancels = (statusBar.beats || []).map(beat => schedule(() => setFiredStatusBeats(prev => [...prev, beat.id]), beat.delay * 1000));
+        return () => cancels.forEach(cancel => cancel());
+    }, [statusBar.beats, schedule, takeStartedAt, stepIndex]);
+    const status = getStatusAt({ ...statusBar, beats: (statusBar.beats || []).filter(beat => firedStatusBeats.includes(beat.id)) }, Infinity);
+
+    const updateThread = useCallback((contactId, update) => {
+        setThreads(prev => ({ ...prev, [contactId]: { ...prev[contactId], ...update(prev[contactId]) } }));
+    }, []);
+
+    useEffect(() => {
+        if (!banner) return;
+        return schedule(() => setBanner(null), NOTIFICATION_BANNER_MS);
+    }, [banner, schedule]);
+
+    const openConversation = (contactId) => {
+        setActiveContactId(contactId);
+        setLiveState('chat');
+        setNotifications(prev => prev.filter(n => n.participantId !== contactId));
+        setThreads(prev => prev[contactId] ? { ...prev, [contactId]: { ...prev[contactId], unread: 0 } } : prev);
+        setBanner(null);
+    };
+
+    const advanceOn = stepIndex < steps.length - 1 ? step.advance : null;
+    const advanceDelay = (step?.delay || 0) * 1000;
+    const isSceneOver = isCallScene ? isCallEnded : isScriptFinished(currentScene.config, threads);
+    const markCallEnded = useCallback(() => setIsCallEnded(true), []);
+    const openNotification = (threadId) => advanceOn === 'notification' ? advanceScene(threadId) : openConversation(threadId);
+
+    useEffect(() => {
+        if (advanceOn === 'timer' || (advanceOn === 'end' && isSceneOver)) return schedule(() => advanceScene(), advanceDelay);
+    }, [advanceOn, isSceneOver, advanceDelay, advanceScene, schedule]);
+
+    const renderLiveState = () => {
+        switch (liveState) {
+            case 'lockscreen': return <LiveLockScreen notifications={notifications} onOpenNotification={openNotification} onUnlock={() => setLiveState(currentScene.config.scenarioType === 'lockscreen' ? 'chat' : 'contacts')} />;
+            case 'contacts': return <LiveMessagesList threads={threads} onSelectContact={openConversation} />;
+            case 'direct':
+            default: return (
+                <LiveChat
+                    key={openContactId}
+                    threadId={openContactId}
+                    thread={threads[openContactId]}
+                    baseChat={sceneStartThreads[openContactId]?.chat}
+                    isPaused={isPaused}
+                    onThreadChange={updateThread}
+                    onExitList={() => setLiveState('contacts')}
+                    remote={remote}
+                />
+            );
+        }
     };
-    
-    useEffect(() => { updateScene(currentScene.id, { participants }); }, [participants, currentScene.id, updateScene]);
+
+    const openThread = threads[openContactId];
+    const canJump = !isCallScene && liveState !== 'lockscreen' && liveState !== 'contacts';
+    const requestExit = () => kiosk.pin ? setIsPinOpen(true) : exitLiveMode();
+    const skin = resolveSkin(currentScene.config.skin);
+    const statusBarColor = isCallScene || liveState === 'lockscreen' ? '#ffffff'
+        : liveState === 'contacts' && skin.headerAlign !== 'center' ? skin.otherText
+        : skin.headerText;
 
     return (
-        <div className="p-4 space-y-4">
-            {participants.map(p => (
-                <div key={p.id} className="bg-white p-4 rounded-lg shadow-sm border flex items-center space-x-4">
-                    <div className={`w-10 h-10 rounded-full ${p.avatar === 'blue' ? 'bg-blue-500' : 'bg-gray-400'} flex-shrink-0`}></div>
-                    <input type="text" value={p.name} onChange={(e) => updateLocalParticipant(p.id, { name: e.target.value })} disabled={p.isFixed} className="flex-1 p-2 border rounded-md disabled:bg-gray-100 disabled:cursor-not-allowed" />
-                    {!p.isFixed && <button onClick={() => removeParticipant(p.id)} className="p-2 text-gray-400 hover:text-red-500"><Trash2 size={18} /></button>}
+        <TakeGestures
+            className="h-screen w-screen bg-black font-sans antialiased relative"
+            onTogglePause={() => setIsPaused(prev => !prev)}
+            onStepBack={() => runCommand({ command: 'back' })}
+            onOpenPanel={() => setIsPanelOpen(true)}
+            exitGesture={kiosk.enabled ? kiosk.exitGesture : null}
+            onExitGesture={requestExit}
+        >
+            {!kiosk.enabled && <div className="absolute top-4 right-4 z-50"><button onClick={exitLiveMode} className="p-1.5 bg-white/20 text-white rounded-full backdrop-blur-sm"><X size={20} /></button></div>}
+            <StoryClockContext.Provider value={storyClock}>
+                <div key={`${takeId}-${stepIndex}`} className="h-full w-full relative">
+                    {isCallScene ? <LiveCall isPaused={isPaused} onEnded={markCallEnded} /> : renderLiveState()}
+                    {banner && <NotificationBanner notification={banner} onOpen={() => openNotification(banner.participantId)} onDismiss={() => setBanner(null)} />}
                 </div>
-            ))}
-            <Button onClick={addParticipant} variant="secondary" icon={Plus} className="w-full">Add Contact</Button>
-        </div>
+                {(kiosk.enabled || statusBar.enabled) && <StatusBar status={status} color={statusBarColor} isLockScreen={liveState === 'lockscreen' && !isCallScene} />}
+            </StoryClockContext.Provider>
+            {greenScreen.enabled && <GreenScreenOverlay color={greenScreen.color} markers={greenScreen.markers} />}
+            {isPaused && !isPanelOpen && <div className="absolute top-1.5 left-1/2 -translate-x-1/2 z-50 w-1.5 h-1.5 rounded-full bg-red-500/70 pointer-events-none"></div>}
+            {isPanelOpen && (
+                <TakePanel
+                    script={canJump ? toDirectorScript(resolveScript(getThreadMessages(currentScene.config, openContactId), branch => openThread?.choices?.[branch.id]), participants) : []}
+                    scriptIndex={openThread?.scriptIndex || 0}
+                    isPaused={isPaused}
+                    onCommand={(command) => {
+                        runCommand(command);
+                        if (['jump', 'back', 'next-scene'].includes(command.command)) setIsPanelOpen(false);
+                    }}
+                    onClose={() => setIsPanelOpen(false)}
+                    hasNextScene={stepIndex < steps.length - 1}
+                    onExit={kiosk.enabled && kiosk.exitGesture === 'panel' ? requestExit : null}
+                />
+            )}
+            {isPinOpen && <KioskPinPad pin={kiosk.pin} onUnlock={exitLiveMode} onCancel={() => setIsPinOpen(false)} />}
+        </TakeGestures>
     );
 };
 
-const MessageHistoryEditor = () => {
-    const { currentScene, updateScene } = useApp();
-    const [history, setHistory] = useState(currentScene.config.messageHistory || {});
-    const contacts = currentScene.config.participants.filter(p => !p.isFixed);
+const SignalBars = ({ level }) => (
+    <span className="flex items-end space-x-[1.5px] h-[11px]">
+        {[0, 1, 2, 3].map(i => <span key={i} className="w-[3px] rounded-[1px] bg-current" style={{ height: `${40 + i * 20}%`, opacity: i < level ? 1 : 0.3 }}></span>)}
+    </span>
+);
 
-    const updateLocalHistory = (contactId, updates) => {
-        const newHistory = { ...history, [contactId]: { ...history[contactId], ...updates } };
-        setHistory(newHistory);
+const BatteryIcon = ({ level, charging, showPercent }) => (
+    <span className="flex items-center space-x-1">
+        {showPercent && <span className="text-[12px]">{level}%</span>}
+        <span className="relative w-[25px] h-[12px] p-[2px]">
+            <span className="absolute inset-0 rounded-[4px] border border-current opacity-40"></span>
+            <span className="block h-full rounded-[2px]" style={{ width: `${level}%`, background: charging ? '#34c759' : level <= 20 ? '#ff3b30' : 'currentColor' }}></span>
+            {charging && <Zap size={9} fill="currentColor" className="absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2" />}
+        </span>
+    </span>
+);
+
+// Stands in for the device's own status bar, laid out around the selected device's notch,
+// Dynamic Island or punch hole. `showCutout` also draws the cutout, for device previews.
+const StatusBar = ({ status, color, isLockScreen = false, showCutout = false, className = 'absolute top-0 inset-x-0 z-40' }) => {
+    const { locale } = useStoryClock();
+    const time = useStoryTime();
+    const device = getDevice(status.device);
+    const hasService = status.signal > 0;
+    const clock = formatClockTime(time, locale);
+    const carrier = hasService ? status.carrier : 'No Service';
+    const network = hasService && status.network !== 'none' && (status.network === 'wifi' ? <Wifi size={15} strokeWidth={2.75} /> : <span className="text-[12px]">{status.network}</span>);
+    const cellular = hasService ? <SignalBars level={status.signal} /> : <span className="text-[12px]">{carrier}</span>;
+
+    const renderContent = () => {
+        switch (device.layout) {
+            case 'classic': return (
+                <>
+                    <span className="flex-1 flex items-center space-x-1 text-[12px]">{hasService && <SignalBars level={status.signal} />}<span>{carrier}</span>{network}</span>
+                    <span className="text-[12px]">{isLockScreen ? '' : clock}</span>
+                    <span className="flex-1 flex justify-end"><BatteryIcon level={status.battery} charging={status.charging} showPercent /></span>
+                </>
+            );
+            case 'android': return (
+                <>
+                    <span className="flex-1 text-[13px]">{clock}</span>
+                    <span className="flex items-center space-x-1.5">{network}{cellular}<BatteryIcon level={status.battery} charging={status.charging} showPercent /></span>
+                </>
+            );
+            default: return (
+                <>
+                    <span className="flex-1 flex justify-center">{isLockScreen ? <span className="text-[14px]">{carrier}</span> : clock}</span>
+                    <span className="flex-shrink-0" style={{ width: device.cutout.width }}></span>
+                    <span className="flex-1 flex justify-center items-center space-x-1.5">{isLockScreen ? network : <>{cellular}{network}</>}<BatteryIcon level={status.battery} charging={status.charging} /></span>
+                </>
+            );
+        }
     };
-    
-    useEffect(() => { updateScene(currentScene.id, { messageHistory: history }); }, [history, currentScene.id, updateScene]);
 
     return (
-        <div className="p-4 space-y-4">
-            <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
-                <p>Setup the last message that appears in the main message list for each contact.</p>
-            </div>
-            {contacts.map(contact => (
-                <div key={contact.id} className="bg-white p-4 rounded-lg shadow-sm border">
-                    <h3 className="font-semibold text-gray-800 mb-3">{contact.name}</h3>
-                    <div className="space-y-3">
-                        <input type="text" value={history[contact.id]?.lastMessage || ''} onChange={(e) => updateLocalHistory(contact.id, { lastMessage: e.target.value })} placeholder="Last message text..." className="w-full p-2 border rounded-md" />
-                        <input type="text" value={history[contact.id]?.timestamp || ''} onChange={(e) => updateLocalHistory(contact.id, { timestamp: e.target.value })} placeholder="Time (e.g., 9:41 AM, Yesterday)" className="w-full p-2 border rounded-md" />
-                    </div>
-                </div>
-            ))}
+        <div className={`${className} flex items-center font-semibold text-[15px] pointer-events-none ${device.layout === 'cutout' ? '' : 'px-3'}`} style={{ color, height: `max(env(safe-area-inset-top), ${device.height}px)` }}>
+            {showCutout && device.cutout && (
+                <span className="absolute left-1/2 -translate-x-1/2 bg-black" style={{ top: device.cutout.top, width: device.cutout.width, height: device.cutout.height, borderRadius: device.layout === 'cutout' && !device.cutout.top ? `0 0 ${device.cutout.radius}px ${device.cutout.radius}px` : device.cutout.radius }}></span>
+            )}
+            {renderContent()}
         </div>
     );
 };
 
-const LockScreenEditor = () => {
-    const { currentScene, updateScene } = useApp();
-    const [lockScreen, setLockScreen] = useState(currentScene.config.lockScreen || { background: null });
-    const fileInputRef = useRef(null);
+// Tracking markers sit on a grid inset from the edges of the screen, where fingers rarely cover them.
+const GreenScreenOverlay = ({ color, markers }) => (
+    <div className="absolute inset-0 z-[45] pointer-events-none" style={{ background: color }}>
+        {markers && [12, 50, 88].flatMap(top => [18, 82].map(left => (
+            <div key={`${top}-${left}`} className="absolute w-8 h-8 -translate-x-1/2 -translate-y-1/2" style={{ top: `${top}%`, left: `${left}%` }}>
+                <div className="absolute top-1/2 inset-x-0 h-0.5 -translate-y-1/2 bg-white"></div>
+                <div className="absolute left-1/2 inset-y-0 w-0.5 -translate-x-1/2 bg-white"></div>
+            </div>
+        )))}
+    </div>
+);
 
-    const handleBgUpload = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (event) => setLockScreen(prev => ({ ...prev, background: event.target.result }));
-            reader.readAsDataURL(file);
+// Asks for the kiosk PIN before leaving live mode.
+const KioskPinPad = ({ pin, onUnlock, onCancel }) => {
+    const [entry, setEntry] = useState('');
+    const [isWrong, setIsWrong] = useState(false);
+
+    const press = (digit) => {
+        const next = entry + digit;
+        setIsWrong(false);
+        if (next.length < pin.length) {
+            setEntry(next);
+        } else if (next === pin) {
+            onUnlock();
+        } else {
+            setEntry('');
+            setIsWrong(true);
         }
     };
 
-    useEffect(() => { updateScene(currentScene.id, { lockScreen }); }, [lockScreen, currentScene.id, updateScene]);
-
     return (
-        <div className="p-4 space-y-6">
-            <div className="bg-white p-4 rounded-lg shadow-sm border">
-                <h3 className="font-semibold text-gray-800 mb-2">Lock Screen Background</h3>
-                <div className="w-full h-48 bg-gray-200 rounded-lg flex items-center justify-center overflow-hidden relative">
-                    {lockScreen.background ? <img src={lockScreen.background} alt="Lock screen background" className="w-full h-full object-cover" /> : <div className="text-center text-gray-500"><Camera size={40} /><p>No background</p></div>}
-                </div>
-                <input type="file" accept="image/*" ref={fileInputRef} onChange={handleBgUpload} className="hidden" />
-                <Button onClick={() => fileInputRef.current.click()} variant="secondary" icon={Upload} className="w-full mt-3">Upload Image</Button>
+        <div className="absolute inset-0 z-[70] bg-black/90 text-white flex flex-col items-center justify-center space-y-6 safe-padding">
+            <p className="text-lg">{isWrong ? 'Wrong PIN' : 'Enter PIN to exit'}</p>
+            <div className="flex space-x-3">
+                {Array.from({ length: pin.length }, (_, i) => <div key={i} className={`w-3 h-3 rounded-full border border-white ${i < entry.length ? 'bg-white' : ''}`}></div>)}
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+                {['1', '2', '3', '4', '5', '6', '7', '8', '9'].map(digit => (
+                    <button key={digit} onClick={() => press(digit)} className="w-16 h-16 rounded-full bg-white/15 text-2xl">{digit}</button>
+                ))}
+                <button onClick={onCancel} className="w-16 h-16 text-sm">Cancel</button>
+                <button onClick={() => press('0')} className="w-16 h-16 rounded-full bg-white/15 text-2xl">0</button>
+                <button onClick={() => setEntry(entry.slice(0, -1))} className="w-16 h-16 text-sm">Delete</button>
             </div>
         </div>
     );
 };
 
-// --- LIVE MODE ---
-const LiveContainer = () => {
-    const { currentScene, exitLiveMode } = useApp();
-    const [liveState, setLiveState] = useState(currentScene.config.scenarioType); // 'direct', 'contacts', 'lockscreen'
-    const [activeContactId, setActiveContactId] = useState(null);
+const TAKE_LONG_PRESS_MS = 700;
+const TAKE_CORNER_PX = 72;
 
-    const renderLiveState = () => {
-        switch (liveState) {
-            case 'lockscreen': return <LiveLockScreen onUnlock={() => setLiveState(currentScene.config.scenarioType === 'lockscreen' ? 'chat' : 'contacts')} />;
-            case 'contacts': return <LiveMessagesList onSelectContact={(contactId) => { setActiveContactId(contactId); setLiveState('chat'); }} />;
-            case 'direct':
-            default: return <LiveChat activeContactId={activeContactId} onExitList={() => setLiveState('contacts')} />;
+// Invisible controls for whoever holds the prop: a three-finger tap pauses or resumes the take,
+// a long press in the top-left corner steps back one message and one in the top-right corner
+// opens the take panel. The click that ends a long press never reaches the screen underneath.
+// In kiosk mode the same presses are watched for the secret exit gesture.
+const TakeGestures = ({ className, onTogglePause, onStepBack, onOpenPanel, exitGesture, onExitGesture, children }) => {
+    const pressRef = useRef(null); // { timer, x, y }
+    const swallowClickRef = useRef(false);
+    const recentPressesRef = useRef([]);
+
+    const cancelPress = useCallback(() => {
+        clearTimeout(pressRef.current?.timer);
+        pressRef.current = null;
+    }, []);
+    useEffect(() => cancelPress, [cancelPress]);
+
+    const handlePointerDown = (e) => {
+        swallowClickRef.current = false;
+        cancelPress();
+        if (!e.isPrimary) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const isTop = y < TAKE_CORNER_PX;
+
+        if (exitGesture) {
+            const isLeft = x < TAKE_CORNER_PX;
+            const isRight = x > rect.width - TAKE_CORNER_PX;
+            const isBottom = y > rect.height - TAKE_CORNER_PX;
+            const corner = (isTop || isBottom) && (isLeft || isRight) ? `${isTop ? 'top' : 'bottom'}-${isLeft ? 'left' : 'right'}` : null;
+            const presses = [...recentPressesRef.current, { corner, top: y < KIOSK_EDGE_PX, at: Date.now() }].slice(-KIOSK_TAP_COUNT);
+            recentPressesRef.current = presses;
+            if (continuesExitGesture(exitGesture, presses)) {
+                swallowClickRef.current = true;
+                e.stopPropagation();
+            }
+            if (matchesExitGesture(exitGesture, presses)) {
+                recentPressesRef.current = [];
+                onExitGesture();
+                return;
+            }
         }
+
+        const action = isTop && x < TAKE_CORNER_PX ? onStepBack : isTop && x > rect.width - TAKE_CORNER_PX ? onOpenPanel : null;
+        if (!action) return;
+        const timer = setTimeout(() => {
+            pressRef.current = null;
+            swallowClickRef.current = true;
+            action();
+        }, TAKE_LONG_PRESS_MS);
+        pressRef.current = { timer, x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerMove = (e) => {
+        if (pressRef.current && Math.hypot(e.clientX - pressRef.current.x, e.clientY - pressRef.current.y) > 10) cancelPress();
+    };
+
+    const handleTouchStart = (e) => {
+        if (e.touches.length !== 3) return;
+        cancelPress();
+        onTogglePause();
+    };
+
+    const handleClick = (e) => {
+        if (!swallowClickRef.current) return;
+        swallowClickRef.current = false;
+        e.preventDefault();
+        e.stopPropagation();
     };
 
     return (
-        <div className="h-screen w-screen bg-black font-sans antialiased">
-            <div className="absolute top-4 right-4 z-50"><button onClick={exitLiveMode} className="p-1.5 bg-white/20 text-white rounded-full backdrop-blur-sm"><X size={20} /></button></div>
-            <div className="h-full w-full">{renderLiveState()}</div>
+        <div
+            className={className}
+            onPointerDownCapture={handlePointerDown}
+            onPointerMoveCapture={handlePointerMove}
+            onPointerUpCapture={cancelPress}
+            onPointerCancelCapture={cancelPress}
+            onTouchStartCapture={handleTouchStart}
+            onClickCapture={handleClick}
+        >
+            {children}
         </div>
     );
 };
 
-const LiveLockScreen = ({ onUnlock }) => {
+const TakePanel = ({ script, scriptIndex, isPaused, hasNextScene, onCommand, onClose, onExit }) => (
+    <div className="absolute inset-0 z-[60] bg-black/85 backdrop-blur-sm text-white flex flex-col safe-padding">
+        <header className="p-4 pt-10 flex items-center justify-between">
+            <div>
+                <h2 className="font-bold">Take Controls</h2>
+                <p className="text-xs text-gray-400">{isPaused ? 'Paused' : 'Running'}{script.length > 0 && ` • line ${Math.min(scriptIndex + 1, script.length)}/${script.length}`}</p>
+            </div>
+            <button onClick={onClose} className="p-2 rounded-full bg-white/10"><X size={20} /></button>
+        </header>
+        <div className="grid grid-cols-2 gap-2 px-4">
+            {isPaused
+                ? <Button onClick={() => onCommand({ command: 'resume' })} icon={Play} className="py-4 !bg-green-600">Resume</Button>
+                : <Button onClick={() => onCommand({ command: 'pause' })} icon={Pause} variant="secondary" className="py-4">Pause</Button>}
+            <Button onClick={() => onCommand({ command: 'back' })} icon={ArrowLeft} variant="secondary" disabled={scriptIndex === 0} className="py-4">Step Back</Button>
+            {hasNextScene && <Button onClick={() => onCommand({ command: 'next-scene' })} icon={SkipForward} variant="secondary" className="col-span-2">Next Scene</Button>}
+            <Button onClick={() => onCommand({ command: 'reset' })} icon={RotateCcw} variant="danger" className={onExit ? '' : 'col-span-2'}>Reset Take</Button>
+            {onExit && <Button onClick={onExit} icon={X} variant="secondary">Exit Live Mode</Button>}
+        </div>
+        <main className="flex-1 overflow-y-auto p-4 space-y-1">
+            {script.length === 0 && <p className="text-sm text-gray-400 text-center">Open a conversation to jump to a line.</p>}
+            {script.map((line, index) => (
+                <button key={index} onClick={() => onCommand({ command: 'jump', index })} className={`w-full text-left p-3 rounded-lg flex space-x-3 ${index === scriptIndex ? 'bg-blue-600' : 'bg-white/5 hover:bg-white/10'} ${index < scriptIndex ? 'opacity-50' : ''}`}>
+                    <span className="font-mono text-xs text-gray-300 w-6 flex-shrink-0">{index + 1}</span>
+                    <div className="min-w-0">
+                        <p className={`text-xs font-semibold ${line.isActor ? 'text-blue-300' : 'text-gray-300'}`}>{line.participant}</p>
+                        <p className="text-sm truncate">{line.text || <em className="text-gray-400">empty</em>}</p>
+                    </div>
+                </button>
+            ))}
+        </main>
+    </div>
+);
+
+const NOTIFICATION_BANNER_MS = 5000;
+
+const NotificationAppIcon = ({ skin }) => (
+    <div className="w-5 h-5 rounded-[5px] flex items-center justify-center flex-shrink-0" style={{ background: skin.sendColor }}>
+        <MessageSquare size={12} className="text-white" fill="currentColor" />
+    </div>
+);
+
+const formatNotificationAge = (arrivedAt, now, locale) => {
+    const minutes = Math.floor((now - arrivedAt) / 60000);
+    return new Intl.RelativeTimeFormat(locale || [], { numeric: 'auto', style: 'narrow' }).format(minutes < 1 ? 0 : -minutes, minutes < 1 ? 'second' : 'minute');
+};
+
+const NotificationCard = ({ notification, count = 1, onOpen }) => {
     const { currentScene } = useApp();
-    const [time, setTime] = useState(new Date());
+    const { locale } = useStoryClock();
+    const now = useStoryTime();
+    const skin = resolveSkin(currentScene.config.skin);
+    const sender = currentScene.config.participants.find(p => p.id === notification.participantId);
 
-    useEffect(() => {
-        const clockInterval = setInterval(() => setTime(new Date()), 1000);
-        return () => clearInterval(clockInterval);
+    return (
+        <div className="relative" onClick={(e) => { e.stopPropagation(); onOpen(); }}>
+            {count > 1 && <div className="absolute inset-x-3 -bottom-2 h-full rounded-2xl bg-white/40 backdrop-blur-md"></div>}
+            <div className="relative rounded-2xl bg-white/75 backdrop-blur-md text-black p-3 shadow-lg cursor-pointer">
+                <div className="flex items-center space-x-2 mb-1">
+                    <NotificationAppIcon skin={skin} />
+                    <span className="flex-1 text-xs uppercase tracking-wide text-gray-600">{skin.appName}</span>
+                    <span className="text-xs text-gray-500">{formatNotificationAge(notification.arrivedAt, now, locale)}</span>
+                </div>
+                <div className="flex items-start space-x-2.5">
+                    <ContactAvatar contact={sender} className="w-9 h-9 text-sm" />
+                    <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-sm">{getContactName(sender)}</p>
+                        <p className="text-sm line-clamp-2">{notification.text}</p>
+                        {count > 1 && <p className="text-xs text-gray-500 mt-1">{count - 1} more from {getContactName(sender)}</p>}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const NotificationBanner = ({ notification, onOpen, onDismiss }) => (
+    <div className="absolute top-0 inset-x-0 z-40 p-2 pt-10 safe-padding-top">
+        <NotificationCard notification={notification} onOpen={onOpen} />
+        <button onClick={onDismiss} className="absolute bottom-0 left-1/2 -translate-x-1/2 w-10 h-1 rounded-full bg-white/60" aria-label="Dismiss"></button>
+    </div>
+);
+
+const LiveLockScreen = ({ onUnlock, notifications = [], onOpenNotification }) => {
+    const { currentScene } = useApp();
+    const { locale } = useStoryClock();
+    const time = useStoryTime();
+    // One stacked card per sender, newest first.
+    const groups = notifications.reduce((acc, notification) => {
+        const group = acc.find(g => g.latest.participantId === notification.participantId);
+        if (group) group.count += 1;
+        else acc.push({ latest: notification, count: 1 });
+        return acc;
     }, []);
 
     return (
-        <div onClick={onUnlock} className="h-full w-full bg-cover bg-center flex flex-col items-center justify-center text-white p-8 cursor-pointer" style={{ backgroundImage: currentScene.config.lockScreen.background ? `url(${currentScene.config.lockScreen.background})` : 'linear-gradient(to bottom, #4a5568, #2d3748)' }}>
+        <div onClick={onUnlock} className="h-full w-full bg-cover bg-center flex flex-col items-center text-white p-4 pt-24 cursor-pointer" style={{ backgroundImage: currentScene.config.lockScreen.background ? `url(${currentScene.config.lockScreen.background})` : 'linear-gradient(to bottom, #4a5568, #2d3748)' }}>
             <div className="text-center">
-                <p className="text-8xl font-thin">{time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
-                <p className="text-2xl mt-2">{time.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}</p>
+                <p className="text-2xl">{formatClockDate(time, locale)}</p>
+                <p className="text-8xl font-thin">{formatClockTime(time, locale)}</p>
+            </div>
+            <div className="w-full max-w-md mt-10 space-y-4">
+                {groups.map(({ latest, count }) => (
+                    <NotificationCard key={latest.id} notification={latest} count={count} onOpen={() => onOpenNotification(latest.participantId)} />
+                ))}
             </div>
         </div>
     );
 };
 
-const LiveMessagesList = ({ onSelectContact }) => {
+const LiveMessagesList = ({ threads, onSelectContact }) => {
     const { currentScene } = useApp();
-    const contactsWithHistory = currentScene.config.participants.filter(p => !p.isFixed && currentScene.config.messageHistory[p.id]?.lastMessage);
+    const { now, locale } = useStoryClock();
+    const skin = resolveSkin(currentScene.config.skin);
+    const { participants, messageHistory } = currentScene.config;
+    // Conversations with anything to show, most recent activity first.
+    const rows = getThreads(currentScene.config)
+        .filter(t => threads[t.id]?.chat.bubbles.length || messageHistory[t.id]?.lastMessage || getThreadMessages(currentScene.config, t.id).length)
+        .map(contact => ({ contact, thread: threads[contact.id], history: messageHistory[contact.id] || {} }))
+        .sort((a, b) => (b.thread?.updatedAt?.getTime() ?? -Infinity) - (a.thread?.updatedAt?.getTime() ?? -Infinity));
     
     return (
-        <div className="bg-white h-full flex flex-col">
-            <header className="bg-gray-50/90 backdrop-blur-sm border-b p-4 safe-padding-top">
+        <div className="h-full flex flex-col" style={{ background: skin.listBackground, fontFamily: skin.fontFamily }}>
+            <header className="backdrop-blur-sm border-b p-4 safe-padding-top" style={{ background: skin.headerAlign === 'center' ? skin.headerBackground : skin.listBackground, borderColor: skin.listDivider }}>
                 <div className="flex justify-between items-center mt-4">
-                    <h1 className="text-3xl font-bold">Messages</h1>
-                    <button className="text-blue-500"><Edit size={24} /></button>
+                    <h1 className="text-3xl font-bold" style={{ color: skin.headerAlign === 'center' ? skin.headerText : skin.otherText }}>{skin.listTitle}</h1>
+                    <button style={{ color: skin.accent }}><Edit size={24} /></button>
                 </div>
                 <div className="mt-4 relative">
                     <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
-                    <input type="search" placeholder="Search" className="w-full bg-gray-200 rounded-lg pl-10 pr-4 py-2 focus:outline-none" />
+                    <input type="search" placeholder="Search" className="w-full bg-gray-200/80 rounded-lg pl-10 pr-4 py-2 focus:outline-none" />
                 </div>
             </header>
             <main className="flex-1 overflow-y-auto">
-                {contactsWithHistory.map(contact => {
-                    const history = currentScene.config.messageHistory[contact.id];
+                {rows.map(({ contact, thread, history }) => {
+                    const last = thread?.chat.bubbles[thread.chat.bubbles.length - 1];
+                    const describeLast = () => {
+                        if (last.unsent) return 'This message was unsent';
+                        if (getMessageKind(last) === 'system') return formatSystemEvent(last, participants);
+                        const sender = contact.isGroup && last.participantId !== 'you' && participants.find(p => p.id === last.participantId);
+                        return sender ? `${getContactName(sender)}: ${describeMessage(last)}` : describeMessage(last);
+                    };
+                    const preview = last ? describeLast() : history.lastMessage;
+                    const timestamp = thread?.updatedAt ? formatListTimestamp(thread.updatedAt, now(), locale) : history.timestamp;
+                    const unread = thread?.unread || 0;
                     return (
-                        <div key={contact.id} onClick={() => onSelectContact(contact.id)} className="flex items-center space-x-4 p-3 border-b cursor-pointer">
-                            <div className="w-14 h-14 rounded-full bg-gray-400 flex-shrink-0"></div>
+                        <div key={contact.id} onClick={() => onSelectContact(contact.id)} className="flex items-center space-x-3 p-3 border-b cursor-pointer" style={{ borderColor: skin.listDivider }}>
+                            <div className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ background: unread ? skin.accent : 'transparent' }}></div>
+                            <ContactAvatar contact={contact} className="w-14 h-14 text-lg" />
                             <div className="flex-1 min-w-0">
                                 <div className="flex justify-between items-center">
-                                    <p className="font-semibold text-gray-800">{contact.name}</p>
-                                    <p className="text-sm text-gray-400">{history.timestamp}</p>
+                                    <p className="font-semibold" style={{ color: skin.otherText }}>{getThreadName(contact, thread?.chat)}</p>
+                                    <p className="text-sm" style={{ color: unread ? skin.accent : skin.timestampColor }}>{timestamp}</p>
+                                </div>
+                                <div className="flex items-center space-x-2">
+                                    <p className={`flex-1 text-sm truncate ${unread ? 'font-semibold' : ''}`} style={{ color: unread ? skin.otherText : skin.timestampColor }}>{preview}</p>
+                                    {unread > 1 && <span className="min-w-[20px] h-5 px-1.5 rounded-full text-xs text-white flex items-center justify-center" style={{ background: skin.accent }}>{unread}</span>}
                                 </div>
-                                <p className="text-sm text-gray-500 truncate">{history.lastMessage}</p>
                             </div>
                         </div>
                     );
@@ -596,94 +6260,650 @@ const LiveMessagesList = ({ onSelectContact }) => {
     );
 };
 
-const ForcedTypingInput = ({ scriptText, onSend }) => {
-    const { displayText, handleKeyDown, isComplete } = useForcedTyping(scriptText, onSend);
+const KeyboardKey = ({ label, onPress, variant = 'char', className = '', style }) => (
+    <button
+        onPointerDown={(e) => { e.preventDefault(); onPress(e); }}
+        className={`h-[42px] rounded-[5px] flex items-center justify-center select-none touch-manipulation shadow-[0_1px_0_#898a8d] text-black active:bg-[#abb0ba] ${variant === 'char' ? 'bg-white text-[22px] font-light' : 'bg-[#abb0ba] text-[15px] active:bg-white'} ${className}`}
+        style={style}
+    >
+        {label}
+    </button>
+);
+
+const KeyboardPopup = ({ popup }) => {
+    if (!popup) return null;
+    return (
+        <div className="absolute pointer-events-none z-20 flex flex-col items-center" style={{ left: popup.x, top: popup.y, width: popup.width + 20, transform: 'translate(-50%, -100%)' }}>
+            <div className="w-full h-[54px] bg-white rounded-t-[10px] flex items-center justify-center text-[34px] font-light text-black shadow-[0_-1px_2px_rgba(0,0,0,0.15)]">{popup.char}</div>
+            <div className="bg-white rounded-b-[6px] shadow-[0_1px_0_#898a8d]" style={{ width: popup.width, height: 46 }}></div>
+        </div>
+    );
+};
+
+// iOS QuickType strip: the part of the word typed so far in quotes, then the scripted word,
+// which shows on white when it is an autocorrection.
+const SuggestionBar = ({ suggestion }) => (
+    <div className="flex items-center h-[34px] -mt-[4px] text-[16px] text-black">
+        <div className="flex-1 min-w-0 truncate text-center px-1">{suggestion?.typed && `“${suggestion.typed}”`}</div>
+        <div className="w-px h-6 bg-[#b3b5bb]"></div>
+        <button onPointerDown={(e) => { e.preventDefault(); suggestion?.onAccept(); }} disabled={!suggestion} className={`flex-1 min-w-0 h-full truncate px-1 rounded-[5px] select-none touch-manipulation ${suggestion?.isCorrection ? 'bg-white' : ''}`}>{suggestion?.word}</button>
+        <div className="w-px h-6 bg-[#b3b5bb]"></div>
+        <div className="flex-1"></div>
+    </div>
+);
+
+// Pixel-accurate iOS style keyboard. Whatever key the actor hits, the next step of the typing
+// plan is played, and the key popup shows the scripted character rather than the key's own label.
+// Passing `suggestion` (null while there is nothing to offer) adds the suggestion bar.
+const LiveKeyboard = ({ layoutId = 'qwerty', nextChar, suggestion, onType, onDelete, onReturn }) => {
+    const layout = KEYBOARD_LAYOUTS[layoutId] || KEYBOARD_LAYOUTS.qwerty;
+    const [page, setPage] = useState('letters'); // letters, numbers, symbols
+    const [shiftMode, setShiftMode] = useState('auto'); // auto, on, off
+    const [popup, setPopup] = useState(null);
+    const containerRef = useRef(null);
+    const popupTimerRef = useRef(null);
+
+    useEffect(() => () => clearTimeout(popupTimerRef.current), []);
+
+    useEffect(() => {
+        if (nextChar && /\d/.test(nextChar)) setPage('numbers');
+        else if (nextChar && /\p{L}/u.test(nextChar)) setPage('letters');
+    }, [nextChar]);
+
+    // Follow the script like iOS auto-capitalisation would: shift when the next character is a capital,
+    // numbers page when it is a digit.
+    const scriptedShift = !!nextChar && nextChar !== nextChar.toLowerCase();
+    const isShifted = shiftMode === 'auto' ? scriptedShift : shiftMode === 'on';
+    const rows = getKeyboardPage(layout, page);
+
+    const handleCharacter = (e, key) => {
+        if (nextChar !== null && nextChar !== ' ') {
+            const keyRect = e.currentTarget.getBoundingClientRect();
+            const containerRect = containerRef.current.getBoundingClientRect();
+            setPopup({ char: nextChar, x: keyRect.left - containerRect.left + keyRect.width / 2, y: keyRect.bottom - containerRect.top, width: keyRect.width });
+            clearTimeout(popupTimerRef.current);
+            popupTimerRef.current = setTimeout(() => setPopup(null), 150);
+        }
+        onType(key);
+        setShiftMode('auto');
+    };
+
+    const toggleShift = () => setShiftMode(isShifted ? 'off' : 'on');
+    const keyWidth = `calc((100% - ${(rows[0].length - 1) * 6}px) / ${rows[0].length})`;
+
+    return (
+        <div ref={containerRef} className="relative bg-[#d1d3d9] pt-[8px] px-[3px] pb-1 space-y-[11px] font-sans">
+            <KeyboardPopup popup={popup} />
+            {suggestion !== undefined && <SuggestionBar suggestion={suggestion} />}
+            {rows.map((row, rowIndex) => {
+                const isLastRow = rowIndex === rows.length - 1;
+                return (
+                    <div key={rowIndex} className="flex justify-center gap-[6px]">
+                        {isLastRow && (page === 'letters'
+                            ? <KeyboardKey label="⇧" variant="special" onPress={toggleShift} className={`w-[42px] mr-auto ${isShifted ? '!bg-white' : ''}`} />
+                            : <KeyboardKey label={page === 'numbers' ? '#+=' : '123'} variant="special" onPress={() => setPage(page === 'numbers' ? 'symbols' : 'numbers')} className="w-[42px] mr-auto" />)}
+                        {row.map(key => (
+                            <KeyboardKey key={key} label={page === 'letters' && isShifted ? key.toUpperCase() : key} onPress={(e) => handleCharacter(e, key)} style={{ width: isLastRow && page !== 'letters' ? `calc(${keyWidth} * 1.4)` : keyWidth }} />
+                        ))}
+                        {isLastRow && <KeyboardKey label="⌫" variant="special" onPress={onDelete} className="w-[42px] ml-auto" />}
+                    </div>
+                );
+            })}
+            <div className="flex gap-[6px]">
+                <KeyboardKey label={page === 'letters' ? '123' : 'ABC'} variant="special" onPress={() => setPage(page === 'letters' ? 'numbers' : 'letters')} className="w-[88px]" />
+                <KeyboardKey label={layout.space} onPress={(e) => handleCharacter(e, ' ')} className="flex-1 !text-[15px] !font-normal" />
+                <KeyboardKey label={layout.return} variant="special" onPress={onReturn} className="w-[88px]" />
+            </div>
+            <div className="h-[30px]"></div>
+        </div>
+    );
+};
+
+const ChatInputBar = ({ skin, isComplete, onSend, children }) => (
+    <div className="border-t p-2" style={{ background: skin.inputBackground, borderColor: skin.listDivider }}>
+        <div className="border rounded-[20px] p-1 flex items-center space-x-2" style={{ background: skin.inputFieldBackground, borderColor: skin.inputBorder }}>
+            {children}
+            <button onPointerDown={(e) => { e.preventDefault(); if (isComplete) onSend(); }} disabled={!isComplete} className="w-8 h-8 rounded-full text-white flex items-center justify-center flex-shrink-0 transition-colors" style={{ background: isComplete ? skin.sendColor : '#d1d5db' }}>
+                {skin.sendIcon === 'plane' ? <Send size={16} /> : <ArrowUp size={20} />}
+            </button>
+        </div>
+    </div>
+);
+
+const ForcedTypingInput = ({ scriptText, message, onSend, keyboard, skin = SKINS.imessage, initialLength, onCharacter }) => {
+    const { displayText, handleKeyDown, typeNext, deleteBackward, submit, isComplete, nextChar, suggestion, hasSuggestionBar, highlight } = useForcedTyping(scriptText, onSend, { initialLength, onCharacter, message });
     const inputRef = useRef(null);
+    const isOnScreen = keyboard?.mode !== 'system';
+
+    useEffect(() => { if (!isOnScreen) inputRef.current?.focus(); }, [isOnScreen]);
 
-    useEffect(() => { inputRef.current?.focus(); }, []);
+    // Hardware keyboards (e.g. a hidden Bluetooth keyboard) still drive the on-screen keyboard.
+    useEffect(() => {
+        if (!isOnScreen) return;
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOnScreen, handleKeyDown]);
+
+    if (isOnScreen) {
+        return (
+            <div className="bg-[#d1d3d9]">
+                <ChatInputBar skin={skin} isComplete={isComplete} onSend={submit}>
+                    <div className="flex-1 px-2 min-h-[24px] break-words" style={{ color: skin.otherText }}>
+                        {highlight ? (
+                            <>
+                                {displayText.slice(0, highlight.start)}
+                                <span className="rounded-sm" style={{ background: `color-mix(in srgb, ${skin.accent} 25%, transparent)` }}>{displayText.slice(highlight.start, highlight.end)}</span>
+                                {displayText.slice(highlight.end)}
+                            </>
+                        ) : displayText}
+                        <span className="inline-block w-0.5 h-5 animate-pulse align-middle ml-px" style={{ background: skin.accent }}></span>
+                        {!displayText && <span className="text-gray-400">{skin.inputPlaceholder}</span>}
+                    </div>
+                </ChatInputBar>
+                <LiveKeyboard layoutId={keyboard?.layout} nextChar={nextChar} suggestion={hasSuggestionBar ? suggestion : undefined} onType={typeNext} onDelete={deleteBackward} onReturn={submit} />
+            </div>
+        );
+    }
 
     return (
-        <div className="bg-gray-100 border-t p-2 safe-padding-bottom">
-            <div className="bg-white border border-gray-300 rounded-2xl p-1 flex items-center space-x-2">
-                <input ref={inputRef} type="text" value={displayText} onKeyDown={handleKeyDown} className="flex-1 bg-transparent px-2 focus:outline-none" autoComplete="off" autoCorrect="off" autoCapitalize="off" spellCheck="false" />
-                <button onClick={() => isComplete && onSend(displayText)} disabled={!isComplete} className="w-8 h-8 rounded-full bg-blue-500 text-white flex items-center justify-center disabled:bg-gray-300 transition-colors">
-                    <ArrowUp size={20} />
-                </button>
+        <div className="safe-padding-bottom" style={{ background: skin.inputBackground }}>
+            <ChatInputBar skin={skin} isComplete={isComplete} onSend={submit}>
+                <input ref={inputRef} type="text" value={displayText} onKeyDown={handleKeyDown} placeholder={skin.inputPlaceholder} className="flex-1 bg-transparent px-2 focus:outline-none" style={{ color: skin.otherText }} autoComplete="off" autoCorrect="off" autoCapitalize="off" spellCheck="false" />
+            </ChatInputBar>
+        </div>
+    );
+};
+
+
+const VoiceNote = ({ message, color }) => {
+    const waveform = useMemo(() => createWaveform(String(message.id)), [message.id]);
+    return (
+        <div className="flex items-center space-x-2 py-0.5">
+            <Play size={18} fill="currentColor" className="flex-shrink-0" />
+            <div className="flex items-center space-x-[2px] h-6">
+                {waveform.map((height, i) => <div key={i} className="w-[3px] rounded-full opacity-80" style={{ height: `${height * 100}%`, background: color }}></div>)}
+            </div>
+            <span className="text-xs opacity-80 font-mono">{formatCallDuration(message.duration ?? 8)}</span>
+        </div>
+    );
+};
+
+const LinkPreview = ({ message, skin, isOwn }) => {
+    let domain = message.url || '';
+    try { domain = new URL(message.url).hostname.replace(/^www\./, ''); } catch { /* keep the raw text */ }
+    return (
+        <div className="w-60 overflow-hidden" style={{ borderRadius: skin.bubbleRadius, background: isOwn ? skin.ownBubble : skin.otherBubble, color: isOwn ? skin.ownText : skin.otherText }}>
+            {message.linkImage && <img src={message.linkImage} alt="" className="w-full h-32 object-cover" />}
+            <div className="px-3 py-2">
+                <p className="text-sm font-semibold leading-tight">{message.linkTitle || domain}</p>
+                <p className="text-xs opacity-70">{domain}</p>
+            </div>
+        </div>
+    );
+};
+
+// `sender` is the participant as the phone shows them, with their group colour. Its avatar sits next
+// to the last bubble of a run in group chats and in skins with avatars; group chats also label the
+// first bubble with the member's name.
+const ChatBubble = ({ message, isOwn, skin, sender, isGroup, showName, showAvatar }) => {
+    const { locale } = useStoryClock();
+    const kind = getMessageKind(message);
+    const bubbleStyle = { background: isOwn ? skin.ownBubble : skin.otherBubble, color: isOwn ? skin.ownText : skin.otherText, borderRadius: skin.bubbleRadius };
+    const time = skin.timeInBubble && message.timestamp && <span className="text-[11px] ml-2 relative top-1.5 float-right opacity-60">{formatClockTime(message.timestamp, locale)}</span>;
+
+    const renderContent = () => {
+        switch (kind) {
+            case 'photo': return (
+                <div className="space-y-1">
+                    {message.image ? <img src={message.image} alt="" className="max-h-72 object-cover" style={{ borderRadius: skin.bubbleRadius }} /> : <div className="w-48 h-48 bg-gray-300" style={{ borderRadius: skin.bubbleRadius }}></div>}
+                    {message.text && <div className="px-4 py-2 break-words" style={bubbleStyle}>{message.text}{time}</div>}
+                </div>
+            );
+            case 'voice': return <div className="px-3 py-2" style={bubbleStyle}><VoiceNote message={message} color={isOwn ? skin.ownText : skin.otherText} />{time}</div>;
+            case 'link': return <LinkPreview message={message} skin={skin} isOwn={isOwn} />;
+            default: return <div className="px-4 py-2 break-words" style={bubbleStyle}>{message.text}{time}</div>;
+        }
+    };
+
+    return (
+        <div className={`flex items-end gap-2 ${isOwn ? 'justify-end' : 'justify-start'}`}>
+            {!isOwn && (isGroup || skin.showAvatars) && (showAvatar ? <ContactAvatar contact={sender} className="w-7 h-7 text-[10px]" /> : <div className="w-7 flex-shrink-0"></div>)}
+            <div className={`relative max-w-[75%] ${message.reactions?.length ? 'mt-3' : ''}`}>
+                {isGroup && showName && sender && <p className="text-xs font-semibold mb-0.5 px-2" style={{ color: sender.color }}>{sender.name}</p>}
+                {renderContent()}
+                {message.reactions?.length > 0 && (
+                    <div className={`absolute -top-4 ${isOwn ? '-left-3' : '-right-3'} flex -space-x-1`}>
+                        {message.reactions.map(r => (
+                            <span key={r.participantId} className="w-7 h-7 rounded-full flex items-center justify-center text-sm border-2 border-white" style={{ background: r.participantId === 'you' ? skin.ownBubble : skin.otherBubble }}>
+                                {TAPBACKS.find(t => t.id === r.reaction)?.emoji}
+                            </span>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const StagedAttachmentInput = ({ message, onSend, skin }) => (
+    <div className="safe-padding-bottom" style={{ background: skin.inputBackground }}>
+        <ChatInputBar skin={skin} isComplete onSend={onSend}>
+            <div className="flex-1 px-2 py-1 flex items-center space-x-2 min-w-0" style={{ color: skin.otherText }}>
+                {getMessageKind(message) === 'photo'
+                    ? (message.image ? <img src={message.image} alt="" className="h-16 rounded-lg object-cover" /> : <Camera size={20} />)
+                    : <><Mic size={18} style={{ color: skin.accent }} /><span className="text-sm font-mono">{formatCallDuration(message.duration ?? 8)}</span></>}
+                {message.text && <span className="text-sm truncate">{message.text}</span>}
+            </div>
+        </ChatInputBar>
+    </div>
+);
+
+const TypingBubble = ({ skin, sender, isGroup }) => (
+    <div className="flex items-end gap-2 justify-start">
+        {sender && (isGroup || skin.showAvatars) && <ContactAvatar contact={sender} className="w-7 h-7 text-[10px]" />}
+        <div>
+            {isGroup && sender && <p className="text-xs font-semibold mb-0.5 px-2" style={{ color: sender.color }}>{sender.name} is typing…</p>}
+            <div className="px-4 py-3 w-fit" style={{ background: skin.otherBubble, borderRadius: skin.bubbleRadius }}>
+                <div className="flex space-x-1">
+                    {[0, 0.2, 0.4].map(delay => <div key={delay} className="w-2 h-2 rounded-full animate-pulse" style={{ background: skin.typingDotColor, animationDelay: `${delay}s` }}></div>)}
+                </div>
             </div>
         </div>
+    </div>
+);
+
+const ChatTranscript = ({ chat, skin, participants, showTyping, typingId, isGroup, children }) => {
+    const { now, locale } = useStoryClock();
+    const bubbles = chat.bubbles;
+    const lastOwnIndex = bubbles.findLastIndex(m => m.participantId === 'you' && !m.unsent);
+    const participantName = (id) => id === 'you' ? 'You' : getContactName(participants.find(p => p.id === id)) || 'Someone';
+    const senderOf = (id) => {
+        const sender = id !== 'you' && participants.find(p => p.id === id);
+        return sender ? { ...sender, name: getContactName(sender), color: getParticipantColor(participants, id) } : null;
+    };
+    const isSameRun = (a, b) => b && getMessageKind(b) !== 'system' && !b.unsent && a.participantId === b.participantId;
+
+    return (
+        <main className="flex-1 overflow-y-auto p-4 space-y-4">
+            {bubbles.map((msg, index) => (
+                <React.Fragment key={index}>
+                    {(index === 0 || startOfDay(msg.timestamp) !== startOfDay(bubbles[index - 1].timestamp)) && (
+                        <p className="text-center text-xs" style={{ color: skin.timestampColor }}>
+                            <span className="font-semibold">{formatRelativeDay(msg.timestamp, now(), locale)}</span>{!skin.timeInBubble && ` ${formatClockTime(msg.timestamp, locale)}`}
+                        </p>
+                    )}
+                    {getMessageKind(msg) === 'system'
+                        ? <p className="text-center text-xs" style={{ color: skin.timestampColor }}>{formatSystemEvent(msg, participants)}</p>
+                        : msg.unsent
+                        ? <p className="text-center text-xs" style={{ color: skin.timestampColor }}>{participantName(msg.participantId)} unsent a message</p>
+                        : <ChatBubble message={msg} isOwn={msg.participantId === 'you'} skin={skin} sender={senderOf(msg.participantId)} isGroup={isGroup} showName={!isSameRun(msg, bubbles[index - 1])} showAvatar={!isSameRun(msg, bubbles[index + 1])} />}
+                    {index === lastOwnIndex && index === bubbles.length - 1 && chat.receipt && (
+                        <p className="text-right text-[11px] -mt-3 pr-1" style={{ color: skin.timestampColor }}>
+                            {chat.receipt.status === 'read' ? <><span className="font-semibold">Read</span> {chat.receipt.time || formatClockTime(chat.receipt.at, locale)}</> : 'Delivered'}
+                        </p>
+                    )}
+                </React.Fragment>
+            ))}
+            {showTyping && skin.typingStyle === 'bubble' && <TypingBubble skin={skin} sender={senderOf(typingId)} isGroup={isGroup} />}
+            {children}
+        </main>
+    );
+};
+
+const LiveChatHeader = ({ skin, contact, subtitle, onBack, backLabel }) => {
+    if (skin.headerAlign === 'center') {
+        return (
+            <header className="backdrop-blur-sm border-b p-2 pt-10 flex items-center justify-center text-center relative safe-padding-top" style={{ background: skin.headerBackground, borderColor: skin.listDivider }}>
+                {onBack && <button onClick={onBack} className="absolute left-2 top-1/2 -translate-y-1/2 pt-8 flex items-center" style={{ color: skin.accent }}><ChevronDown className="rotate-90" size={24}/> {backLabel}</button>}
+                <div className="min-w-0 max-w-[60%] flex flex-col items-center">
+                    {contact && <ContactAvatar contact={contact} className="w-10 h-10 text-sm mb-0.5" />}
+                    <p className="font-semibold truncate max-w-full" style={{ color: skin.headerText }}>{contact?.name}</p>
+                    <p className="text-xs truncate max-w-full" style={{ color: skin.headerSubtext }}>{subtitle}</p>
+                </div>
+            </header>
+        );
+    }
+    return (
+        <header className="p-2 pt-10 flex items-center space-x-3 shadow-sm safe-padding-top" style={{ background: skin.headerBackground }}>
+            <button onClick={onBack} className="p-1" style={{ color: skin.headerText }}><ArrowLeft size={22} /></button>
+            <ContactAvatar contact={contact} className="w-9 h-9 text-xs" />
+            <div className="min-w-0 text-left"><p className="font-semibold truncate" style={{ color: skin.headerText }}>{contact?.name}</p><p className="text-xs" style={{ color: skin.headerSubtext }}>{subtitle}</p></div>
+        </header>
     );
 };
 
-const LiveChat = ({ activeContactId, onExitList }) => {
+// Plays the scripted thread of one contact or group. The thread's progress lives in LiveContainer, so
+// leaving the conversation and coming back picks up where it was.
+const LiveChat = ({ threadId, thread, baseChat = EMPTY_CHAT, isPaused, onThreadChange, onExitList, remote }) => {
     const { currentScene } = useApp();
-    const [displayedMessages, setDisplayedMessages] = useState([]);
-    const [scriptIndex, setScriptIndex] = useState(0);
+    const { now } = useStoryClock();
+    const chat = thread?.chat || EMPTY_CHAT;
+    const scriptIndex = thread?.scriptIndex || 0;
+    const choices = thread?.choices;
     const [isTyping, setIsTyping] = useState(false);
+    const [typedAhead, setTypedAhead] = useState(0); // characters of a branch reply typed while choosing it
+    const [typingOverride, setTypingOverride] = useState(null); // null follows the script, true/false forced by the director
+    const [runId, setRunId] = useState(0);
     const chatEndRef = useRef(null);
+    const { schedule, clear: clearTimer } = usePausableTimer(isPaused);
 
-    const activeMessage = currentScene.config.messages[scriptIndex];
-    const isActorTurn = activeMessage?.participantId === 'you';
+    const messages = useMemo(() => resolveScript(getThreadMessages(currentScene.config, threadId), branch => choices?.[branch.id]), [currentScene.config, threadId, choices]);
+    const timing = currentScene.config.timing || DEFAULT_TIMING;
+    const activeMessage = messages[scriptIndex];
+    const isActorTurn = isActorInputEvent(activeMessage);
+    const pendingBranch = getMessageKind(activeMessage) === 'branch' ? activeMessage : null;
+    const showTyping = typingOverride ?? isTyping;
+    const displayedMessages = chat.bubbles;
 
-    const contact = currentScene.config.participants.find(p => p.id === activeContactId) || currentScene.config.participants.find(p => !p.isFixed);
+    const conversation = getThreads(currentScene.config).find(t => t.id === threadId);
+    // Who the typing indicator belongs to. A forced indicator on the actor's turn falls back to the thread.
+    const typingId = showTyping ? (!isActorTurn && activeMessage?.participantId) || threadId : null;
     
-    useEffect(() => { chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [displayedMessages, isTyping]);
+    useEffect(() => { chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [displayedMessages, showTyping]);
 
-    const processNextMessage = useCallback(() => {
-        if (scriptIndex >= currentScene.config.messages.length || isActorTurn) return;
-        
-        const message = currentScene.config.messages[scriptIndex];
-        const startDelayMs = (message.startDelay === 'natural' ? (message.text.length / 15) * 1000 : message.startDelay * 1000) || 1000;
+    const deliverMessage = useCallback((index, text) => {
+        const timestamp = now();
+        setIsTyping(false);
+        setTypedAhead(0);
+        onThreadChange(threadId, prev => ({
+            chat: applyScriptEvent(prev.chat, { ...messages[index], ...(text !== undefined ? { text } : {}) }, timestamp),
+            scriptIndex: index + 1,
+            updatedAt: timestamp,
+        }));
+    }, [messages, now, onThreadChange, threadId]);
+
+    useEffect(() => {
+        if (scriptIndex >= messages.length || isActorTurn) return;
         
-        const typingSpeedMs = (() => {
-            if (message.typingDelay === 'natural') return Math.max(30, 120 - message.text.length);
-            return message.typingDelay * 50 || 50;
-        })();
+        const { startDelay, phases } = computeMessageTiming(messages[scriptIndex], timing);
+        const runPhase = (phaseIndex) => {
+            const phase = phases[phaseIndex];
+            if (!phase) {
+                deliverMessage(scriptIndex);
+                return;
+            }
+            setIsTyping(phase.typing);
+            schedule(() => runPhase(phaseIndex + 1), phase.duration);
+        };
+        schedule(() => runPhase(0), startDelay);
+        return clearTimer;
+    }, [scriptIndex, messages, timing, isActorTurn, runId, schedule, clearTimer, deliverMessage]);
 
-        setTimeout(() => {
-            setIsTyping(true);
-            // This timeout simulates the total time it would take to type
-            const totalTypingTime = message.text.length * typingSpeedMs;
-            setTimeout(() => {
-                setIsTyping(false);
-                setDisplayedMessages(prev => [...prev, { ...message, timestamp: new Date() }]);
-                setScriptIndex(prev => prev + 1);
-            }, totalTypingTime);
-        }, startDelayMs);
+    const chooseOption = useCallback((optionId, typed = 0) => {
+        if (!pendingBranch?.options?.some(o => o.id === optionId)) return;
+        setTypedAhead(typed);
+        onThreadChange(threadId, prev => ({ choices: { ...prev.choices, [pendingBranch.id]: optionId } }));
+    }, [pendingBranch, onThreadChange, threadId]);
 
-    }, [scriptIndex, currentScene.config.messages, isActorTurn]);
+    const chooseByKey = useCallback((key) => {
+        if (!pendingBranch || (pendingBranch.selectBy || 'key') !== 'key') return;
+        const options = pendingBranch.options || [];
+        const option = options.find(o => getOptionKey(o) === key.toLowerCase()) || options[0];
+        if (option) chooseOption(option.id, option.text ? 1 : 0);
+    }, [pendingBranch, chooseOption]);
 
-    useEffect(() => { processNextMessage(); }, [scriptIndex, processNextMessage]);
+    // Jumping back past a branch point forgets its choice, so the actor can choose again.
+    const jumpTo = useCallback((index) => {
+        const branchIndex = messages.findIndex(m => getMessageKind(m) === 'branch');
+        const target = Math.max(0, Math.min(index, branchIndex === -1 ? messages.length : branchIndex));
+        const forgotten = new Set(messages.slice(target).map(m => m.branchId).filter(Boolean));
+        clearTimer();
+        setIsTyping(false);
+        setTypedAhead(0);
+        onThreadChange(threadId, prev => ({
+            chat: messages.slice(0, target).reduce((acc, m) => applyScriptEvent(acc, m, now()), baseChat),
+            scriptIndex: target,
+            choices: Object.fromEntries(Object.entries(prev.choices || {}).filter(([branchId]) => !forgotten.has(branchId))),
+        }));
+        setRunId(prev => prev + 1);
+    }, [messages, clearTimer, now, onThreadChange, threadId, baseChat]);
 
-    const handleActorSend = (text) => {
-        const message = { ...activeMessage, text, timestamp: new Date() };
-        setDisplayedMessages(prev => [...prev, message]);
-        setScriptIndex(prev => prev + 1);
-    };
+    useEffect(() => {
+        if (!remote) return;
+        return remote.subscribe(({ command, index, visible, optionId }) => {
+            switch (command) {
+                case 'next':
+                    if (pendingBranch) chooseOption(chooseFirstOption(pendingBranch));
+                    else if (scriptIndex < messages.length) {
+                        clearTimer();
+                        deliverMessage(scriptIndex);
+                    }
+                    break;
+                case 'choose': chooseOption(optionId); break;
+                case 'back': jumpTo(scriptIndex - 1); break;
+                case 'jump': jumpTo(index); break;
+                case 'typing': setTypingOverride(visible ?? null); break;
+                default: break;
+            }
+        });
+    }, [remote, scriptIndex, messages.length, pendingBranch, clearTimer, deliverMessage, chooseOption, jumpTo]);
+
+    useEffect(() => {
+        remote?.reportStatus({
+            scriptIndex,
+            total: messages.length,
+            script: toDirectorScript(messages, currentScene.config.participants),
+            branch: pendingBranch && { options: (pendingBranch.options || []).map(o => ({ id: o.id, label: getOptionLabel(o) })) },
+            isTyping: showTyping,
+            typingOverride,
+            isActorTurn,
+        });
+    }, [remote, scriptIndex, messages, currentScene.config.participants, pendingBranch, showTyping, typingOverride, isActorTurn]);
+
+    const handleActorSend = (text) => deliverMessage(scriptIndex, getMessageKind(activeMessage) === 'text' ? text : undefined);
+
+    const skin = resolveSkin(currentScene.config.skin);
 
     return (
-        <div className="bg-white h-full flex flex-col">
-            <header className="bg-gray-50/90 backdrop-blur-sm border-b p-2 pt-10 flex items-center justify-center text-center relative safe-padding-top">
-                {currentScene.config.scenarioType === 'contacts' && <button onClick={onExitList} className="absolute left-2 top-1/2 -translate-y-1/2 pt-8 text-blue-500 flex items-center"><ChevronDown className="rotate-90" size={24}/> Messages</button>}
-                <div><p className="font-semibold">{contact?.name}</p><p className="text-xs text-gray-500">online</p></div>
-            </header>
-            <main className="flex-1 overflow-y-auto p-4 space-y-4">
-                {displayedMessages.map((msg, index) => {
-                    const isOwn = msg.participantId === 'you';
-                    return (
-                        <div key={index} className={`flex items-end gap-2 ${isOwn ? 'justify-end' : 'justify-start'}`}>
-                            {!isOwn && <div className="w-8 h-8 rounded-full bg-gray-300 flex-shrink-0"></div>}
-                            <div className={`max-w-[75%] px-4 py-2 rounded-2xl ${isOwn ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`}>{msg.text}</div>
-                        </div>
-                    );
-                })}
-                {isTyping && <div className="flex items-end gap-2 justify-start"><div className="w-8 h-8 rounded-full bg-gray-300"></div><div className="px-4 py-2 rounded-2xl bg-gray-200"><div className="flex space-x-1"><div className="w-2 h-2 bg-gray-500 rounded-full animate-pulse"></div><div className="w-2 h-2 bg-gray-500 rounded-full animate-pulse [animation-delay:0.2s]"></div><div className="w-2 h-2 bg-gray-500 rounded-full animate-pulse [animation-delay:0.4s]"></div></div></div></div>}
+        <div className="relative h-full flex flex-col" style={{ background: skin.chatBackground, fontFamily: skin.fontFamily }}>
+            <LiveChatHeader
+                skin={skin}
+                contact={conversation && { ...conversation, name: getThreadName(conversation, chat) }}
+                subtitle={getChatSubtitle(conversation, chat, currentScene.config.participants, typingId, skin)}
+                onBack={currentScene.config.scenarioType === 'contacts' ? onExitList : null}
+                backLabel={skin.listTitle}
+            />
+            <ChatTranscript chat={chat} skin={skin} participants={currentScene.config.participants} showTyping={showTyping} typingId={typingId} isGroup={conversation?.isGroup}>
                 <div ref={chatEndRef} />
-            </main>
-            {isActorTurn && <ForcedTypingInput scriptText={activeMessage.text} onSend={handleActorSend} />}
+            </ChatTranscript>
+            {pendingBranch ? (
+                <ForcedTypingInput key={`${scriptIndex}-branch`} scriptText="" onCharacter={chooseByKey} onSend={() => {}} keyboard={currentScene.config.keyboard} skin={skin} />
+            ) : isActorTurn && (getMessageKind(activeMessage) === 'text' || getMessageKind(activeMessage) === 'link'
+                ? <ForcedTypingInput key={scriptIndex} scriptText={getTypedText(activeMessage)} message={activeMessage} initialLength={typedAhead} onSend={handleActorSend} keyboard={currentScene.config.keyboard} skin={skin} />
+                : <StagedAttachmentInput key={scriptIndex} message={activeMessage} onSend={() => handleActorSend()} skin={skin} />)}
+            {pendingBranch?.selectBy === 'zone' && pendingBranch.options?.map(option => (
+                <div key={option.id} onPointerDown={(e) => { e.preventDefault(); chooseOption(option.id); }} className={`absolute z-30 w-20 h-20 ${HOT_ZONES.find(z => z.id === getOptionZone(pendingBranch, option))?.className}`}></div>
+            ))}
         </div>
     );
 };
 
+const CameraVideo = ({ stream, mirrored = true, className = '' }) => {
+    const videoRef = useRef(null);
+
+    useEffect(() => {
+        if (videoRef.current) videoRef.current.srcObject = stream;
+    }, [stream]);
+
+    return <video ref={videoRef} autoPlay playsInline muted className={`object-cover ${mirrored ? '-scale-x-100' : ''} ${className}`} />;
+};
+
+const CallerAvatar = ({ call, size = 'w-28 h-28 text-5xl' }) => <Avatar name={call.callerName} photo={call.callerPhoto} avatar={call.callerAvatar} className={size} />;
+
+const CALL_END_LABELS = {
+    hangup: 'Call Ended',
+    declined: 'Call Declined',
+    failed: 'Call Failed',
+    missed: 'Missed Call',
+    no_answer: 'No Answer',
+};
+
+const LiveCall = ({ isPaused, onEnded }) => {
+    const { currentScene } = useApp();
+    const { schedule } = usePausableTimer(isPaused);
+    const call = { ...createDefaultCallConfig(), ...currentScene.config.call };
+    const isVideo = currentScene.type === 'video';
+    const [status, setStatus] = useState('ringing'); // ringing, connected, hold, ended
+    const [endReason, setEndReason] = useState(null);
+    const [eventIndex, setEventIndex] = useState(0);
+    const [connectedAt, setConnectedAt] = useState(null);
+    const [duration, setDuration] = useState(0);
+
+    const needsCamera = isVideo && status !== 'ended' && (call.video.remoteSource === 'camera' || call.video.pipSource === 'camera');
+    const { stream, error: cameraError } = useCameraStream(needsCamera);
+
+    const endCall = (reason) => {
+        setStatus('ended');
+        setEndReason(reason);
+    };
+
+    const connect = () => {
+        setStatus('connected');
+        setConnectedAt(Date.now());
+    };
+
+    const handleAnswer = () => {
+        if (call.events[eventIndex]?.type === 'connect') setEventIndex(prev => prev + 1);
+        connect();
+    };
+
+    // Lets a sequence run move on once the call is over.
+    useEffect(() => {
+        if (status === 'ended') onEnded?.();
+    }, [status, onEnded]);
+
+    // Ringing times out as missed (incoming) or unanswered (outgoing).
+    useEffect(() => {
+        if (status !== 'ringing' || !call.ringDuration) return;
+        return schedule(() => endCall(call.direction === 'incoming' ? 'missed' : 'no_answer'), call.ringDuration * 1000);
+    }, [status, call.ringDuration, call.direction, schedule]);
+
+    // Scripted events run one after another. While ringing only Connect and Call Failed may fire.
+    useEffect(() => {
+        const event = call.events[eventIndex];
+        if (!event || status === 'ended') return;
+        if (status === 'ringing' && event.type !== 'connect' && event.type !== 'failed') return;
+
+        return schedule(() => {
+            switch (event.type) {
+                case 'connect': connect(); break;
+                case 'hold': setStatus('hold'); break;
+                case 'resume': setStatus('connected'); break;
+                case 'hangup': endCall('hangup'); break;
+                case 'failed': endCall('failed'); break;
+                default: break;
+            }
+            setEventIndex(prev => prev + 1);
+        }, (event.delay || 0) * 1000);
+    }, [eventIndex, status, call.events, schedule]);
+
+    useEffect(() => {
+        if (status !== 'connected' && status !== 'hold') return;
+        const interval = setInterval(() => setDuration(Math.floor((Date.now() - connectedAt) / 1000)), 1000);
+        return () => clearInterval(interval);
+    }, [status, connectedAt]);
+
+    if (status === 'ringing') return <LiveCallRinging call={call} isVideo={isVideo} stream={stream} onAnswer={handleAnswer} onDecline={() => endCall('declined')} />;
+    if (status === 'ended') return <LiveCallEnded call={call} reason={endReason} duration={connectedAt ? duration : null} />;
+    if (isVideo) return <LiveVideoCall call={call} stream={stream} cameraError={cameraError} duration={duration} isOnHold={status === 'hold'} onEnd={() => endCall('hangup')} />;
+    return <LiveInCall call={call} duration={duration} isOnHold={status === 'hold'} onEnd={() => endCall('hangup')} />;
+};
+
+const CallActionButton = ({ icon: Icon, label, onClick, className = 'bg-white/20' }) => (
+    <div className="flex flex-col items-center space-y-2">
+        <button onClick={onClick} className={`w-18 h-18 rounded-full flex items-center justify-center text-white ${className}`}>{Icon && <Icon size={30} />}</button>
+        {label && <span className="text-sm text-white">{label}</span>}
+    </div>
+);
+
+const LiveCallRinging = ({ call, isVideo, stream, onAnswer, onDecline }) => {
+    const isIncoming = call.direction === 'incoming';
+    const showCameraBackdrop = isVideo && stream && call.video.pipSource === 'camera';
+
+    return (
+        <div className="h-full w-full relative text-white overflow-hidden bg-gradient-to-b from-gray-700 to-gray-900">
+            {showCameraBackdrop && <CameraVideo stream={stream} className="absolute inset-0 w-full h-full" />}
+            {!showCameraBackdrop && call.callerPhoto && <img src={call.callerPhoto} alt="" className="absolute inset-0 w-full h-full object-cover blur-2xl opacity-50 scale-110" />}
+            <div className="relative h-full flex flex-col items-center justify-between pt-24 pb-20 safe-padding">
+                <div className="flex flex-col items-center text-center space-y-3">
+                    {!showCameraBackdrop && <CallerAvatar call={call} />}
+                    <p className="text-4xl font-light">{call.callerName}</p>
+                    <p className="text-lg text-white/70">{isIncoming ? (isVideo ? 'FaceTime Video…' : call.callerLabel) : 'calling…'}</p>
+                </div>
+                {isIncoming ? (
+                    <div className="w-full flex justify-around px-8">
+                        <CallActionButton icon={Phone} label="Decline" onClick={onDecline} className="bg-red-500 rotate-[135deg]" />
+                        <CallActionButton icon={isVideo ? Video : Phone} label="Accept" onClick={onAnswer} className="bg-green-500" />
+                    </div>
+                ) : (
+                    <CallActionButton icon={Phone} label="End" onClick={onDecline} className="bg-red-500 rotate-[135deg]" />
+                )}
+            </div>
+        </div>
+    );
+};
+
+const LiveInCall = ({ call, duration, isOnHold, onEnd }) => (
+    <div className="h-full w-full bg-gradient-to-b from-gray-700 to-gray-900 text-white flex flex-col items-center justify-between pt-24 pb-20 safe-padding">
+        <div className="flex flex-col items-center text-center space-y-3">
+            <CallerAvatar call={call} size="w-24 h-24 text-4xl" />
+            <p className="text-4xl font-light">{call.callerName}</p>
+            <p className="text-lg text-white/70 font-mono">{isOnHold ? 'On Hold' : formatCallDuration(duration)}</p>
+        </div>
+        <div className="grid grid-cols-3 gap-x-8 gap-y-6">
+            {['mute', 'keypad', 'speaker', 'add call', 'FaceTime', 'contacts'].map(label => (
+                <div key={label} className="flex flex-col items-center space-y-2">
+                    <div className="w-18 h-18 rounded-full bg-white/15"></div>
+                    <span className="text-xs">{label}</span>
+                </div>
+            ))}
+        </div>
+        <CallActionButton icon={Phone} onClick={onEnd} className="bg-red-500 rotate-[135deg]" />
+    </div>
+);
+
+const LiveVideoCall = ({ call, stream, cameraError, duration, isOnHold, onEnd }) => {
+    const { remoteSource, remoteImage, pipSource, pipImage } = call.video;
+
+    const renderRemote = () => {
+        if (remoteSource === 'camera') return stream ? <CameraVideo stream={stream} mirrored={false} className="absolute inset-0 w-full h-full" /> : null;
+        if (remoteImage) return <img src={remoteImage} alt="" className="absolute inset-0 w-full h-full object-cover" />;
+        return <div className="absolute inset-0 flex items-center justify-center"><CallerAvatar call={call} /></div>;
+    };
+
+    const renderPip = () => {
+        if (pipSource === 'none') return null;
+        const content = pipSource === 'camera'
+            ? (stream ? <CameraVideo stream={stream} className="w-full h-full" /> : <div className="w-full h-full bg-gray-700 flex items-center justify-center text-center text-[10px] p-2 text-white/70">{cameraError || 'Starting camera…'}</div>)
+            : (pipImage ? <img src={pipImage} alt="" className="w-full h-full object-cover" /> : <div className="w-full h-full bg-gray-700"></div>);
+        return <div className="absolute top-16 right-4 w-28 h-40 rounded-2xl overflow-hidden shadow-2xl border border-white/20 z-10">{content}</div>;
+    };
+
+    return (
+        <div className="h-full w-full relative bg-gray-900 text-white overflow-hidden">
+            {renderRemote()}
+            {isOnHold && <div className="absolute inset-0 bg-black/70 backdrop-blur-xl flex items-center justify-center text-2xl font-light z-10">On Hold</div>}
+            {renderPip()}
+            <div className="absolute top-0 left-0 right-0 pt-14 px-4 text-left bg-gradient-to-b from-black/50 to-transparent pb-8 safe-padding-top">
+                <p className="text-xl font-semibold">{call.callerName}</p>
+                <p className="text-sm text-white/80 font-mono">{formatCallDuration(duration)}</p>
+            </div>
+            <div className="absolute bottom-0 left-0 right-0 pb-12 pt-8 flex justify-center bg-gradient-to-t from-black/50 to-transparent safe-padding-bottom z-10">
+                <CallActionButton icon={Phone} onClick={onEnd} className="bg-red-500 rotate-[135deg]" />
+            </div>
+        </div>
+    );
+};
+
+const LiveCallEnded = ({ call, reason, duration }) => (
+    <div className="h-full w-full bg-gradient-to-b from-gray-700 to-gray-900 text-white flex flex-col items-center pt-24 space-y-3 safe-padding">
+        <CallerAvatar call={call} size="w-24 h-24 text-4xl" />
+        <p className="text-4xl font-light">{call.callerName}</p>
+        <p className={`text-lg ${reason === 'failed' || reason === 'missed' ? 'text-red-400' : 'text-white/70'}`}>{CALL_END_LABELS[reason]}</p>
+        {duration !== null && <p className="text-sm text-white/60 font-mono">{formatCallDuration(duration)}</p>}
+    </div>
+);
+
 // --- MAIN APP COMPONENT ---
 export default function App() {
     return (
@@ -694,7 +6914,7 @@ export default function App() {
 }
 
 function Main() {
-    const { appState } = useApp();
+    const { appState, isStorageLoaded } = useApp();
 
     useEffect(() => {
         const style = document.createElement('style');
@@ -708,11 +6928,22 @@ function Main() {
     }
     , []);
 
-    switch (appState) {
-        case 'welcome': return <WelcomeScreen />;
-        case 'project_overview': return <ProjectOverviewScreen />;
-        case 'scene_editor': return <SceneEditorScreen />;
-        case 'live': return <LiveContainer />;
-        default: return <WelcomeScreen />;
-    }
+    const renderScreen = () => {
+        if (!isStorageLoaded) return <div className="min-h-screen flex items-center justify-center text-gray-500">Loading projects...</div>;
+        switch (appState) {
+            case 'welcome': return <WelcomeScreen />;
+            case 'project_overview': return <ProjectOverviewScreen />;
+            case 'scene_editor': return <SceneEditorScreen />;
+            case 'live': return <LiveContainer />;
+            case 'director': return <DirectorConsoleScreen />;
+            default: return <WelcomeScreen />;
+        }
+    };
+
+    return (
+        <>
+            {renderScreen()}
+            <StorageErrorBanner />
+        </>
+    );
 }
\ No newline at end of file